@@ -0,0 +1,289 @@
+/**
+ * OfflineDictionary - User-imported dictionary stored in IndexedDB
+ * Lives in the extension origin (service worker + settings page) so every
+ * YouTube tab shares one copy. Content scripts query it via DICTIONARY_LOOKUP.
+ * Needs content/core/Lemmatizer.js loaded first.
+ */
+class OfflineDictionary {
+    constructor() {
+        this.dbName = 'OfflineDictionary';
+        this.dbVersion = 1;
+        this.db = null;
+        this.batchSize = 1000; // Entries per import transaction
+        this.lemmatizer = new Lemmatizer();
+    }
+
+    /**
+     * Initialize IndexedDB
+     */
+    async initIndexedDB() {
+        if (this.db) return this.db;
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onerror = () => reject(request.error);
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+                if (!db.objectStoreNames.contains('entries')) {
+                    db.createObjectStore('entries', { keyPath: 'lemma' });
+                }
+            };
+        });
+    }
+
+    /**
+     * Candidate lemmas for an inflected English word, most likely first
+     */
+    getLemmaCandidates(word) {
+        const w = word.toLowerCase().trim();
+        const candidates = [w, this.lemmatizer.lemmatize(w)];
+
+        // Degree and adverb suffixes, which the lemmatizer leaves alone
+        if (w.endsWith('er')) candidates.push(w.slice(0, -2), w.slice(0, -1));
+        if (w.endsWith('est')) candidates.push(w.slice(0, -3), w.slice(0, -2));
+        if (w.endsWith('ly')) candidates.push(w.slice(0, -2));
+
+        return [...new Set(candidates)].filter(c => c.length > 1);
+    }
+
+    /**
+     * Look up a word by lemma, returns the stored entry or null
+     */
+    async lookup(word) {
+        await this.initIndexedDB();
+
+        for (const lemma of this.getLemmaCandidates(word)) {
+            const entry = await this.get(lemma);
+            if (entry) return entry;
+        }
+        return null;
+    }
+
+    async get(lemma) {
+        return new Promise((resolve) => {
+            const transaction = this.db.transaction(['entries'], 'readonly');
+            const request = transaction.objectStore('entries').get(lemma);
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => resolve(null);
+        });
+    }
+
+    async count() {
+        await this.initIndexedDB();
+
+        return new Promise((resolve) => {
+            const transaction = this.db.transaction(['entries'], 'readonly');
+            const request = transaction.objectStore('entries').count();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => resolve(0);
+        });
+    }
+
+    async clear() {
+        await this.initIndexedDB();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['entries'], 'readwrite');
+            transaction.objectStore('entries').clear();
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Parse an import file into entries
+     * Accepts:
+     *  - Wiktionary JSONL from kaikki.org (one {word, pos, senses, sounds} per line)
+     *  - JSON array of {word, definition, partOfSpeech?, pronunciation?, synonyms?, translations?}
+     *  - JSON object of word -> definition
+     */
+    parseImport(text) {
+        const trimmed = text.trim();
+        let records;
+
+        if (trimmed.startsWith('[')) {
+            records = JSON.parse(trimmed);
+        } else if (trimmed.startsWith('{') && !trimmed.includes('\n{')) {
+            const data = JSON.parse(trimmed);
+            records = Object.entries(data).map(([word, value]) =>
+                typeof value === 'string' ? { word, definition: value } : { word, ...value });
+        } else {
+            records = trimmed.split('\n')
+                .filter(line => line.trim())
+                .map(line => JSON.parse(line));
+        }
+
+        // Several records per word (one per part of speech) merge into one entry
+        const entries = new Map();
+        records.forEach(record => this.addRecord(entries, record));
+
+        return [...entries.values()];
+    }
+
+    addRecord(entries, record) {
+        const sense = this.normalizeRecord(record);
+        if (!sense) return;
+
+        const existing = entries.get(sense.lemma);
+        if (existing) {
+            existing.senses.push(...sense.senses);
+            existing.pronunciation = existing.pronunciation || sense.pronunciation;
+            existing.synonyms = [...new Set([...existing.synonyms, ...sense.synonyms])];
+            existing.translations = { ...sense.translations, ...existing.translations };
+        } else {
+            entries.set(sense.lemma, sense);
+        }
+    }
+
+    /**
+     * Import a File without holding it in memory: JSONL dumps (several GB for
+     * kaikki.org) are read line by line and written in batches. The JSON array
+     * and object formats have to be parsed whole, so they go through parseImport.
+     * onProgress(done, total) in bytes read, or entries for the whole-file formats.
+     * Returns the number of entries written.
+     */
+    async importFile(file, onProgress) {
+        const head = (await file.slice(0, 64 * 1024).text()).trimStart();
+        const firstLine = head.split('\n')[0];
+        if (!this.isJsonlRecord(firstLine)) {
+            return this.importEntries(this.parseImport(await file.text()), onProgress);
+        }
+
+        await this.initIndexedDB();
+
+        const reader = file.stream().getReader();
+        const decoder = new TextDecoder();
+        let pending = new Map();
+        let rest = '';
+        let bytesRead = 0;
+        let lineNumber = 0;
+        let imported = 0;
+
+        const addLine = (line) => {
+            lineNumber++;
+            if (!line.trim()) return;
+            try {
+                this.addRecord(pending, JSON.parse(line));
+            } catch (error) {
+                throw new Error(`Line ${lineNumber}: ${error.message}`);
+            }
+        };
+
+        try {
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) break;
+
+                bytesRead += value.byteLength;
+                const lines = (rest + decoder.decode(value, { stream: true })).split('\n');
+                rest = lines.pop();
+                lines.forEach(addLine);
+
+                if (pending.size >= this.batchSize) {
+                    await this.writeBatch([...pending.values()]);
+                    imported += pending.size;
+                    pending = new Map();
+                    if (onProgress) onProgress(bytesRead, file.size);
+                }
+            }
+        } finally {
+            reader.releaseLock();
+        }
+
+        addLine(rest + decoder.decode());
+        if (pending.size > 0) {
+            await this.writeBatch([...pending.values()]);
+            imported += pending.size;
+        }
+        if (onProgress) onProgress(file.size, file.size);
+
+        return imported;
+    }
+
+    isJsonlRecord(line) {
+        try {
+            const record = JSON.parse(line);
+            return !!record && typeof record.word === 'string';
+        } catch (error) {
+            return false;
+        }
+    }
+
+    normalizeRecord(record) {
+        if (!record || typeof record.word !== 'string' || !record.word.trim()) return null;
+
+        let senses = [];
+        if (Array.isArray(record.senses)) {
+            // kaikki.org format
+            senses = record.senses
+                .map(sense => (sense.glosses || sense.raw_glosses || [])[0])
+                .filter(Boolean)
+                .map(definition => ({ partOfSpeech: record.pos || '', definition }));
+        } else if (record.definition) {
+            senses = [{ partOfSpeech: record.partOfSpeech || record.pos || '', definition: String(record.definition) }];
+        }
+
+        if (senses.length === 0) return null;
+
+        const pronunciation = record.pronunciation ||
+            (Array.isArray(record.sounds) ? record.sounds.find(s => s.ipa)?.ipa : '') || '';
+
+        const synonyms = (record.synonyms || [])
+            .map(s => typeof s === 'string' ? s : s.word)
+            .filter(Boolean);
+
+        return {
+            lemma: record.word.toLowerCase().trim(),
+            word: record.word.trim(),
+            senses: senses,
+            pronunciation: pronunciation,
+            synonyms: synonyms,
+            translations: record.translations && !Array.isArray(record.translations) ? record.translations : {}
+        };
+    }
+
+    /**
+     * Store entries in batches, merging senses with what's already there
+     */
+    async importEntries(entries, onProgress) {
+        await this.initIndexedDB();
+
+        for (let i = 0; i < entries.length; i += this.batchSize) {
+            await this.writeBatch(entries.slice(i, i + this.batchSize));
+            if (onProgress) onProgress(Math.min(i + this.batchSize, entries.length), entries.length);
+        }
+
+        return entries.length;
+    }
+
+    writeBatch(batch) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['entries'], 'readwrite');
+            const store = transaction.objectStore('entries');
+
+            batch.forEach(entry => {
+                const request = store.get(entry.lemma);
+                request.onsuccess = () => {
+                    const existing = request.result;
+                    store.put(existing ? {
+                        ...existing,
+                        senses: [...existing.senses, ...entry.senses].slice(0, 10),
+                        pronunciation: existing.pronunciation || entry.pronunciation,
+                        synonyms: [...new Set([...existing.synonyms, ...entry.synonyms])],
+                        translations: { ...existing.translations, ...entry.translations }
+                    } : entry);
+                };
+            });
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+}
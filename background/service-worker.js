@@ -5,6 +5,9 @@
 
 console.log('[Background] Service worker starting...');
 
+importScripts('../content/core/Lemmatizer.js', 'OfflineDictionary.js', '../content/services/LLMProviders.js');
+const offlineDictionary = new OfflineDictionary();
+
 // Extension lifecycle
 chrome.runtime.onInstalled.addListener((details) => {
     console.log('[Background] Extension installed/updated:', details.reason);
@@ -89,6 +92,14 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         return true;
     }
 
+    if (request.action === 'openReview') {
+        chrome.tabs.create({
+            url: chrome.runtime.getURL('review/review.html')
+        });
+        sendResponse({ success: true });
+        return true;
+    }
+
     switch (request.type) {
         case 'CAPTIONS_LOADED':
             handleCaptionsLoaded(request, sender);
@@ -110,6 +121,12 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
             handleOnboardingComplete(request, sendResponse);
             return true;
 
+        case 'DICTIONARY_LOOKUP':
+            offlineDictionary.lookup(request.word)
+                .then(entry => sendResponse({ success: true, entry }))
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true;
+
         default:
             console.log('[Background] Unknown message type:', request.type);
     }
@@ -157,6 +174,30 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     }
 });
 
+// Relay AI provider requests (see LLMProvider.relayRequest) so they carry the extension's
+// origin rather than youtube.com's; closing the port aborts the request
+chrome.runtime.onConnect.addListener((port) => {
+    if (port.name !== LLMProvider.RELAY_PORT) return;
+
+    const controller = new AbortController();
+    port.onDisconnect.addListener(() => controller.abort());
+
+    port.onMessage.addListener(async (request) => {
+        const provider = LLMProvider.create(request.provider, request.config);
+
+        try {
+            const result = request.method === 'stream'
+                ? await provider.stream(request.params, (text) => port.postMessage({ type: 'text', text: text }), controller.signal)
+                : await provider.completeWithUsage(request.params, controller.signal);
+            port.postMessage({ type: 'done', result: result });
+        } catch (error) {
+            if (controller.signal.aborted) return;
+            console.error('[Background] AI provider request failed:', error);
+            port.postMessage({ type: 'error', error: error.message });
+        }
+    });
+});
+
 /**
  * Handle successful caption loading
  */
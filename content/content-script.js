@@ -21,6 +21,9 @@ class YouTubeSubtitleOverlay {
         
         // 3. Caption needs state, serverManager, logger, and notifications
         this.caption = new Caption(this.state, this.serverManager, this.logger, this.notifications);
+        this.captionTranslator = new CaptionTranslationService(this.state, this.AI, this.caption.subtitleManager, this.logger);
+        this.videoPreparation = new VideoPreparationService(this.state, this.storage, this.AI, this.logger);
+        this.videoDifficulty = new VideoDifficultyService(this.state, this.storage, this.logger);
         
         // 4. DOM/Video observers
         this.domWatcher = new DOMWatcher(this.eventBus, this.state);
@@ -30,6 +33,12 @@ class YouTubeSubtitleOverlay {
         this.player = new PlayerIntegration(this, this.logger);
         this.tooltip = new Tooltip(this);
         this.statsOverlay = new StatsOverlay(this);
+        this.transcriptPanel = new TranscriptPanel(this);
+        this.subtitleFileDialog = new SubtitleFileDialog(this);
+        this.timingControls = new TimingControls(this);
+        this.hoverGloss = new HoverGloss(this);
+        this.replayControls = new ReplayControls(this);
+        this.keyboardNav = new KeyboardNavigator(this);
 
         // 6. Setup and init
         this.setupEventHandlers();
@@ -79,6 +88,9 @@ class YouTubeSubtitleOverlay {
                 // Clear captions for the new video
                 this.state.setParsedCaptions([]);
                 this.state.setCurrentCaptionIndex(-1);
+                this.transcriptPanel.render();
+
+                this.onVideoOpened(videoId);
             }
         });
 
@@ -167,6 +179,36 @@ class YouTubeSubtitleOverlay {
             await this.storage.loadSettings();
             return { success: true };
         });
+
+        // Chunk size changed in settings: re-split the loaded captions in place
+        chrome.storage.onChanged.addListener((changes, area) => {
+            if (area === 'sync' && changes.segmentationProfile) {
+                this.state.segmentationProfile = changes.segmentationProfile.newValue || 'standard';
+                this.applySegmentationProfile();
+            }
+
+            // Hover gloss, auto-pause, auto-prepare and rating apply from the next hover/click/video
+            if (area === 'sync' && (changes.hoverGloss || changes.hoverDelay || changes.autoPause || changes.autoPrepareVideo || changes.analyzeOnOpen)) {
+                this.storage.loadSettings();
+            }
+
+            if (area === 'sync' && changes.markUnknownWords) {
+                this.state.markUnknownWords = changes.markUnknownWords.newValue === true;
+                this.player.refreshHighlights();
+            }
+
+            // Known/ignored marks changed in another tab, or on another device
+            if (area === 'local' && changes.wordStatuses) {
+                if (this.storage.applyWordStatuses(changes.wordStatuses.newValue)) {
+                    this.player.refreshHighlights();
+                }
+            }
+            if (area === 'sync' && changes.wordStatusSync) {
+                this.storage.loadWordStatuses().then(changed => {
+                    if (changed) this.player.refreshHighlights();
+                });
+            }
+        });
     }
 
     async init() {
@@ -193,6 +235,7 @@ class YouTubeSubtitleOverlay {
             
             // Load saved words
             await this.storage.loadSavedWords();
+            await this.storage.loadWordStatuses();
             await this.storage.initDatabaseCache();
 
             // Load API cache
@@ -209,6 +252,7 @@ class YouTubeSubtitleOverlay {
             });
 
             await this.videoObserver.checkCurrentVideo();
+            this.onVideoOpened(this.getVideoId());
             
             
             this.logger.info('[YT Overlay] ✅ Initialization complete!');
@@ -256,7 +300,7 @@ class YouTubeSubtitleOverlay {
         this.logger.debug('Cleaning up...');
         
         // Stop caption sync
-        this.state.clearSyncInterval();
+        this.state.clearSyncEngine();
         
         // EventBus cleanup (handles all observers)
         this.eventBus.cleanup();
@@ -311,11 +355,149 @@ class YouTubeSubtitleOverlay {
         this.notifications.showPlayerNotification(message);
     }    
 
+    /**
+     * Re-segment the current video's captions without re-fetching them
+     */
+    async applySegmentationProfile() {
+        const videoId = this.getVideoId();
+        if (!videoId || this.caption.loadedTrack?.videoId !== videoId || !this.state.getParsedCaptions().length) {
+            return;
+        }
+
+        const captions = await this.caption.resegment();
+        this.logger.info(`Re-segmented ${captions.length} captions (${this.caption.activeProfile})`);
+
+        this.player.reloadCaptions();
+        this.transcriptPanel.render();
+    }
+
+    // Per-video override: settings default → beginner → standard → sentence → off → default
+    async cycleSegmentationProfile() {
+        const videoId = this.getVideoId();
+        if (!videoId) return;
+
+        const order = [null, 'beginner', 'standard', 'sentence', 'off'];
+        const current = await this.storage.getSegmentationOverride(videoId);
+        const next = order[(order.indexOf(current) + 1) % order.length];
+
+        await this.storage.setSegmentationOverride(videoId, next);
+        await this.applySegmentationProfile();
+
+        const label = this.formatSegmentationProfile(next || this.state.segmentationProfile);
+        this.showPlayerNotification(next ? `Chunk size for this video: ${label}` : `Chunk size: default (${label})`);
+    }
+
+    formatSegmentationProfile(profile) {
+        return { beginner: 'Beginner', standard: 'Standard', sentence: 'Sentence', off: 'Off' }[profile] || 'Standard';
+    }
+
+    getSegmentationLabel() {
+        const caption = this.caption;
+        if (caption.loadedTrack?.videoId !== this.getVideoId()) {
+            return this.formatSegmentationProfile(this.state.segmentationProfile);
+        }
+        return this.formatSegmentationProfile(caption.activeProfile) + (caption.profileOverridden ? ' (this video)' : '');
+    }
+
+    /**
+     * Difficulty badge for a newly opened video: the stored summary, or fetch
+     * captions to score it when "Rate videos on open" is on
+     */
+    async onVideoOpened(videoId) {
+        if (!videoId) return;
+
+        const summary = await this.videoDifficulty.getStoredSummary(videoId);
+        this.player.setDifficultyBadge(summary);
+
+        // Rated from a separate fetch: the overlay's captions stay as they are until the user loads them
+        if (!summary && this.state.analyzeOnOpen) {
+            const sentences = await this.caption.fetchSentencesForAnalysis(videoId);
+            if (sentences?.length && this.getVideoId() === videoId) {
+                await this.analyzeVideoDifficulty(videoId, sentences);
+            }
+        }
+    }
+
+    async analyzeVideoDifficulty(videoId, captions) {
+        const summary = await this.videoDifficulty.analyzeAndStore(videoId, captions);
+        if (summary) {
+            this.player.setDifficultyBadge(summary);
+        }
+        return summary;
+    }
+
+    /**
+     * Analyze the video's harder words ahead of time
+     * auto: started by the setting when captions load, runs once per video and stays quiet
+     */
+    async prepareVideo(auto = false) {
+        if (!this.state.getParsedCaptions().length) {
+            if (!auto) this.showPlayerNotification('Load captions before preparing the video');
+            return;
+        }
+        if (auto && this.videoPreparation.preparedVideoId === this.state.getCurrentVideoId()) {
+            return;
+        }
+
+        const result = await this.videoPreparation.prepare((done, total) => {
+            this.showPlayerNotification(`⚡ Preparing video… ${done}/${total} words`);
+        });
+
+        if (result.status === 'done' && result.prepared > 0) {
+            const left = result.total - result.prepared;
+            this.showPlayerNotification(`⚡ Prepared ${result.prepared} words${left > 0 ? ` (${left} more left for later)` : ''}`);
+            return;
+        }
+        if (auto) return;
+
+        const messages = {
+            running: 'Already preparing this video',
+            unsupported: 'Preparing a video needs your own API key (see settings)',
+            unavailable: 'AI lookups unavailable: set an API key or wait for the daily limit to reset',
+            limit: 'Daily AI limit reached, can\'t prepare this video',
+            done: result.total ? 'Couldn\'t prepare words, try again later' : 'Nothing to prepare, every hard word is known, saved or cached'
+        };
+        this.showPlayerNotification(messages[result.status]);
+    }
+
+    /**
+     * Mark every word in this video that isn't known, ignored or saved yet as known
+     */
+    async markVideoWordsKnown() {
+        const captions = this.state.getParsedCaptions();
+        if (!captions.length) {
+            this.showPlayerNotification('Load captions before marking words');
+            return;
+        }
+
+        // One form per lemma is enough, the mark covers all of them
+        const remaining = new Map();
+        captions.forEach(caption => {
+            (caption.words || []).forEach(w => {
+                const word = w.text.replace(/^[^\p{L}]+|[^\p{L}']+$/gu, '');
+                if (!word || this.storage.getWordStatus(word) !== 'unknown') return;
+                remaining.set(this.storage.getLemma(word), word);
+            });
+        });
+
+        if (!remaining.size) {
+            this.showPlayerNotification('No unknown words left in this video');
+            return;
+        }
+
+        this.notifications.showPlayerConfirm(`Mark ${remaining.size} remaining words in this video as known?`, 'Mark known', async () => {
+            await this.storage.setWordStatuses([...remaining.values()], 'known');
+            this.showPlayerNotification(`✅ Marked ${remaining.size} words as known`);
+            this.analyzeVideoDifficulty();
+        });
+    }
+
     // ?
-    async handleWordClick(word, wordIndex) {
+    async handleWordClick(word, wordIndex, captionIndex) {
         // Debounce rapid clicks
         const now = Date.now();
         const clickKey = `${word}_${wordIndex}`;
+        const lineIndex = captionIndex ?? this.state.getCurrentCaptionIndex();
         
         // If same word clicked within 300ms, ignore
         if (this.pendingAnalysis.has(clickKey)) {
@@ -334,9 +516,9 @@ class YouTubeSubtitleOverlay {
 
             this.logger.debug(`Word clicked: "${word}"`);
             
-            // 🎯 Pause the video
+            // 🎯 Pause the video (unless auto-pause is turned off)
             const video = document.querySelector('video');
-            if (video && !video.paused) {
+            if (video && !video.paused && this.state.autoPause !== 'never') {
                 video.pause();
             }
 
@@ -356,13 +538,24 @@ class YouTubeSubtitleOverlay {
                 width: 0 
             };
             
-            // Show loading state immediately
+            // Show loading state immediately (cancels a lookup still streaming for another word)
             this.tooltip.showTooltip(word, rect.left + rect.width/2, rect.top, true);
+            this.tooltip.captionIndex = lineIndex;
+            const signal = this.tooltip.startAnalysis();
         
 
         
+            // Get context for better analysis (also picks the cached sense)
+            let context = null;
+            const contextData = this.storage.getSurroundingContext(word, wordIndex, lineIndex);
+            if (contextData) {
+                context = contextData.context;
+            } else if (this.state.getParsedCaptions() && lineIndex >= 0) {
+                context = this.state.getParsedCaptions()[lineIndex]?.text || `The word "${word}"`;
+            }
+
             // 🎯 Check cached data FIRST
-            let analysisData = await this.storage.getCachedWordData(word);
+            let analysisData = await this.storage.getCachedWordData(word, context);
             
             if (analysisData) {
                 this.logger.debug(`Using cached data for "${word}" (source: ${analysisData._source || 'cache'})`);
@@ -370,17 +563,14 @@ class YouTubeSubtitleOverlay {
                 // No cache found, fetch fresh analysis
                 this.logger.debug(`No cache for "${word}", fetching fresh analysis...`);
                 
-                // Get context for better analysis
-                let context = null;
-                const contextData = this.storage.getSurroundingContext(word, wordIndex);
-                if (contextData) {
-                    context = contextData.context;
-                } else if (this.state.getParsedCaptions() && this.state.getCurrentCaptionIndex() >= 0) {
-                    context = this.state.getParsedCaptions()[this.state.getCurrentCaptionIndex()]?.text || `The word "${word}"`;
-                }
-                
-                // Fetch fresh analysis
-                analysisData = await this.AI.fetchWordAnalysis(word, context);
+                // Fetch fresh analysis, filling the tooltip in as the reply streams
+                analysisData = await this.AI.fetchWordAnalysis(word, context, {
+                    signal: signal,
+                    onPartial: (partial) => {
+                        if (!signal.aborted) this.tooltip.showPartialAnalysis(word, partial);
+                    }
+                });
+                if (!analysisData || signal.aborted) return;  // Tooltip closed or another word clicked
                 this.logger.info('Received OpenAI response:', analysisData);
             }
             
@@ -395,6 +585,63 @@ class YouTubeSubtitleOverlay {
         }
     }
 
+    async handlePhraseClick(phrase, firstElement, lastElement) {
+        const clickKey = `phrase_${phrase}`;
+
+        if (this.pendingAnalysis.has(clickKey)) {
+            this.logger.debug('Analysis already pending for:', phrase);
+            return;
+        }
+
+        this.lastWordClick = Date.now();
+        this.pendingAnalysis.set(clickKey, true);
+
+        try {
+            this.logger.debug(`Phrase selected: "${phrase}"`);
+
+            const video = document.querySelector('video');
+            if (video && !video.paused && this.state.autoPause !== 'never') {
+                video.pause();
+            }
+
+            // Center the tooltip over the whole selection
+            const first = firstElement.getBoundingClientRect();
+            const last = (lastElement || firstElement).getBoundingClientRect();
+            const x = (first.left + last.right) / 2;
+            const y = Math.min(first.top, last.top);
+
+            this.tooltip.showTooltip(phrase, x, y, true);
+            const signal = this.tooltip.startAnalysis();
+
+            const captions = this.state.getParsedCaptions();
+            const currentIndex = this.state.getCurrentCaptionIndex();
+            this.tooltip.captionIndex = currentIndex;
+            const context = captions?.[currentIndex]?.text || `The phrase "${phrase}"`;
+
+            let analysisData = await this.storage.getCachedWordData(phrase, context);
+
+            if (analysisData) {
+                this.logger.debug(`Using cached data for "${phrase}" (source: ${analysisData._source || 'cache'})`);
+            } else {
+                analysisData = await this.AI.fetchWordAnalysis(phrase, context, {
+                    signal: signal,
+                    onPartial: (partial) => {
+                        if (!signal.aborted) this.tooltip.showPartialAnalysis(phrase, partial);
+                    }
+                });
+                if (!analysisData || signal.aborted) return;
+                this.logger.info('Received phrase analysis:', analysisData);
+            }
+
+            this.tooltip.showTooltip(phrase, x, y, false, analysisData);
+
+        } finally {
+            setTimeout(() => {
+                this.pendingAnalysis.delete(clickKey);
+            }, 1000);
+        }
+    }
+
 }
 
 // Create global instance
@@ -0,0 +1,142 @@
+/**
+ * KeyBindings - Customizable keyboard shortcuts for overlay word navigation
+ * Bindings are strings like "Alt+KeyW" (modifiers + KeyboardEvent.code), so they
+ * work the same on every keyboard layout. Shared by the content script and settings page.
+ */
+class KeyBindings {
+    constructor(bindings = {}) {
+        this.bindings = { ...KeyBindings.DEFAULTS, ...bindings };
+    }
+
+    static get DEFAULTS() {
+        return {
+            wordMode: 'Alt+KeyW',              // Enter/leave word select mode
+            previousCaption: 'Alt+BracketLeft',
+            nextCaption: 'Alt+BracketRight',
+            moveLeft: 'ArrowLeft',             // The rest only apply inside word select mode
+            moveRight: 'ArrowRight',
+            openTooltip: 'Enter',
+            toggleSave: 'KeyS',
+            cycleStatus: 'KeyX',               // Known -> ignored -> unknown
+            speak: 'KeyP',
+            delayEarlier: 'Alt+KeyZ',          // Subtitle timing (TimingControls)
+            delayLater: 'Alt+KeyX',
+            delayReset: 'Alt+Digit0'
+        };
+    }
+
+    static get LABELS() {
+        return {
+            wordMode: 'Word select mode',
+            previousCaption: 'Replay previous caption',
+            nextCaption: 'Play next caption',
+            moveLeft: 'Previous word',
+            moveRight: 'Next word',
+            openTooltip: 'Open definition',
+            toggleSave: 'Save / unsave word',
+            cycleStatus: 'Mark known / ignored',
+            speak: 'Pronounce word',
+            delayEarlier: 'Show subtitles earlier',
+            delayLater: 'Show subtitles later',
+            delayReset: 'Reset subtitle delay'
+        };
+    }
+
+    // Actions that work any time, not just in word select mode
+    static get GLOBAL_ACTIONS() {
+        return ['wordMode', 'previousCaption', 'nextCaption', ...KeyBindings.TIMING_ACTIONS];
+    }
+
+    // Global actions handled by TimingControls rather than KeyboardNavigator
+    static get TIMING_ACTIONS() {
+        return ['delayEarlier', 'delayLater', 'delayReset'];
+    }
+
+    // YouTube player shortcuts and the overlay's own Alt shortcuts
+    static get RESERVED() {
+        return [
+            'Space', 'KeyK', 'KeyJ', 'KeyL', 'KeyF', 'KeyM', 'KeyC', 'KeyT', 'KeyI', 'KeyO',
+            'ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown', 'Home', 'End', 'Comma', 'Period',
+            'Slash', 'Minus', 'Equal', 'Escape',
+            'Digit0', 'Digit1', 'Digit2', 'Digit3', 'Digit4', 'Digit5', 'Digit6', 'Digit7', 'Digit8', 'Digit9',
+            'Shift+KeyN', 'Shift+KeyP', 'Shift+Comma', 'Shift+Period', 'Shift+Slash',
+            'Alt+KeyS', 'Alt+KeyT',
+            // Browser: address bar, menus, history
+            'Alt+KeyD', 'Alt+KeyE', 'Alt+KeyF', 'Alt+ArrowLeft', 'Alt+ArrowRight', 'Alt+Home'
+        ];
+    }
+
+    /**
+     * Binding string for a keydown event, or null for a lone modifier
+     */
+    static fromEvent(e) {
+        if (['Shift', 'Control', 'Alt', 'Meta'].includes(e.key)) return null;
+
+        const parts = [];
+        if (e.ctrlKey) parts.push('Ctrl');
+        if (e.altKey) parts.push('Alt');
+        if (e.shiftKey) parts.push('Shift');
+        if (e.metaKey) parts.push('Meta');
+        parts.push(e.code);
+        return parts.join('+');
+    }
+
+    // "Alt+KeyW" -> "Alt+W"
+    static format(binding) {
+        const names = {
+            ArrowLeft: '←', ArrowRight: '→', ArrowUp: '↑', ArrowDown: '↓',
+            BracketLeft: '[', BracketRight: ']', Comma: ',', Period: '.', Slash: '/'
+        };
+        return (binding || '')
+            .split('+')
+            .map(part => names[part] || part.replace(/^(Key|Digit)/, ''))
+            .join('+');
+    }
+
+    /**
+     * Why `binding` can't be used for `action`, or null if it's fine
+     * Word-mode keys are only live while the mode is on, so they may reuse player keys
+     */
+    validate(action, binding) {
+        if (!binding) return 'No key set';
+
+        const isGlobal = KeyBindings.GLOBAL_ACTIONS.includes(action);
+
+        if (isGlobal && KeyBindings.RESERVED.includes(binding)) {
+            return `${KeyBindings.format(binding)} is used by YouTube or the browser`;
+        }
+        if (isGlobal && !/^(Ctrl|Alt|Meta)\+/.test(binding)) {
+            return 'Shortcuts outside word select mode need Alt or Ctrl';
+        }
+        if (binding === 'Escape') {
+            return 'Escape always leaves word select mode';
+        }
+
+        const clash = Object.entries(this.bindings).find(([other, key]) => other !== action && key === binding);
+        if (clash) {
+            return `Already used for "${KeyBindings.LABELS[clash[0]]}"`;
+        }
+        return null;
+    }
+
+    set(action, binding) {
+        this.bindings[action] = binding;
+    }
+
+    get(action) {
+        return this.bindings[action];
+    }
+
+    /**
+     * Action bound to a keydown event, limited to global actions unless in word mode
+     */
+    actionFor(e, inWordMode) {
+        const binding = KeyBindings.fromEvent(e);
+        if (!binding) return null;
+
+        return Object.keys(this.bindings).find(action =>
+            this.bindings[action] === binding &&
+            (inWordMode || KeyBindings.GLOBAL_ACTIONS.includes(action))
+        ) || null;
+    }
+}
@@ -0,0 +1,132 @@
+/**
+ * Lemmatizer - Maps inflected word forms to a shared lemma key
+ * Languages plug in with register(code, impl), where impl has lemmatize(word).
+ * Unregistered languages fall back to the lowercased word.
+ */
+class EnglishLemmatizer {
+    constructor() {
+        // Irregular forms that suffix rules can't reach. Forms that are also words of
+        // their own ("saw", "left", "found") and better/best -> good stay unmapped,
+        // since a lemma also keys known/ignored marks and cached senses.
+        this.irregular = {
+            'am': 'be', 'is': 'be', 'are': 'be', 'was': 'be', 'were': 'be', 'been': 'be', 'being': 'be',
+            'has': 'have', 'had': 'have', 'having': 'have',
+            'does': 'do', 'did': 'do', 'done': 'do', 'doing': 'do',
+            'went': 'go', 'gone': 'go', 'goes': 'go',
+            'ran': 'run', 'came': 'come', 'became': 'become', 'seen': 'see',
+            'took': 'take', 'taken': 'take', 'gave': 'give', 'given': 'give',
+            'made': 'make', 'said': 'say', 'got': 'get', 'gotten': 'get',
+            'knew': 'know', 'known': 'know', 'thought': 'think', 'told': 'tell', 'kept': 'keep',
+            'brought': 'bring', 'bought': 'buy', 'caught': 'catch', 'taught': 'teach',
+            'began': 'begin', 'begun': 'begin', 'wrote': 'write', 'written': 'write',
+            'spoke': 'speak', 'spoken': 'speak', 'broke': 'break', 'broken': 'break',
+            'chose': 'choose', 'chosen': 'choose', 'ate': 'eat', 'eaten': 'eat',
+            'fallen': 'fall', 'drove': 'drive', 'driven': 'drive',
+            'rode': 'ride', 'ridden': 'ride', 'risen': 'rise',
+            'sang': 'sing', 'sung': 'sing', 'swam': 'swim', 'swum': 'swim',
+            'drank': 'drink', 'drunk': 'drink', 'forgot': 'forget', 'forgotten': 'forget',
+            'meant': 'mean', 'met': 'meet', 'paid': 'pay', 'sold': 'sell', 'sent': 'send',
+            'spent': 'spend', 'stood': 'stand', 'understood': 'understand', 'won': 'win',
+            'held': 'hold', 'heard': 'hear', 'built': 'build', 'lost': 'lose', 'led': 'lead',
+            'slept': 'sleep', 'sat': 'sit', 'fought': 'fight', 'flew': 'fly', 'flown': 'fly',
+            'grew': 'grow', 'grown': 'grow', 'threw': 'throw', 'thrown': 'throw',
+            'wore': 'wear', 'worn': 'wear', 'hid': 'hide', 'hidden': 'hide',
+            'men': 'man', 'women': 'woman', 'children': 'child', 'people': 'person',
+            'feet': 'foot', 'teeth': 'tooth', 'mice': 'mouse', 'geese': 'goose'
+        };
+
+        // Words that look inflected but aren't
+        this.invariant = new Set([
+            'news', 'always', 'perhaps', 'yes', 'this', 'his', 'its', 'us', 'bus', 'gas',
+            'plus', 'thus', 'series', 'species', 'during', 'nothing', 'something',
+            'anything', 'everything', 'morning', 'evening', 'ceiling', 'thing', 'king',
+            'ring', 'sing', 'bring', 'spring', 'string', 'wing', 'red', 'bed', 'need',
+            'seed', 'speed', 'feed', 'hundred', 'indeed', 'shed'
+        ]);
+    }
+
+    lemmatize(word) {
+        const w = word.toLowerCase().trim().replace(/[’']s$/, '');
+
+        if (this.irregular[w]) return this.irregular[w];
+        if (w.length <= 3 || this.invariant.has(w)) return w;
+
+        // Plurals / 3rd person (Porter step 1a)
+        if (w.endsWith('sses')) return w.slice(0, -2);
+        if (w.endsWith('ies')) return w.length <= 4 ? w.slice(0, -1) : w.slice(0, -3) + 'y';   // "ties", "studies"
+        if (w.endsWith('oes')) return w.length <= 5 ? w.slice(0, -1) : w.slice(0, -2);        // "shoes", "heroes"
+        if (/(ch|sh|x|z)es$/.test(w)) {
+            const stem = w.slice(0, -2);
+            return this.isAcheStem(stem) ? stem + 'e' : stem;
+        }
+        if (w.endsWith('s') && !/(ss|us|is)$/.test(w)) return w.slice(0, -1);
+
+        // Past tense / progressive (Porter step 1b)
+        if (w.endsWith('ied')) return w.length <= 4 ? w.slice(0, -1) : w.slice(0, -3) + 'y';   // "tied", "tried"
+        if (w.endsWith('eed')) return w.slice(0, -1);
+        if (/^[^aeiou]ying$/.test(w)) return w[0] + 'ie';                                       // "tying", "lying"
+
+        const suffix = w.endsWith('ing') ? 'ing' : (w.endsWith('ed') ? 'ed' : null);
+        if (suffix) {
+            const stem = w.slice(0, -suffix.length);
+            if (!/[aeiouy]/.test(stem)) return w;   // "sing", "red"
+            return this.restoreStem(stem);
+        }
+
+        return w;
+    }
+
+    restoreStem(stem) {
+        // "running" -> "run" (but keep "falling", "missing", "buzzing")
+        if (/([^aeiouylsz])\1$/.test(stem)) return stem.slice(0, -1);
+
+        // British doubled "l" after an unstressed syllable: "travelling", "controlled" (not "telling")
+        if (this.measure(stem) >= 2 && /[eo]ll$/.test(stem) && !/(tell|spell|sell|dwell|swell|smell|shell)$/.test(stem)) {
+            return stem.slice(0, -1);
+        }
+
+        // Short consonant-vowel-consonant stems lost an "e": "making" -> "make"
+        if (this.measure(stem) === 1 && /[^aeiou][aeiouy][^aeiouwxy]$/.test(stem)) return stem + 'e';
+
+        // Stems that can't end an English word need the "e" back: "loved", "danced", "noticed",
+        // "argued", "used", "changed" - but "focused", "biased" end in a real "s"
+        if (/(v|u|c|[^aeioudgnr]g|[^aeioulr]l|[^z]z)$/.test(stem) && !stem.endsWith('ll')) return stem + 'e';
+        if (/[aeiou]s$/.test(stem) && !/(cus|ias)$/.test(stem)) return stem + 'e';
+        if (this.isAcheStem(stem)) return stem + 'e';
+        if (stem.length > 4 && /[ae]ng$/.test(stem)) return stem + 'e';
+        if (this.measure(stem) >= 2 && /[^aeiou]at$/.test(stem)) return stem + 'e';   // "related", "educated"
+        if (stem.endsWith('creat')) return stem + 'e';                                  // "created" (but "treated")
+
+        return stem;
+    }
+
+    // "cache", "ache": unlike "reach" or "attach", these keep an "e" after "ch"
+    isAcheStem(stem) {
+        return /^c?ach$/.test(stem);
+    }
+
+    // Porter measure: number of vowel-consonant sequences in the stem
+    measure(stem) {
+        const form = stem.replace(/[^aeiouy]+/g, 'C').replace(/[aeiouy]+/g, 'V');
+        return (form.match(/VC/g) || []).length;
+    }
+}
+
+class Lemmatizer {
+    constructor() {
+        this.languages = {};
+        this.register('en', new EnglishLemmatizer());
+    }
+
+    register(language, impl) {
+        this.languages[language] = impl;
+    }
+
+    lemmatize(word, language = 'en') {
+        const base = (language || 'en').split('-')[0].toLowerCase();
+        const impl = this.languages[base];
+        const normalized = word.toLowerCase().trim();
+
+        return impl ? impl.lemmatize(normalized) : normalized;
+    }
+}
@@ -277,6 +277,10 @@ class NotificationService {
                 text = '💻 Local Server';
                 bgColor = 'rgba(245, 158, 11, 0.9)'; // Amber
                 break;
+            case 'user-file':
+                text = '📄 Your subtitle file';
+                bgColor = 'rgba(236, 72, 153, 0.9)'; // Pink
+                break;
             case 'fresh':
             default:
                 text = '🔄 Fresh fetch';
@@ -504,6 +508,97 @@ class NotificationService {
         this.logger.debug(`[Notification] Player: ${message}`);
     }
 
+    /**
+     * Show a player notification with confirm/cancel buttons
+     * Doesn't block the page like window.confirm(); nothing happens if it times out
+     *
+     * @param {string} message - Question to ask
+     * @param {string} confirmLabel - Label of the confirm button
+     * @param {Function} onConfirm - Called when the user confirms
+     * @param {number} duration - Display duration (default: 8000ms)
+     */
+    showPlayerConfirm(message, confirmLabel, onConfirm, duration = 8000) {
+        const key = 'player-confirm';
+        if (this.activeNotifications.has(key)) {
+            const existing = this.activeNotifications.get(key);
+            clearTimeout(existing.timeout);
+            existing.element.remove();
+            this.activeNotifications.delete(key);
+        }
+
+        const notification = document.createElement('div');
+        notification.id = 'yt-notification-player-confirm';
+
+        notification.style.cssText = `
+            position: absolute;
+            bottom: 70px;
+            left: 50%;
+            transform: translateX(-50%);
+            display: flex;
+            align-items: center;
+            gap: 12px;
+            background: rgba(0, 0, 0, 0.9);
+            color: white;
+            padding: 10px 12px 10px 20px;
+            border-radius: 6px;
+            font-size: 14px;
+            z-index: ${this.Z_INDEX.PLAYER_NOTIFICATION};
+            pointer-events: auto;
+            font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
+            animation: yt-notification-fade-in 0.3s ease;
+            box-shadow: 0 4px 12px rgba(0,0,0,0.3);
+        `;
+
+        const buttonStyle = `
+            padding: 6px 12px;
+            border: 1px solid rgba(255, 255, 255, 0.3);
+            border-radius: 4px;
+            background: none;
+            color: white;
+            font-size: 13px;
+            cursor: pointer;
+        `;
+
+        const text = document.createElement('span');
+        text.textContent = message;
+
+        const confirmButton = document.createElement('button');
+        confirmButton.textContent = confirmLabel;
+        confirmButton.style.cssText = buttonStyle + 'background: #4CAF50; border-color: #4CAF50;';
+
+        const cancelButton = document.createElement('button');
+        cancelButton.textContent = 'Cancel';
+        cancelButton.style.cssText = buttonStyle;
+
+        notification.append(text, confirmButton, cancelButton);
+
+        // Keep clicks away from the player (they'd toggle playback)
+        notification.addEventListener('click', (e) => e.stopPropagation());
+        confirmButton.addEventListener('click', () => {
+            this.dismissNotification(key);
+            onConfirm();
+        });
+        cancelButton.addEventListener('click', () => this.dismissNotification(key));
+
+        const player = document.querySelector('#movie_player');
+        if (player) {
+            player.appendChild(notification);
+        } else {
+            notification.style.position = 'fixed';
+            notification.style.bottom = '80px';
+            document.body.appendChild(notification);
+        }
+
+        this.activeNotifications.set(key, {
+            element: notification,
+            timeout: setTimeout(() => {
+                this.dismissNotification(key);
+            }, duration)
+        });
+
+        this.logger.debug(`[Notification] Confirm: ${message}`);
+    }
+
     /**
      * Dismiss a notification by key
      *
@@ -14,7 +14,7 @@ class StateManager {
         this.captionData = null;
         this.parsedCaptions = [];
         this.currentCaptionIndex = -1;
-        this.syncInterval = null;
+        this.syncEngine = null;
         
         // Analysis state
         this.lastAnalyzedWord = null;
@@ -25,12 +25,29 @@ class StateManager {
         this.playerButtonObserver = null;
 
         this.savedWords = {};
+        this.savedLemmas = new Map();  // lemma -> savedWords key
+        this.savedPhrases = [];  // [{ key, lemmas }] for multi-word entries, longest first
+        this.wordStatuses = {};  // lemma -> 'known' or 'ignored'; saved words are 'learning'
+        this.wordStatusesRev = 0;
         this.apiCache = {};
         this.currentTooltipData = null;
         this.databaseWords = new Map();
         this.openaiApiKey = '';
+        this.llmProvider = 'openai';  // 'openai', 'openai-compatible', 'anthropic' or 'azure'
+        this.llmBaseUrl = '';  // Empty = provider default
+        this.llmModel = '';
+        this.sourceLanguage = 'en';
         this.targetLanguage = 'ja';
         this.definitionLevel = 'beginner';
+        this.dualSubtitles = false;
+        this.karaokeHighlight = true;
+        this.markUnknownWords = false;  // Dotted underline on words not yet known, ignored or saved
+        this.segmentationProfile = 'standard';  // 'beginner', 'standard', 'sentence' or 'off'
+        this.hoverGloss = false;
+        this.hoverDelay = 300;  // ms before the hover gloss appears
+        this.autoPause = 'click';  // 'click', 'hover' or 'never'
+        this.autoPrepareVideo = false;  // Batch-analyze hard words when captions load
+        this.analyzeOnOpen = false;  // Fetch captions on video open to rate its difficulty
 
         this.dailyApiCalls = 0;
         this.dailyLimit = 10;  // Free tier
@@ -93,18 +110,19 @@ class StateManager {
         return this.currentCaptionIndex;
     }
     
-    setSyncInterval(interval) {
-        this.syncInterval = interval;
+    setSyncEngine(engine) {
+        this.clearSyncEngine();
+        this.syncEngine = engine;
     }
     
-    getSyncInterval() {
-        return this.syncInterval;
+    getSyncEngine() {
+        return this.syncEngine;
     }
     
-    clearSyncInterval() {
-        if (this.syncInterval) {
-            clearInterval(this.syncInterval);
-            this.syncInterval = null;
+    clearSyncEngine() {
+        if (this.syncEngine) {
+            this.syncEngine.stop();
+            this.syncEngine = null;
         }
     }
     
@@ -146,7 +164,7 @@ class StateManager {
         this.captionData = null;
         this.parsedCaptions = [];
         this.currentCaptionIndex = -1;
-        this.clearSyncInterval();
+        this.clearSyncEngine();
     }
 
     checkDailyReset() {
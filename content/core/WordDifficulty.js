@@ -0,0 +1,228 @@
+/**
+ * WordDifficulty - Rough 0..1 difficulty estimate for a caption word
+ * English words are ranked against built-in frequency bands of common lemmas;
+ * anything not on them (and other languages) is scored by length and syllables.
+ */
+
+class WordDifficulty {
+    constructor(lemmatizer) {
+        this.lemmatizer = lemmatizer || new Lemmatizer();
+
+        // Most frequent English lemmas, roughly in frequency order
+        const common = `
+            the be and of a in to have it i that for you he with on do say this they at but we his from
+            not by she or as what go their can who get if would her all my make about know will up one
+            time there year so think when which them some me people take out into just see him your come
+            could now than like other how then its our two more these want way look first also new because
+            day use no man find here thing give many well only those tell very even back any good woman
+            through us life child work down may after should call world over school still try last ask
+            need too feel three state never become between high really something most another much family
+            own leave put old while mean keep student why let great same big group begin seem country help
+            talk where turn problem every start hand might american show part against place such again few
+            case week company system each right program hear question during play government run small
+            number off always move night live point believe hold today bring happen next without before
+            large million must home under water room write mother area national money story young fact
+            month different lot study book eye job word though business issue side kind four head far
+            black long both little house yes since provide service around friend important father sit away
+            until power hour game often yet line political end among ever stand bad lose however member pay
+            law meet car city almost include continue set later community name five once white least
+            president learn real change team minute best several idea kid body information nothing ago
+            lead social understand whether watch together follow parent stop face anything create public
+            already speak others read level allow add office spend door health person art sure war history
+            party within grow result open morning walk reason low win research girl guy early food moment
+            himself air teacher force offer enough education across although remember foot second boy maybe
+            toward able age policy everything love process music including consider appear actually buy
+            probably human wait serve market die send expect sense build stay fall oh nation plan cut
+            college interest death course someone experience behind reach local kill six remain effect yeah
+            suggest class control raise care perhaps late hard field else pass former sell major sometimes
+            require along development themselves report role better economic effort decide rate strong
+            possible heart drug leader light voice wife whole police mind finally pull return free
+            military price less according decision explain son hope develop view relationship carry town
+            road drive arm true federal break difference thank receive value international building action
+            full model join season society tax director position player agree especially record pick wear
+            paper special space ground form support event official whose matter everyone center couple site
+            project hit base activity star table court produce eat oil half situation easy
+            cost industry figure street image itself phone either data cover quite picture clear practice
+            piece land recent describe product doctor wall patient worker news test movie certain north
+            personal simply third technology catch step baby computer type attention draw film tree source
+            red nearly organization choose cause hair century evidence window difficult listen soon culture
+            billion chance brother energy period summer realize hundred available plant likely opportunity
+            term short letter condition choice single rule daughter administration south husband floor
+            campaign material population economy medical hospital church close thousand risk current fire
+            future wrong involve defense anyone increase security bank myself certainly west sport board seek
+            per subject officer private rest behavior deal performance fight throw top quickly past goal
+            bed order author fill represent focus foreign drop blood upon agency push nature color store
+            reduce sound note fine near movement page enter share common poor natural race concern
+            series significant similar hot language usually response dead rise animal factor decade
+            article shoot east save seven artist scene stock career despite central eight thus
+            treatment beyond happy exactly protect approach lie size dog fund serious occur media ready
+            sign thought list individual simple quality pressure accept answer resource identify left
+            meeting determine prepare disease whatever success argue cup particularly amount ability staff
+            recognize indicate character growth loss degree wonder attack herself region television box
+            training pretty trade election everybody physical lay general feeling standard bill message fail
+            outside arrive analysis benefit sex forward lawyer present section environmental glass skill
+            sister professor operation financial crime stage ok compare authority miss design sort act ten
+            knowledge gun station blue strategy clearly discuss indeed truth song example democratic
+            check environment leg dark various rather laugh guess executive prove hang entire rock forget
+            claim remove manager enjoy network legal religious cold final main science green memory card
+            above seat cell establish nice trial expert spring firm radio visit management avoid imagine
+            tonight huge ball finish yourself theory impact respond statement maintain charge popular
+            traditional onto reveal direction weapon employee cultural contain peace pain apply measure
+            wide shake fly interview manage chair fish particular camera structure politics perform bit
+            weight suddenly discover candidate production treat trip evening affect inside conference unit
+            style adult worry range mention deep edge specific writer trouble necessary throughout challenge
+            fear shoulder institution middle sea dream bar beautiful property instead improve stuff hey hi
+            okay gonna wanna gotta please sorry cool awesome fun weird funny crazy mom dad
+        `;
+
+        // Next frequency band: everyday words a B1 learner is expected to know
+        const intermediate = `
+            accident account achieve actor address admire advantage adventure advertise advice afford
+            afraid agent aim alarm alcohol alive alone amazing ambition angry announce annoy anxious
+            apart apartment appearance appointment argument arrange arrest arrival article asleep assist
+            atmosphere attach attempt attend attitude attract audience average avoid award aware awful
+            background balance band basic battery battle beach bean bear beat beauty bedroom beef beer
+            beg behave belief belong bend bet bike bird birth birthday bite blame blank blind block
+            boat boil bomb bone border boring borrow boss bother bottle bottom brain branch brave bread
+            breakfast breath breathe brick bridge brief bright brilliant broad brush bubble budget bug
+            burn bury bus bush busy butter button cake calm camp cancel cancer capital captain careful
+            carpet cash castle cat celebrate ceremony chain champion channel chapter cheap cheat cheese
+            chemical chest chicken chief childhood chocolate chop citizen claim clean clever client
+            climate climb clock cloth clothes cloud club coach coast coat code coffee coin collect
+            colleague column comfortable comment commercial communicate compete complain complete
+            complex concentrate concert confident confirm confuse congratulate connect conscious
+            construct consumer contact content contest context contract contrast contribute convince
+            cook copy corner correct cotton cough count countryside county courage cousin crash cream
+            creature credit crew criminal crisis crop cross crowd cruel cry curious curtain custom
+            customer cycle damage dance danger date dear debate debt declare decline decorate deep
+            deer define delay delicious deliver demand deny depend deposit depressed depth desert
+            deserve desk destroy detail detect device diet dig dinner direct dirty disappear disaster
+            discount dish dismiss display distance divide divorce document dollar double doubt dozen
+            drag drama dress drink dry duck dust duty eager earn earth ease eastern edit educate
+            efficient egg elbow elect electric electricity element elephant emergency emotion emphasis
+            empty encourage enemy engine engineer enormous entertain entrance envelope equal equipment
+            escape essay essential estate estimate ethnic exam excellent exchange excite excuse
+            exercise exhibition exist exit expand expensive explore export express extend extra
+            extreme fabric fair faith fake familiar famous fan fancy fantastic farm fashion fast fat
+            fault favor favorite feather fee female fence festival fever fiction fighter file
+            fix flag flat flavor flight float flood flow flower flu fold folk fond forest forgive fork
+            formal fortune frame freedom freeze fresh fridge friendly frighten front frozen fruit fuel
+            fun furniture gain gallery gap garage garbage garden gas gate gather generous gentle gift
+            glad global glove goat god gold golf gossip grab grade grain grand grandfather grandmother
+            grass grateful grave greet grey grocery guard guest guide guilty habit hall handle handsome
+            hat hate heal healthy heat heavy height hell helpful hero hide highlight hill hire hobby
+            hole holiday holy honest honey hook horror horse host hotel household hug humor hungry
+            hunt hurry hurt ice ignore ill illegal illness imagination immediately impress improve
+            income incredible independent indoor industry infection influence inform ingredient
+            injury innocent insect insist inspire install instance instruction instrument insurance
+            intelligent intend internet introduce invent invest invite iron island item jacket jail
+            jeans jewelry joke journey judge juice jump jungle junior justice keen kick kiss kitchen
+            knee knife knock label lack ladder lady lake lamp landscape laptop lazy leaf lean lecture
+            lend lesson liberal library license lift limit link lip liquid literature load loan lock
+            lonely loose lord loud lovely luck lucky lunch mad magazine magic mail male mall map mark
+            marriage marry mass match mate meal meat medicine medium melt membership mess metal method
+            midnight mild milk mirror mistake mix mobile modern monitor monkey mood moon motor mountain
+            mouse mouth mud murder muscle museum mystery nail narrow nasty navy neat neck negative
+            neighbor nervous nest net noise noisy normal nose notice novel nurse nut obey object
+            obvious occasion ocean odd offend ordinary organize origin outdoor oven owe owner pack
+            package pain paint pair palace pale pan panic pants parade pardon park partner passenger
+            passion passport path pattern pause peak pen pencil pension pet photo photograph pig pile
+            pill pilot pink pipe pitch pity planet plastic plate platform pleasant pleasure plenty pocket
+            poem poet poison polite pollution pool pop port portion pose positive possess post pot
+            potato pound pour powder praise pray prefer pregnant presence preserve press pretend prevent
+            pride priest prince princess print prison prize professional profit promise proper protest
+            proud publish punish pupil purple purpose puzzle qualify queen quiet quit quote rabbit rain
+            rank rare raw reader reality receipt recipe recommend recover reflect refuse regret reject
+            relax release reliable relief religion rely remind rent repair repeat replace reply request
+            rescue reserve resign respect responsible restaurant retire reward rice rich ride ring ripe
+            rival river roll romantic roof root rope rough round route row royal rub rubbish rude ruin
+            rush sad safe sail salad salary sale salt sample sand sandwich satisfy sauce scare scared
+            schedule score scream screen sea search secret secretary seed select senior sensitive
+            separate serious settle severe sew shade shadow shame shape sharp sheep sheet shelf shell
+            shelter shift shine ship shirt shock shoe shop shopping shout shower shut shy sick sight
+            silence silly silver sing sink skin skirt sky sleep slice slide slip slow smart smell smile
+            smoke smooth snake snow soap sock soft soil soldier solid solve soul soup sour spare speech
+            speed spell spicy spider spirit split spoil spoon spot spread square stable stadium stair
+            stamp steal steam steel steep stick stiff stomach stone storm stranger stream strength
+            stress stretch strike string strip stupid succeed sugar suit suitable sum sun supply
+            surface surgery surprise surround survey survive suspect swear sweat sweet swim swing
+            switch symbol sympathy talent tall tank tap task taste tea tear technical teenager
+            temperature temple tend tennis tent terrible terrify text thick thief thin thirsty threat
+            thumb ticket tidy tie tight till tip tired title toast toe toilet tomato tone tongue tool
+            tooth topic total touch tough tour tourist towel tower toy track traffic train transport
+            trap travel tray treasure trend trick truck trust tube tune tunnel twin typical ugly
+            umbrella uncle underground unemployed uniform union universe university unusual upset
+            urban urgent useful usual vacation valley van vegetable vehicle version victim village
+            violent virus visible visitor vote wage wake wallet wander warm warn wash waste wave wealth
+            weather wedding weekend welcome wet wheel whisper wide wild wind wine wing winner winter
+            wire wise wish witness wonderful wood wool worm worried wound wrap wrist yard yell yellow
+            youth zone
+        `;
+
+        this.ranks = new Map();
+        common.trim().split(/\s+/).forEach(word => {
+            if (!this.ranks.has(word)) this.ranks.set(word, this.ranks.size);
+        });
+        this.intermediate = new Set(intermediate.trim().split(/\s+/).filter(word => !this.ranks.has(word)));
+    }
+
+    // Frequency bands, easiest first; A1/A2 split the common list, C1 means C1 and above
+    static get BANDS() {
+        return ['A1', 'A2', 'B1', 'B2', 'C1'];
+    }
+
+    /**
+     * 0 (everyday word) .. 1 (rare), or null for tokens that aren't words
+     */
+    score(word, language = 'en') {
+        const clean = (word || '').toLowerCase().replace(/^[^\p{L}]+|[^\p{L}]+$/gu, '');
+        if (clean.length < 2 || /\d/.test(clean)) return null;
+
+        const isEnglish = (language || 'en').split('-')[0].toLowerCase() === 'en';
+
+        if (isEnglish) {
+            const lemma = this.lemmatizer.lemmatize(clean, 'en');
+            const rank = this.ranks.get(clean) ?? this.ranks.get(lemma);
+            if (rank !== undefined) {
+                return 0.1 + 0.3 * (rank / this.ranks.size);
+            }
+            if (this.intermediate.has(clean) || this.intermediate.has(lemma)) {
+                return 0.45;
+            }
+        }
+
+        // Not a common word: longer words with more syllables tend to be rarer
+        const syllables = (clean.match(/[aeiouy]+/g) || []).length || 1;
+        const lengthScore = Math.max(0, clean.length - 4) * 0.04;
+        const syllableScore = Math.max(0, syllables - 1) * 0.06;
+        return Math.min(1, (isEnglish ? 0.5 : 0.35) + lengthScore + syllableScore);
+    }
+
+    /**
+     * CEFR-style band of a word, or null for tokens that aren't words
+     * Only English has a word list; other languages go by word shape alone, so short
+     * words come out A2/B1 and long, many-syllable ones B2/C1.
+     */
+    getBand(word, language = 'en') {
+        const score = this.score(word, language);
+        if (score === null) return null;
+
+        if (score < 0.25) return 'A1';
+        if (score <= 0.4) return 'A2';
+        if (score < 0.5) return 'B1';
+        if (score < 0.7) return 'B2';
+        return 'C1';
+    }
+
+    /**
+     * Lowest score worth preparing/highlighting at a definition level
+     */
+    getThreshold(level) {
+        return { beginner: 0.4, intermediate: 0.55, advanced: 0.7 }[level] ?? 0.55;
+    }
+
+    isDifficult(word, level, language = 'en') {
+        const score = this.score(word, language);
+        return score !== null && score >= this.getThreshold(level);
+    }
+}
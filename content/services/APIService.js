@@ -5,11 +5,126 @@ class AIService {
         this.storage = storage;
         // Notification service
         this.notifications = notifications;
+
+        // Language names for clearer instructions
+        this.languageNames = {
+            'en': 'English',
+            'fa': 'Persian',
+            'ja': 'Japanese',
+            'es': 'Spanish',
+            'fr': 'French',
+            'de': 'German',
+            'it': 'Italian',
+            'ko': 'Korean',
+            'zh': 'Chinese',
+            'ar': 'Arabic',
+            'hi': 'Hindi',
+            'pt': 'Portuguese',
+            'ru': 'Russian'
+        };
+    }
+
+    // 1. Chat API used in "own" mode (OpenAI, local OpenAI-compatible, Anthropic, Azure)
+    getProvider() {
+        return LLMProvider.create(this.storage.state.llmProvider, {
+            apiKey: this.storage.state.openaiApiKey,
+            baseUrl: this.storage.state.llmBaseUrl,
+            model: this.storage.state.llmModel,
+            relay: true  // This script runs with youtube.com's origin
+        });
+    }
+
+    // Parse a JSON reply, tolerating code fences or text around the object
+    parseJsonContent(content) {
+        try {
+            return JSON.parse(content);
+        } catch (error) {
+            const match = content.match(/\{[\s\S]*\}/);
+            if (!match) throw error;
+            return JSON.parse(match[0]);
+        }
+    }
+
+    // Parse a JSON reply that is still arriving: close the open string, arrays and objects,
+    // drop a half-written key, and return what's there so far (null if it can't be read yet)
+    parsePartialJson(text) {
+        const start = text.indexOf('{');
+        if (start < 0) return null;
+
+        let source = text.slice(start);
+        const closers = [];
+        let inString = false;
+        let escaped = false;
+
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+            if (inString) {
+                if (escaped) escaped = false;
+                else if (char === '\\') escaped = true;
+                else if (char === '"') inString = false;
+            } else if (char === '"') {
+                inString = true;
+            } else if (char === '{') {
+                closers.push('}');
+            } else if (char === '[') {
+                closers.push(']');
+            } else if (char === '}' || char === ']') {
+                closers.pop();
+                if (!closers.length) {
+                    source = source.slice(0, i + 1);
+                    break;
+                }
+            }
+        }
+
+        if (inString) {
+            if (escaped) source = source.slice(0, -1);
+            source += '"';
+        }
+
+        // A key without its value yet, or a trailing comma
+        source = source
+            .replace(/([{,])\s*"(?:[^"\\]|\\.)*"\s*:?\s*$/, (match, before) => closers[closers.length - 1] === '}' ? before : match)
+            .replace(/,\s*$/, '');
+
+        try {
+            return JSON.parse(source + closers.reverse().join(''));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Public API stream: { "delta": "..." } events carrying the analysis JSON in pieces,
+    // the last one with { "_usage": {...} }
+    async readPublicStream(response, onPartial) {
+        let text = '';
+        let usage = null;
+
+        for await (const data of LLMProvider.readEvents(response)) {
+            let event;
+            try {
+                event = JSON.parse(data);
+            } catch (error) {
+                continue;
+            }
+
+            if (event._usage) usage = event._usage;
+            if (typeof event.delta === 'string') {
+                text += event.delta;
+                const partial = this.parsePartialJson(text);
+                if (partial) onPartial(partial);
+            }
+        }
+
+        return { text: text, usage: usage };
     }
 
-    // 2. Call OpenAI API
-    async fetchWordAnalysis(word, context) {
+    // 2. Call the AI API
+    // onPartial: called with the fields parsed so far while the reply streams in
+    // signal: aborts the request; the result is then null
+    async fetchWordAnalysis(word, context, { onPartial = null, signal = null } = {}) {
         const apiMode = this.storage.state.apiMode || 'own';
+        const provider = this.getProvider();
         
         // Check limits based on API mode FIRST (before checking API key!)
         if (apiMode === 'public') {
@@ -26,19 +141,17 @@ class AIService {
                 };
             }
         } else if (apiMode === 'own') {
-            // Only check API key if using own mode
-            const OPENAI_API_KEY = this.storage.state.openaiApiKey;
-            
-            if (!OPENAI_API_KEY) {
+            // Only check API key if using own mode (local servers may not need one)
+            if (provider.requiresApiKey && !provider.apiKey) {
                 this.logger.error('No API key set!');
                 return {
                     pronunciation: '/set-api-key/',
                     partOfSpeech: 'error',
-                    definition: 'Please set your OpenAI API key in the extension settings.',
+                    definition: 'Please set your API key in the extension settings.',
                     synonyms: ['No', 'API', 'Key'],
                     translations: {},
                     frequency: 'error',
-                    refinedSentence: 'Please add your OpenAI API key in extension settings.',
+                    refinedSentence: 'Please add your API key in extension settings.',
                     sentenceTranslation: 'Extension settings required'
                 };
             }
@@ -58,26 +171,17 @@ class AIService {
             }
         }
             
-        // Check persistent cache first
-        let cacheKey = word;
-        if (context && typeof context === 'string' && context.length > 0) {
-            cacheKey = `${word}_${context.substring(0, 20)}`;
-        }
-        
-        if (this.storage.state.apiCache[cacheKey]) {
-            const cached = this.storage.state.apiCache[cacheKey];
-            if (Date.now() - cached.timestamp < this.storage.CACHE_DURATION) {
-                this.logger.info('Using cached response for:', word);
-                return cached.data;
-            } else {
-                // Remove expired entry
-                delete this.storage.state.apiCache[cacheKey];
-            }
+        // Check the sense cache first: reuse a stored meaning if it fits this context
+        const cachedSense = this.storage.findCachedSense(word, context);
+        if (cachedSense) {
+            this.logger.info('Using cached response for:', word);
+            return cachedSense;
         }
 
 
         // Check if common word (add this)
-        const isCommonWord = ['the', 'a', 'an', 'is', 'are', 'was', 'were'].includes(word.toLowerCase());
+        const isPhrase = /\s/.test(word.trim());
+        const isCommonWord = !isPhrase && ['the', 'a', 'an', 'is', 'are', 'was', 'were'].includes(word.toLowerCase());
 
         // Use preloaded settings (no need to fetch again)
         const targetLang = this.storage.state.targetLanguage;
@@ -86,19 +190,7 @@ class AIService {
         this.logger.debug(`Using settings: ${targetLang}, ${level}`);
 
         // Language names for clearer instructions
-        const langNames = {
-            'fa': 'Persian',
-            'ja': 'Japanese',
-            'es': 'Spanish',
-            'fr': 'French',
-            'de': 'German',
-            'ko': 'Korean',
-            'zh': 'Chinese',
-            'ar': 'Arabic',
-            'hi': 'Hindi',
-            'pt': 'Portuguese',
-            'ru': 'Russian'
-        };
+        const langNames = this.languageNames;
 
         // Level-specific instructions
         const levelInstructions = {
@@ -107,8 +199,27 @@ class AIService {
             'advanced': 'Use precise, sophisticated vocabulary and detailed explanations.'
         };
 
+        // Phrases and idioms are explained as one unit, not word by word
+        const phrasePrompt = `Phrase: "${word}"
+            Context: "${context}"
+            User Level: ${level}
+
+            Instructions: ${levelInstructions[level]} Explain what the whole phrase means in this context, not each word separately. If it is an idiom, give its figurative meaning.
+
+            Return JSON only:
+            {
+            "pronunciation": "IPA of the phrase",
+            "partOfSpeech": "phrasal verb/idiom/collocation/expression",
+            "definition": "VERY SIMPLE explanation of the phrase as a whole",
+            "synonyms": ["2-3 simple words or phrases with the same meaning"],
+            "translations": {"${targetLang}": "${langNames[targetLang]} translation of the phrase"},
+            "frequency": "very common/common/uncommon/rare",
+            "refinedSentence": "${context ? context.replace(/[.!?]+$/, '').trim() + '.' : 'The phrase ' + word + '.'}",
+            "sentenceTranslation": "translate sentence to ${langNames[targetLang]}"
+            }`;
+
         // Use optimized prompt
-        const prompt = isCommonWord ? 
+        const prompt = isPhrase ? phrasePrompt : isCommonWord ? 
             `Word: "${word}", Context: "${context}"
             JSON only: {"definition": "brief", "partOfSpeech": "type", "frequency": "very common"}` :
             `Word: "${word}"
@@ -137,6 +248,7 @@ class AIService {
         try {
 
             let response;
+            let reply = null;  // { text, usage } once the reply text has been read
     
     if (apiMode === 'public') {
         // Use Vocaminary public API
@@ -202,14 +314,18 @@ class AIService {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
+                'Accept': onPartial ? 'text/event-stream, application/json' : 'application/json',
                 'Authorization': `Bearer ${vocabToken}`
             },
             body: JSON.stringify({
                 word: word,
+                type: isPhrase ? 'phrase' : 'word',
                 context: context,
                 targetLanguage: this.storage.state.targetLanguage,
-                level: this.storage.state.definitionLevel
-            })
+                level: this.storage.state.definitionLevel,
+                stream: !!onPartial
+            }),
+            signal: signal
         });
         
         // Increment public API usage
@@ -218,43 +334,26 @@ class AIService {
     }
 
     else {
-        // Use personal OpenAI API key (your existing code)
-        const OPENAI_API_KEY = this.storage.state.openaiApiKey;
-        
-        if (!OPENAI_API_KEY) {
-            this.logger.error('No API key set!');
-            return {
-                pronunciation: '/set-api-key/',
-                partOfSpeech: 'error',
-                definition: 'Please set your OpenAI API key in the extension settings.',
-                // ... rest of your existing error response
-            };
-        }
-            response = await fetch('https://api.openai.com/v1/chat/completions', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${OPENAI_API_KEY}`
-                },
-                body: JSON.stringify({
-                model: 'gpt-3.5-turbo',
-                messages: [
-                    {
-                        role: 'system',
-                        content: systemMessage
-                    },
-                    {
-                        role: 'user',
-                        content: prompt
-                    }
-                ],
-                temperature: 0.1,
-                max_tokens: isCommonWord ? 100 : 300,
-                top_p: 0.1
-            })
-            });
+        // Use personal API key with the selected provider
+        const params = {
+            system: systemMessage,
+            prompt: prompt,
+            temperature: 0.1,
+            maxTokens: isCommonWord ? 100 : 300,
+            topP: 0.1
+        };
 
-            this.storage.state.incrementApiCall();
+        // Count it once it's sent: the provider bills aborted streams too
+        this.storage.state.incrementApiCall();
+
+        if (onPartial) {
+            reply = await provider.stream(params, (text) => {
+                const partial = this.parsePartialJson(text);
+                if (partial) onPartial(partial);
+            }, signal);
+        } else {
+            reply = await provider.completeWithUsage(params, signal);
+        }
         }
 
             // Clean old cache entries
@@ -264,7 +363,7 @@ class AIService {
             }
 
             
-            if (!response.ok) {
+            if (response && !response.ok) {
                 // Special handling for rate limit
                 if (response.status === 429) {
                     const errorData = await response.json();
@@ -282,70 +381,60 @@ class AIService {
                 throw new Error(`API error: ${response.status}`);
             }
 
-            const data = await response.json();
+            // The public API streams only when it supports it, otherwise it answers with JSON
+            if (response && onPartial && LLMProvider.isEventStream(response)) {
+                reply = await this.readPublicStream(response, onPartial);
+            }
+
+            const data = reply ? null : await response.json();
 
             // Parse based on which API we used
             let parsed;
             try {
                 if (apiMode === 'public') {
                     // Public API returns the analysis directly
-                    parsed = data;
+                    parsed = reply ? this.parseJsonContent(reply.text) : data;
+                    const usage = reply ? reply.usage : data?._usage;
                     
                     // Store usage info if available
-                    if (data && data._usage) {
-                        this.storage.state.publicApiUsage = data._usage.current;
+                    if (usage) {
+                        this.storage.state.publicApiUsage = usage.current;
                         await chrome.storage.sync.set({
-                            publicApiUsage: data._usage.current
+                            publicApiUsage: usage.current
                         });
-                        this.logger.info(`[YT Overlay] 📊 Public API usage: ${data._usage.current}/${data._usage.limit}`);
+                        this.logger.info(`[YT Overlay] 📊 Public API usage: ${usage.current}/${usage.limit}`);
                         
                         // Warning notifications (with proper check)
-                        if (data._usage.remaining !== undefined && data._usage.remaining <= 5) {
-                            this.notifications.showLimitWarning(data._usage.remaining);
+                        if (usage.remaining !== undefined && usage.remaining <= 5) {
+                            this.notifications.showLimitWarning(usage.remaining);
                         }
 
                         // Clean the response (remove internal fields)
                         delete parsed._usage;
                     }
                 } else {
-                    // OpenAI response needs parsing from content
-                    const content = data.choices[0].message.content;
-                    parsed = JSON.parse(content);
+                    // Provider reply needs parsing from content
+                    parsed = this.parseJsonContent(reply.text);
                     
-                    // Your existing token tracking for OpenAI
-                    if (data.usage) {
-                        this.logger.debug(`Tokens: ${data.usage.total_tokens}`);
+                    // Token tracking
+                    const totalTokens = reply.usage;
+                    if (totalTokens) {
+                        this.logger.debug(`Tokens: ${totalTokens}`);
                         
                         // Track daily usage
                         const today = new Date().toDateString();
                         const key = `tokens_${today}`;
                         const stored = await chrome.storage.local.get([key]);
                         await chrome.storage.local.set({
-                            [key]: (stored[key] || 0) + data.usage.total_tokens
+                            [key]: (stored[key] || 0) + totalTokens
                         });
                     }
                 }
                 
                 this.logger.debug('API response:', parsed);
                 
-                // Save to persistent cache (same for both modes)
-                this.storage.state.apiCache[cacheKey] = {
-                    data: parsed,
-                    timestamp: Date.now()
-                };
-                
-                // Limit cache size to prevent storage issues
-                const cacheKeys = Object.keys(this.storage.state.apiCache);
-                if (cacheKeys.length > 500) {
-                    // Remove oldest entries
-                    const sorted = cacheKeys.sort((a, b) => 
-                        this.storage.state.apiCache[a].timestamp - this.storage.state.apiCache[b].timestamp
-                    );
-                    sorted.slice(0, 100).forEach(key => delete this.storage.state.apiCache[key]);
-                }
-                
-                // Save to storage
-                await chrome.storage.local.set({ apiCache: this.storage.state.apiCache });
+                // Save to persistent cache as a sense of this word (same for both modes)
+                await this.storage.cacheSense(word, context, parsed);
                 this.logger.debug('Cached analysis saved to storage');
                 
                 return parsed;
@@ -356,7 +445,18 @@ class AIService {
             }
             
         } catch (error) {
+            // Tooltip closed or another word clicked
+            if (error.name === 'AbortError') {
+                this.logger.debug('Analysis cancelled:', word);
+                return null;
+            }
+
             this.logger.error('OpenAI API error:', error);
+
+            // Network/API failure - offline dictionary beats an error card
+            const offline = await this.storage.lookupOfflineDictionary(word);
+            if (offline) return offline;
+
             // Return fallback data
             return {
                 pronunciation: '/unknown/',
@@ -373,6 +473,132 @@ class AIService {
     }
 
 
+    // Analyze several words in one request for video preparation ("own" mode only).
+    // items: [{ word, context }]. Returns analyses aligned with `items` (null where
+    // one is missing), or null on failure. Counts as a single API call.
+    async analyzeWordBatch(items) {
+        if (!items || items.length === 0) return [];
+
+        const provider = this.getProvider();
+        if (provider.requiresApiKey && !provider.apiKey) {
+            this.logger.warn('No API key set, skipping batch analysis');
+            return null;
+        }
+
+        const targetLang = this.storage.state.targetLanguage;
+        const level = this.storage.state.definitionLevel;
+        const targetName = this.languageNames[targetLang] || targetLang;
+
+        const levelInstructions = {
+            'beginner': 'Use only simple, common words. Keep sentences very short.',
+            'intermediate': 'Use clear language with some advanced vocabulary where appropriate.',
+            'advanced': 'Use precise, sophisticated vocabulary.'
+        };
+
+        const prompt = `Explain each word as it is used in its context.
+            User Level: ${level}
+            Instructions: ${levelInstructions[level] || levelInstructions.intermediate}
+
+            Words:
+            ${JSON.stringify(items.map(item => ({ word: item.word, context: item.context })))}
+
+            Return JSON only, one result per word in the same order:
+            {"results": [{
+            "word": "the word",
+            "pronunciation": "IPA",
+            "partOfSpeech": "type",
+            "definition": "VERY SIMPLE explanation of the meaning in this context",
+            "synonyms": ["2-3 simple alternatives"],
+            "translations": {"${targetLang}": "${targetName} translation"},
+            "frequency": "very common/common/uncommon/rare",
+            "refinedSentence": "the context sentence, cleaned up",
+            "sentenceTranslation": "the context sentence in ${targetName}"
+            }]}`;
+
+        try {
+            this.storage.state.incrementApiCall();
+
+            const content = await provider.complete({
+                system: 'Analyze subtitle words for a language learner. JSON only.',
+                prompt: prompt,
+                temperature: 0.1,
+                maxTokens: 200 * items.length
+            });
+
+            const results = this.parseJsonContent(content).results;
+            if (!Array.isArray(results)) {
+                this.logger.warn('Batch analysis returned no results array');
+                return null;
+            }
+
+            // Match by word rather than trusting the order completely
+            return items.map((item, i) => {
+                const key = item.word.toLowerCase();
+                const result = results.find(r => r?.word?.toLowerCase() === key) || results[i];
+                if (!result || result.word?.toLowerCase() !== key || !result.definition) return null;
+
+                const { word, ...analysis } = result;
+                return analysis;
+            });
+
+        } catch (error) {
+            this.logger.error('Batch analysis error:', error);
+            return null;
+        }
+    }
+
+
+    // Translate a batch of caption lines for dual-subtitle mode.
+    // Returns an array aligned with `lines`, or null on failure.
+    async translateCaptions(lines, sourceLanguage, targetLanguage) {
+        if (!lines || lines.length === 0) return [];
+
+        // The public API only serves word analysis
+        if ((this.storage.state.apiMode || 'own') === 'public') {
+            this.logger.warn('Caption translation needs your own API key');
+            return null;
+        }
+
+        const sourceName = this.languageNames[sourceLanguage] || sourceLanguage;
+        const targetName = this.languageNames[targetLanguage] || targetLanguage;
+
+        try {
+            const provider = this.getProvider();
+            if (provider.requiresApiKey && !provider.apiKey) {
+                this.logger.warn('No API key set, skipping caption translation');
+                return null;
+            }
+
+            const prompt = `Translate each ${sourceName} subtitle line to ${targetName}.
+            Keep the same order and return exactly ${lines.length} items.
+
+            Lines:
+            ${JSON.stringify(lines)}
+
+            Return JSON only: {"translations": ["..."]}`;
+
+            const content = await provider.complete({
+                system: 'Translate subtitle lines. JSON only.',
+                prompt: prompt,
+                temperature: 0.1,
+                maxTokens: 60 * lines.length
+            });
+
+            const translations = this.parseJsonContent(content).translations;
+
+            if (!Array.isArray(translations) || translations.length !== lines.length) {
+                this.logger.warn('Translation count mismatch:', translations?.length, 'vs', lines.length);
+                return null;
+            }
+
+            return translations;
+
+        } catch (error) {
+            this.logger.error('Caption translation error:', error);
+            return null;
+        }
+    }
+
     async validateToken(token) {
         try {
             // Quick validation against your API
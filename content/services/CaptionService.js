@@ -9,6 +9,19 @@ class Caption {
 
         // Initialize SubtitleManager for caching and rate limiting
         this.subtitleManager = new SubtitleManager(logger, this.storage, notifications);
+        this.parser = this.subtitleManager.parser;
+
+        // Chunk size limits per segmentation profile ('off' keeps the track as is)
+        this.segmentationProfiles = {
+            beginner: { absoluteMaxWords: 5, absoluteMaxDuration: 2.0, idealWords: 4, idealDuration: 1.5, maxBreakPriority: 6 },
+            standard: { absoluteMaxWords: 12, absoluteMaxDuration: 3.5, idealWords: 8, idealDuration: 2.5, maxBreakPriority: 6 },
+            sentence: { absoluteMaxWords: 30, absoluteMaxDuration: 12, idealWords: 20, idealDuration: 8, maxBreakPriority: 2 }
+        };
+
+        // Unsegmented captions of the current video, so the profile can change without re-fetching
+        this.loadedTrack = null;
+        this.activeProfile = null;
+        this.profileOverridden = false;
     }
 
     // Helper to try multiple language variants
@@ -41,14 +54,7 @@ class Caption {
     }
 
     async fetchFromYtDlpServer(videoId) {
-        // Get video title and channel name from the page
-        const videoTitle = document.querySelector('h1.ytd-video-primary-info-renderer')?.textContent || 
-                         document.querySelector('#title h1')?.textContent || 
-                         document.title.replace(' - YouTube', '') || 
-                         'Unknown';
-        const channelName = document.querySelector('#channel-name a')?.textContent || 
-                           document.querySelector('#owner #text a')?.textContent || 
-                           'Unknown';
+        const { videoTitle, channelName } = this.getVideoInfo();
 
         this.logger.info(`[Caption] Fetching subtitles for: ${videoTitle} by ${channelName}`);
 
@@ -64,6 +70,12 @@ class Caption {
 
             if (result.limit_reached) {
                 errorType = 'daily_limit';
+            } else if (result.availableLanguages) {
+                errorType = 'wrong_language';
+                errorDetails = {
+                    requestedLanguage: result.requestedLanguage,
+                    availableLanguages: result.availableLanguages
+                };
             } else if (result.wait_time) {
                 errorType = 'rate_limited';
                 errorDetails.waitMinutes = Math.ceil(result.wait_time / 60);
@@ -114,47 +126,17 @@ class Caption {
             return false;
         }
 
-        // Process the subtitles based on format
-        let processedCaptions;
-        
-        if (result.captions) {
-            // Already parsed captions (from cache or JSON3)
-            if (result.captions[0] && result.captions[0].words) {
-                // Has word data, process normally
-                processedCaptions = result.captions;
-            } else if (result.captions[0] && result.captions[0].text) {
-                // Text only, need to extract words
-                processedCaptions = result.captions.map(caption => ({
-                    ...caption,
-                    words: this.extractWords(caption.text)
-                }));
-            } else {
-                processedCaptions = result.captions;
-            }
-        } else if (result.content) {
-            // VTT content, need to parse
-            processedCaptions = this.parseVTTCaptions(result.content);
-        } else {
+        let processedCaptions = this.toCaptionList(result);
+        if (!processedCaptions) {
             this.logger.error('[Caption] Unknown subtitle format');
             return false;
         }
 
-        // Apply segmentation if needed (but skip for Vocaminary - they have good timing already)
-        const skipSegmentation = result.captionData?.type === 'manual' ||
-                                result.captionData?.source === 'vocaminary';
-        
-        if (result.captionData && !skipSegmentation) {
-            processedCaptions = this.applyUltraStrictSegmentation(processedCaptions);
-            this.logger.info('[Caption] Applied segmentation to captions');
-        } else {
-            this.logger.info('[Caption] Skipping segmentation - using original timing');
-        }
-
-        // Store in state
-        this.state.setParsedCaptions(processedCaptions);
+        // Segment with the active profile and store in state
+        processedCaptions = await this.setTrack(videoId, processedCaptions, this.isWellTimed(result));
         this.state.setCaptionData({
             count: processedCaptions.length,
-            language: result.captionData?.language || 'en',
+            language: result.captionData?.language || this.subtitleManager.currentLanguage,
             source: result.source,
             cached: result.cached,
             type: result.captionData?.type
@@ -187,13 +169,56 @@ class Caption {
 
         return {
             count: processedCaptions.length,
-            language: result.captionData?.language || 'en',
+            language: result.captionData?.language || this.subtitleManager.currentLanguage,
             source: result.source,
             fromCache: result.cached
         };
     }
 
 
+    /**
+     * Load a .srt/.vtt/.ttml/.json3 file the user picked for this video
+     * offset shifts every cue, in seconds (positive = later)
+     */
+    async loadSubtitleFile(videoId, file, offset = 0) {
+        const content = await file.text();
+        const captions = this.parser.parse(content);
+
+        if (!captions.length) {
+            throw new Error('No subtitles found in this file');
+        }
+
+        const captionData = {
+            language: this.state.sourceLanguage || 'en',
+            fileName: file.name,
+            offset: offset
+        };
+
+        // Stored unshifted so the offset can be changed later
+        await this.subtitleManager.saveUserSubtitles(videoId, captions, captionData);
+
+        const shifted = await this.setTrack(videoId, this.parser.shiftCaptions(captions, offset), true);
+        this.state.setCaptionData({
+            count: shifted.length,
+            language: captionData.language,
+            source: 'user-file',
+            cached: false,
+            type: 'user-file'
+        });
+
+        this.notifications.showCacheStatus('user-file');
+        this.logger.info(`[Caption] Loaded ${shifted.length} captions from ${file.name} (offset ${offset}s)`);
+
+        return shifted.length;
+    }
+
+    async removeSubtitleFile(videoId) {
+        await this.subtitleManager.deleteUserSubtitles(videoId);
+        this.loadedTrack = null;
+        this.state.setParsedCaptions([]);
+        this.state.setCaptionData(null);
+    }
+
     async fetchVTTFormat(videoId) {
         const serverUrl = 'http://localhost:5000';
         
@@ -246,6 +271,68 @@ class Caption {
     }
 
     
+    // Video title and channel name from the page
+    getVideoInfo() {
+        const videoTitle = document.querySelector('h1.ytd-video-primary-info-renderer')?.textContent || 
+                         document.querySelector('#title h1')?.textContent || 
+                         document.title.replace(' - YouTube', '') || 
+                         'Unknown';
+        const channelName = document.querySelector('#channel-name a')?.textContent || 
+                           document.querySelector('#owner #text a')?.textContent || 
+                           'Unknown';
+        return { videoTitle, channelName };
+    }
+
+    /**
+     * Captions with words for a fetch result, whatever format it came in; null if unknown
+     */
+    toCaptionList(result) {
+        if (result.captions) {
+            // Already parsed captions (from cache or JSON3)
+            if (result.captions[0] && result.captions[0].words) {
+                // Has word data, process normally
+                return result.captions;
+            } else if (result.captions[0] && result.captions[0].text) {
+                // Text only, need to extract words
+                return result.captions.map(caption => ({
+                    ...caption,
+                    words: this.extractWords(caption.text)
+                }));
+            }
+            return result.captions;
+        } else if (result.content) {
+            // VTT content, need to parse (segmentation happens later)
+            return this.extractRawCaptions(result.content);
+        }
+        return null;
+    }
+
+    // Manual, Vocaminary and user-file tracks have good timing already
+    isWellTimed(result) {
+        return !result.captionData ||
+               result.captionData.type === 'manual' ||
+               result.captionData.source === 'vocaminary' ||
+               result.captionData.source === 'user-file';
+    }
+
+    /**
+     * A video's captions as sentences, without loading them into the overlay
+     * For rating a video on open; null when no captions could be fetched
+     */
+    async fetchSentencesForAnalysis(videoId) {
+        const { videoTitle, channelName } = this.getVideoInfo();
+        const result = await this.subtitleManager.fetchSubtitles(videoId, videoTitle, channelName);
+        if (result.error || result.success === false) {
+            this.logger.debug(`[Caption] No captions to rate ${videoId}: ${result.error || result.errorType}`);
+            return null;
+        }
+
+        const captions = this.toCaptionList(result);
+        if (!captions) return null;
+
+        return this.reconstructSentences(captions, !this.isWellTimed(result));
+    }
+
     // ========== CAPTION PARSING ==========
 
     parseVTTCaptions(vttContent) {
@@ -266,84 +353,225 @@ class Caption {
     }
 
     extractRawCaptions(vttContent) {
-        const captions = [];
-        const lines = vttContent.split('\n');
-        let i = 0;
-        
-        while (i < lines.length) {
-            const line = lines[i].trim();
-            
-            // Look for timestamp line
-            if (line.includes(' --> ')) {
-                const timeMatch = line.match(/(\d{2}:\d{2}:\d{2}\.\d{3})\s+-->\s+(\d{2}:\d{2}:\d{2}\.\d{3})/);
-                
-                if (timeMatch) {
-                    const startTime = this.parseVTTTime(timeMatch[1]);
-                    const endTime = this.parseVTTTime(timeMatch[2]);
-                    
-                    // Collect caption text
-                    const textLines = [];
-                    i++;
-                    
-                    while (i < lines.length && lines[i].trim() !== '' && !lines[i].includes(' --> ')) {
-                        const cleanText = lines[i].trim()
-                            .replace(/<[^>]+>/g, '')                    // Remove HTML tags
-                            .replace(/align:start position:\d+%/g, '')  // Remove positioning
-                            .replace(/\s+/g, ' ')                       // Normalize spaces
-                            .trim();
-                        
-                        if (cleanText) {
-                            textLines.push(cleanText);
-                        }
-                        i++;
-                    }
-                    
-                    // Create caption if we have text
-                    const fullText = textLines.join(' ').trim();
-                    if (fullText) {
-                        captions.push({
-                            start: startTime,
-                            end: endTime,
-                            text: fullText,
-                            words: this.extractWords(fullText),
-                            originalIndex: captions.length
-                        });
+        try {
+            return this.parser.parse(vttContent);
+        } catch (error) {
+            this.logger.error('Subtitle parse error:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Keep a freshly loaded track and store it split with the active profile
+     * Well-timed tracks keep their own cues under the standard profile
+     */
+    async setTrack(videoId, captions, wellTimed) {
+        const sentences = this.reconstructSentences(captions, !wellTimed);
+        this.logger.debug(`Reconstructed ${sentences.length} sentences from ${captions.length} cues`);
+
+        this.loadedTrack = { videoId, captions, wellTimed, sentences };
+        return this.resegment();
+    }
+
+    /**
+     * Re-split the loaded track with the current profile (settings default or per-video override)
+     */
+    async resegment() {
+        const track = this.loadedTrack;
+        if (!track) return [];
+
+        const override = await this.storage.getSegmentationOverride(track.videoId);
+        this.activeProfile = override || this.state.segmentationProfile || 'standard';
+        this.profileOverridden = !!override;
+
+        const captions = this.segmentCaptions(track, this.activeProfile);
+        this.state.setParsedCaptions(captions);
+        return captions;
+    }
+
+    /**
+     * Display captions for a track; each one carries the full sentence it belongs to
+     */
+    segmentCaptions(track, profile) {
+        if (profile === 'off' || (profile === 'standard' && track.wellTimed)) {
+            this.logger.info('[Caption] Skipping segmentation - using original timing');
+            return this.attachSentences(track.captions, track.sentences);
+        }
+
+        const limits = this.segmentationProfiles[profile] || this.segmentationProfiles.standard;
+        this.logger.info(`[Caption] Applied ${profile} segmentation to captions`);
+
+        // Split sentence by sentence so no chunk straddles two of them
+        return track.sentences.flatMap((sentence, sentenceIndex) =>
+            this.applyUltraStrictSegmentation([sentence], limits).map(segment => ({
+                ...segment,
+                sentence: sentence.text,
+                sentenceIndex: sentenceIndex
+            }))
+        );
+    }
+
+    // ========== SENTENCE RECONSTRUCTION ==========
+
+    /**
+     * Merge cues into sentences. Rolling auto-caption cues repeat the previous
+     * line, so that overlap is dropped first. Tracks without sentence punctuation
+     * (auto-generated) get it restored from pauses in the speech.
+     */
+    reconstructSentences(captions, rolling) {
+        const stream = this.buildWordStream(captions, rolling);
+        if (!stream.length) return [];
+
+        const MAX_WORDS = 30;
+        const PAUSE = 0.8;
+        const starters = new Set(['so', 'and', 'but', 'now', 'then', 'because', 'well', 'okay', 'actually']);
+
+        const terminalCount = stream.filter(entry => /[.!?]/.test(entry.word.punctuation)).length;
+        const restore = terminalCount * 25 < stream.length;
+
+        const sentences = [];
+        let current = [];
+
+        stream.forEach((entry, i) => {
+            current.push(entry);
+
+            const next = stream[i + 1];
+            if (!next || /[.!?]/.test(entry.word.punctuation)) {
+                sentences.push(this.buildSentence(current, restore));
+                current = [];
+                return;
+            }
+            if (!restore) return;
+
+            if (next.start - entry.end >= PAUSE && current.length >= 3) {
+                sentences.push(this.buildSentence(current, true));
+                current = [];
+            } else if (current.length >= MAX_WORDS) {
+                // Too long without a pause: break before the latest "so", "and", ... if there is one
+                let split = current.length;
+                for (let k = current.length - 1; k >= Math.max(1, current.length - 15); k--) {
+                    if (starters.has(current[k].word.text.toLowerCase())) {
+                        split = k;
+                        break;
                     }
                 }
+                sentences.push(this.buildSentence(current.slice(0, split), true));
+                current = current.slice(split);
+            }
+        });
+
+        return sentences;
+    }
+
+    /**
+     * Every word of the track once, in order, with a start/end time
+     * (estimated from the cue when the word has no timing of its own)
+     */
+    buildWordStream(captions, rolling) {
+        const stream = [];
+
+        captions.forEach(caption => {
+            let words = caption.words || [];
+
+            // Rolling cues start with the words the previous cue ended on
+            if (rolling) {
+                words = words.slice(this.findRollingOverlap(stream, words));
+            }
+
+            const duration = caption.end - caption.start;
+            words.forEach((word, i) => {
+                stream.push({
+                    word: word,
+                    start: word.start ?? caption.start + duration * i / words.length,
+                    end: word.end ?? caption.start + duration * (i + 1) / words.length,
+                    speaker: caption.speaker,
+                    style: caption.style
+                });
+            });
+        });
+
+        return stream;
+    }
+
+    // Longest run at the end of the stream that the cue repeats at its start
+    findRollingOverlap(stream, words) {
+        const normalize = text => text.toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+        const max = Math.min(words.length, stream.length, 40);
+
+        for (let k = max; k >= 1; k--) {
+            // A single repeated word is usually real speech ("no, no") unless it is the whole cue
+            if (k === 1 && words.length > 1) break;
+
+            let matches = true;
+            for (let j = 0; j < k; j++) {
+                if (normalize(stream[stream.length - k + j].word.text) !== normalize(words[j].text)) {
+                    matches = false;
+                    break;
+                }
             }
-            i++;
+            if (matches) return k;
         }
-        
-        return captions;
+        return 0;
+    }
+
+    buildSentence(entries, restored) {
+        // Copies, so restored punctuation never leaks into the raw track
+        const words = entries.map(entry => ({ ...entry.word }));
+
+        if (restored) {
+            const last = words[words.length - 1];
+            if (!/[.!?]/.test(last.punctuation)) last.punctuation = '.';
+            words[0].text = words[0].text.charAt(0).toUpperCase() + words[0].text.slice(1);
+        }
+
+        return {
+            start: entries[0].start,
+            end: entries[entries.length - 1].end,
+            text: words.map(word => word.text + word.punctuation).join(' '),
+            words: words,
+            speaker: entries[0].speaker,
+            style: entries[0].style
+        };
     }
 
-    applyUltraStrictSegmentation(rawCaptions) {
+    /**
+     * Tag original cues with the sentence(s) they overlap in time
+     */
+    attachSentences(captions, sentences) {
+        let first = 0;
+
+        return captions.map(caption => {
+            while (first < sentences.length && sentences[first].end <= caption.start) first++;
+
+            const overlapping = [];
+            for (let i = first; i < sentences.length && sentences[i].start < caption.end; i++) {
+                overlapping.push(sentences[i].text);
+            }
+
+            return {
+                ...caption,
+                sentence: overlapping.join(' ') || caption.text,
+                sentenceIndex: overlapping.length ? first : -1
+            };
+        });
+    }
+
+    applyUltraStrictSegmentation(rawCaptions, limits = this.segmentationProfiles.standard) {
         const segmentedCaptions = [];
         
-        // ULTRA-STRICT LIMITS
-        const ABSOLUTE_MAX_WORDS = 12;     // Raised from 7
-        const ABSOLUTE_MAX_DURATION = 3.5;  // Raised from 2.0
-        const IDEAL_WORDS = 8;              // Raised from 4
-        const IDEAL_DURATION = 2.5;         // Raised from 1.5
-        
         for (const caption of rawCaptions) {
             const words = caption.words;
             const duration = caption.end - caption.start;
             
             // Check if caption needs segmentation
-            if (words.length <= IDEAL_WORDS && duration <= IDEAL_DURATION) {
+            if (words.length <= limits.idealWords && duration <= limits.idealDuration) {
                 // Already perfect
                 segmentedCaptions.push(caption);
                 continue;
             }
             
             // Segment this caption
-            const segments = this.segmentCaption(caption, {
-                absoluteMaxWords: ABSOLUTE_MAX_WORDS,
-                absoluteMaxDuration: ABSOLUTE_MAX_DURATION,
-                idealWords: IDEAL_WORDS,
-                idealDuration: IDEAL_DURATION
-            });
+            const segments = this.segmentCaption(caption, limits);
             
             segmentedCaptions.push(...segments);
         }
@@ -362,8 +590,9 @@ class Caption {
         const segmentsByDuration = Math.ceil(totalDuration / limits.idealDuration);
         const targetSegments = Math.max(segmentsByWords, segmentsByDuration);
         
-        // Find natural break points in the text
-        const breakPoints = this.findNaturalBreaks(text);
+        // Find natural break points in the text (the sentence profile only splits at sentences and clauses)
+        const breakPoints = this.findNaturalBreaks(text)
+            .filter(breakPoint => breakPoint.priority <= limits.maxBreakPriority);
         
         if (breakPoints.length > 0 && targetSegments > 1) {
             // Try to segment at natural breaks
@@ -454,8 +683,11 @@ class Caption {
             
             // Check if segment is within limits
             if (segmentWords.length > 0 && segmentWords.length <= limits.absoluteMaxWords) {
-                const segmentStart = caption.start + (lastPosition / text.length) * duration;
-                const segmentEnd = caption.start + (breakPosition / text.length) * duration;
+                const { start: segmentStart, end: segmentEnd } = this.getSegmentTiming(
+                    segmentWords,
+                    caption.start + (lastPosition / text.length) * duration,
+                    caption.start + (breakPosition / text.length) * duration
+                );
                 const segmentDuration = segmentEnd - segmentStart;
                 
                 if (segmentDuration <= limits.absoluteMaxDuration) {
@@ -463,7 +695,9 @@ class Caption {
                         start: segmentStart,
                         end: segmentEnd,
                         text: segmentText,
-                        words: segmentWords
+                        words: segmentWords,
+                        speaker: caption.speaker,
+                        style: caption.style
                     });
                     
                     lastPosition = breakPosition;
@@ -478,7 +712,9 @@ class Caption {
                         start: caption.start + (lastPosition / text.length) * duration,
                         end: caption.start + (breakPosition / text.length) * duration,
                         text: segmentText,
-                        words: segmentWords
+                        words: segmentWords,
+                        speaker: caption.speaker,
+                        style: caption.style
                     },
                     limits.idealWords,
                     limits.absoluteMaxWords
@@ -549,12 +785,19 @@ class Caption {
             // Calculate timing
             const progress = currentIndex / words.length;
             const nextProgress = Math.min((currentIndex + chunkSize) / words.length, 1);
+            const timing = this.getSegmentTiming(
+                chunkWords,
+                caption.start + (progress * duration),
+                caption.start + (nextProgress * duration)
+            );
             
         segments.push({
-        start: caption.start + (progress * duration),
-        end: caption.start + (nextProgress * duration),
+        start: timing.start,
+        end: timing.end,
         text: chunkText,
-        words: chunkWords
+        words: chunkWords,
+        speaker: caption.speaker,
+        style: caption.style
     });
 
             currentIndex += chunkSize;
@@ -563,26 +806,19 @@ class Caption {
         return segments;
     }
 
-    parseVTTTime(timeString) {
-        const parts = timeString.replace(',', '.').split(':');
-        let seconds = 0;
-        
-        if (parts.length === 3) {
-            seconds = parseInt(parts[0]) * 3600 + parseInt(parts[1]) * 60 + parseFloat(parts[2]);
-        } else if (parts.length === 2) {
-            seconds = parseInt(parts[0]) * 60 + parseFloat(parts[1]);
-        } else {
-            seconds = parseFloat(parts[0]);
+    // Word-timed segments use their real word times instead of the text-length estimate
+    getSegmentTiming(words, estimatedStart, estimatedEnd) {
+        const first = words[0];
+        const last = words[words.length - 1];
+
+        if (first?.start !== undefined && last?.end !== undefined) {
+            return { start: first.start, end: last.end };
         }
-        
-        return seconds;
+        return { start: estimatedStart, end: estimatedEnd };
     }
 
     extractWords(text) {
-        return text.split(/\s+/).filter(word => word.length > 0).map(word => ({
-            text: word.replace(/[.,!?;:]$/, ''),
-            punctuation: /[.,!?;:]$/.test(word) ? word.slice(-1) : ''
-        }));
+        return this.parser.extractWords(text);
     }
 
     logSegmentationStats() {
@@ -0,0 +1,140 @@
+/**
+ * CaptionTranslationService - Translated caption lines for dual-subtitle mode
+ * Translates captions lazily in batches and caches them in IndexedDB
+ */
+class CaptionTranslationService {
+    constructor(state, AI, subtitleManager, logger) {
+        this.state = state;
+        this.AI = AI;
+        this.subtitleManager = subtitleManager;
+        this.logger = logger || console;
+
+        this.batchSize = 20; // Captions per translation request
+
+        // Translations for the current video, keyed by original caption text
+        // (text survives re-segmentation, indexes don't)
+        this.cacheKey = null;
+        this.entries = {};
+        this.loadPromise = null;
+
+        // Caption text -> in-flight batch promise
+        this.pending = new Map();
+
+        // After a failed batch, wait before asking again (doubles per failure in a row)
+        this.failedUntil = 0;
+        this.retryDelay = 0;
+        this.minRetryDelay = 5000;
+        this.maxRetryDelay = 5 * 60 * 1000;
+    }
+
+    /**
+     * Cache key for the current video and language pair
+     */
+    getCacheKey() {
+        const videoId = this.state.getCurrentVideoId();
+        if (!videoId) return null;
+
+        const sourceLanguage = this.getSourceLanguage();
+        const targetLanguage = this.state.targetLanguage;
+        return `${videoId}:${sourceLanguage}:${targetLanguage}`;
+    }
+
+    getSourceLanguage() {
+        return this.subtitleManager?.currentLanguage || this.state.sourceLanguage || 'en';
+    }
+
+    /**
+     * Load cached translations when the video or language pair changes
+     */
+    async ensureLoaded() {
+        const cacheKey = this.getCacheKey();
+        if (!cacheKey) return false;
+
+        if (cacheKey !== this.cacheKey) {
+            this.cacheKey = cacheKey;
+            this.entries = {};
+            this.pending.clear();
+            this.failedUntil = 0;
+            this.retryDelay = 0;
+            this.loadPromise = this.subtitleManager.getTranslationsFromIndexedDB(cacheKey)
+                .then(entries => {
+                    if (entries && this.cacheKey === cacheKey) {
+                        this.entries = { ...entries, ...this.entries };
+                        this.logger.debug(`Loaded ${Object.keys(entries).length} cached translations`);
+                    }
+                });
+        }
+
+        await this.loadPromise;
+        return true;
+    }
+
+    /**
+     * Get the translation for a caption index, fetching its batch if needed
+     */
+    async getTranslation(index) {
+        const caption = this.state.getParsedCaptions()[index];
+        if (!caption?.text) return null;
+
+        if (!await this.ensureLoaded()) return null;
+
+        const text = caption.text;
+        if (text in this.entries) return this.entries[text];
+
+        if (!this.pending.has(text)) {
+            if (Date.now() < this.failedUntil) return null;
+            this.translateBatch(index);
+        }
+
+        await this.pending.get(text);
+        return this.entries[text] || null;
+    }
+
+    /**
+     * Translate the untranslated captions starting at index in one request
+     */
+    translateBatch(startIndex) {
+        const cacheKey = this.cacheKey;
+        const captions = this.state.getParsedCaptions();
+
+        const lines = [];
+        for (let i = startIndex; i < captions.length && lines.length < this.batchSize; i++) {
+            const text = captions[i]?.text;
+            if (!text || text in this.entries || this.pending.has(text) || lines.includes(text)) continue;
+            lines.push(text);
+        }
+
+        if (lines.length === 0) return;
+
+        const sourceLanguage = this.getSourceLanguage();
+        const targetLanguage = this.state.targetLanguage;
+
+        this.logger.debug(`Translating ${lines.length} captions (${sourceLanguage} → ${targetLanguage})`);
+
+        const batch = this.AI.translateCaptions(lines, sourceLanguage, targetLanguage)
+            .then(async translations => {
+                // Video or language changed while the request was in flight
+                if (this.cacheKey !== cacheKey) return;
+
+                if (!translations) {
+                    this.retryDelay = Math.min(this.maxRetryDelay, Math.max(this.minRetryDelay, this.retryDelay * 2));
+                    this.failedUntil = Date.now() + this.retryDelay;
+                    this.logger.warn(`Caption translation failed, retrying in ${this.retryDelay / 1000}s`);
+                    return;
+                }
+
+                this.retryDelay = 0;
+                lines.forEach((line, i) => {
+                    this.entries[line] = translations[i];
+                });
+                await this.subtitleManager.saveTranslationsToIndexedDB(cacheKey, this.entries);
+            })
+            .finally(() => {
+                if (this.cacheKey === cacheKey) {
+                    lines.forEach(line => this.pending.delete(line));
+                }
+            });
+
+        lines.forEach(line => this.pending.set(line, batch));
+    }
+}
@@ -0,0 +1,404 @@
+/**
+ * LLM Providers - Request building and response parsing per chat API
+ * Used by AIService for "own" API mode and by the settings page test button.
+ * With `relay: true` requests go through the service worker, so every caller reaches
+ * the API with the extension's origin instead of the page's (youtube.com), which
+ * local servers and CORS would reject.
+ */
+class LLMProvider {
+    constructor(config = {}) {
+        this.type = 'openai';  // Set by create()
+        this.apiKey = config.apiKey || '';
+        this.baseUrl = (config.baseUrl || this.defaultBaseUrl).replace(/\/+$/, '');
+        this.model = config.model || this.defaultModel;
+        this.relay = !!config.relay;
+    }
+
+    get defaultBaseUrl() { return ''; }
+    get defaultModel() { return ''; }
+    get requiresApiKey() { return true; }
+
+    /**
+     * Host permission pattern for the API endpoint ("https://host/*"), or null without a valid URL.
+     * The relay's fetch only skips CORS for hosts the extension has been granted.
+     */
+    get originPattern() {
+        try {
+            return `${new URL(this.baseUrl).origin}/*`;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Build the fetch request for one chat completion
+     * Returns { url, options } ready for fetch(); `stream` asks for a server-sent events reply
+     */
+    buildRequest({ system, prompt, maxTokens, temperature, topP, stream }) {
+        throw new Error('buildRequest not implemented');
+    }
+
+    /**
+     * Extract the text reply from a parsed JSON response
+     */
+    parseResponse(data) {
+        throw new Error('parseResponse not implemented');
+    }
+
+    /**
+     * Total tokens used, or null if the API doesn't report it
+     */
+    getUsage(data) {
+        return null;
+    }
+
+    /**
+     * Text and token count carried by one parsed stream event: { text, usage }
+     */
+    parseStreamEvent(event) {
+        throw new Error('parseStreamEvent not implemented');
+    }
+
+    async checkResponse(response) {
+        if (!response.ok) {
+            const detail = await response.text().catch(() => '');
+            throw new Error(`API error: ${response.status} ${detail.substring(0, 200)}`);
+        }
+    }
+
+    async complete(params, signal = null) {
+        const reply = await this.completeWithUsage(params, signal);
+        return reply.text;
+    }
+
+    /**
+     * One chat completion as { text, usage }
+     */
+    async completeWithUsage(params, signal = null) {
+        if (this.relay) return this.relayRequest('complete', params, null, signal);
+
+        const { url, options } = this.buildRequest(params);
+        const response = await fetch(url, { ...options, signal: signal });
+        await this.checkResponse(response);
+
+        const data = await response.json();
+        return { text: this.parseResponse(data), usage: this.getUsage(data) };
+    }
+
+    /**
+     * Like complete(), but reads the reply while it's generated
+     * onText gets the whole reply so far after every chunk; returns { text, usage }.
+     * Servers that ignore the stream flag and answer with plain JSON still work.
+     */
+    async stream(params, onText, signal = null) {
+        if (this.relay) return this.relayRequest('stream', params, onText, signal);
+
+        const { url, options } = this.buildRequest({ ...params, stream: true });
+        const response = await fetch(url, { ...options, signal: signal });
+        await this.checkResponse(response);
+
+        if (!LLMProvider.isEventStream(response)) {
+            const data = await response.json();
+            const text = this.parseResponse(data);
+            onText(text);
+            return { text: text, usage: this.getUsage(data) };
+        }
+
+        let text = '';
+        let usage = null;
+
+        for await (const data of LLMProvider.readEvents(response)) {
+            let event;
+            try {
+                event = JSON.parse(data);
+            } catch (error) {
+                continue;
+            }
+
+            const chunk = this.parseStreamEvent(event);
+            if (chunk.usage) usage = (usage || 0) + chunk.usage;
+            if (chunk.text) {
+                text += chunk.text;
+                onText(text);
+            }
+        }
+
+        return { text: text, usage: usage };
+    }
+
+    /**
+     * Run complete/stream in the service worker (see background/service-worker.js)
+     * Aborting the signal disconnects the port, which aborts the request there.
+     */
+    relayRequest(method, params, onText = null, signal = null) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(new DOMException('Request aborted', 'AbortError'));
+                return;
+            }
+
+            const port = chrome.runtime.connect({ name: LLMProvider.RELAY_PORT });
+            let settled = false;
+
+            const finish = (callback, value) => {
+                if (settled) return;
+                settled = true;
+                signal?.removeEventListener('abort', onAbort);
+                port.disconnect();
+                callback(value);
+            };
+            const onAbort = () => finish(reject, new DOMException('Request aborted', 'AbortError'));
+            signal?.addEventListener('abort', onAbort);
+
+            port.onMessage.addListener((message) => {
+                if (message.type === 'text') {
+                    if (!settled && onText) onText(message.text);
+                } else if (message.type === 'error') {
+                    finish(reject, new Error(message.error));
+                } else {
+                    finish(resolve, message.result);
+                }
+            });
+            port.onDisconnect.addListener(() => finish(reject, new Error('Extension service worker disconnected')));
+
+            port.postMessage({
+                provider: this.type,
+                config: { apiKey: this.apiKey, baseUrl: this.baseUrl, model: this.model },
+                method: method,
+                params: params
+            });
+        });
+    }
+
+    static isEventStream(response) {
+        return (response.headers.get('content-type') || '').includes('text/event-stream');
+    }
+
+    /**
+     * Data payloads of a server-sent events response, as they arrive
+     */
+    static async *readEvents(response) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        const parseEvent = (event) => event.split(/\r?\n/)
+            .filter(line => line.startsWith('data:'))
+            .map(line => line.slice(5).replace(/^ /, ''))
+            .join('\n');
+
+        try {
+            while (true) {
+                const { value, done } = await reader.read();
+                if (done) break;
+
+                buffer += decoder.decode(value, { stream: true });
+                const events = buffer.split(/\r?\n\r?\n/);
+                buffer = events.pop();
+
+                for (const event of events) {
+                    const data = parseEvent(event);
+                    if (data && data !== '[DONE]') yield data;
+                }
+            }
+
+            const data = parseEvent(buffer);
+            if (data && data !== '[DONE]') yield data;
+        } finally {
+            reader.releaseLock();
+        }
+    }
+
+    /**
+     * Send a tiny prompt to check URL, model and key
+     */
+    async testConnection() {
+        if (this.requiresApiKey && !this.apiKey) {
+            return { ok: false, message: 'API key is required' };
+        }
+
+        try {
+            const reply = await this.complete({
+                system: 'Connection test.',
+                prompt: 'Reply with OK.',
+                maxTokens: 5,
+                temperature: 0
+            });
+            return { ok: true, message: `Connected to ${this.model} (replied "${reply.trim()}")` };
+        } catch (error) {
+            return { ok: false, message: error.message };
+        }
+    }
+
+    static create(type, config) {
+        const known = LLMProvider.PROVIDERS[type] ? type : 'openai';
+        const provider = new LLMProvider.PROVIDERS[known](config);
+        provider.type = known;
+        return provider;
+    }
+}
+
+class OpenAIProvider extends LLMProvider {
+    get defaultBaseUrl() { return 'https://api.openai.com/v1'; }
+    get defaultModel() { return 'gpt-3.5-turbo'; }
+    get reportsStreamUsage() { return true; }  // Understands stream_options
+
+    getEndpoint() {
+        return `${this.baseUrl}/chat/completions`;
+    }
+
+    getAuthHeaders() {
+        return { 'Authorization': `Bearer ${this.apiKey}` };
+    }
+
+    buildBody({ system, prompt, maxTokens, temperature, topP, stream }) {
+        const body = {
+            model: this.model,
+            messages: [
+                { role: 'system', content: system },
+                { role: 'user', content: prompt }
+            ],
+            temperature: temperature,
+            max_tokens: maxTokens
+        };
+        if (topP !== undefined) body.top_p = topP;
+        if (stream) {
+            body.stream = true;
+            if (this.reportsStreamUsage) body.stream_options = { include_usage: true };
+        }
+        return body;
+    }
+
+    buildRequest(params) {
+        return {
+            url: this.getEndpoint(),
+            options: {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...this.getAuthHeaders()
+                },
+                body: JSON.stringify(this.buildBody(params))
+            }
+        };
+    }
+
+    parseResponse(data) {
+        return data.choices[0].message.content;
+    }
+
+    getUsage(data) {
+        return data.usage?.total_tokens ?? null;
+    }
+
+    parseStreamEvent(event) {
+        return {
+            text: event.choices?.[0]?.delta?.content || '',
+            usage: event.usage?.total_tokens ?? null  // Last chunk only
+        };
+    }
+}
+
+// Ollama, llama.cpp server, LM Studio, vLLM...
+class OpenAICompatibleProvider extends OpenAIProvider {
+    get defaultBaseUrl() { return 'http://localhost:11434/v1'; }
+    get defaultModel() { return 'llama3.1'; }
+    get requiresApiKey() { return false; }
+    get reportsStreamUsage() { return false; }
+
+    getAuthHeaders() {
+        return this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {};
+    }
+}
+
+class AzureOpenAIProvider extends OpenAIProvider {
+    // Base URL is the resource endpoint, model is the deployment name
+    get defaultBaseUrl() { return ''; }
+    get defaultModel() { return ''; }
+    get reportsStreamUsage() { return false; }  // Not in api-version 2024-02-01
+
+    getEndpoint() {
+        if (!this.baseUrl || !this.model) {
+            throw new Error('Azure needs a resource URL and deployment name');
+        }
+        return `${this.baseUrl}/openai/deployments/${encodeURIComponent(this.model)}/chat/completions?api-version=2024-02-01`;
+    }
+
+    getAuthHeaders() {
+        return { 'api-key': this.apiKey };
+    }
+
+    buildBody(params) {
+        const body = super.buildBody(params);
+        delete body.model; // Deployment is part of the URL
+        return body;
+    }
+}
+
+class AnthropicProvider extends LLMProvider {
+    get defaultBaseUrl() { return 'https://api.anthropic.com/v1'; }
+    get defaultModel() { return 'claude-3-5-haiku-latest'; }
+
+    buildRequest({ system, prompt, maxTokens, temperature, stream }) {
+        const body = {
+            model: this.model,
+            system: system,
+            messages: [
+                { role: 'user', content: prompt }
+            ],
+            max_tokens: maxTokens,
+            temperature: temperature
+        };
+        if (stream) body.stream = true;
+
+        return {
+            url: `${this.baseUrl}/messages`,
+            options: {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'x-api-key': this.apiKey,
+                    'anthropic-version': '2023-06-01',
+                    'anthropic-dangerous-direct-browser-access': 'true'
+                },
+                body: JSON.stringify(body)
+            }
+        };
+    }
+
+    parseResponse(data) {
+        return (data.content || [])
+            .filter(block => block.type === 'text')
+            .map(block => block.text)
+            .join('');
+    }
+
+    getUsage(data) {
+        if (!data.usage) return null;
+        return (data.usage.input_tokens || 0) + (data.usage.output_tokens || 0);
+    }
+
+    parseStreamEvent(event) {
+        switch (event.type) {
+            case 'content_block_delta':
+                return { text: event.delta?.type === 'text_delta' ? event.delta.text : '', usage: null };
+            case 'message_start':
+                return { text: '', usage: event.message?.usage?.input_tokens || null };
+            case 'message_delta':
+                return { text: '', usage: event.usage?.output_tokens || null };  // Final output count
+            case 'error':
+                throw new Error(`API error: ${event.error?.message || 'stream failed'}`);
+            default:
+                return { text: '', usage: null };
+        }
+    }
+}
+
+LLMProvider.RELAY_PORT = 'llm-request';
+
+LLMProvider.PROVIDERS = {
+    'openai': OpenAIProvider,
+    'openai-compatible': OpenAICompatibleProvider,
+    'anthropic': AnthropicProvider,
+    'azure': AzureOpenAIProvider
+};
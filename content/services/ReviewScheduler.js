@@ -0,0 +1,137 @@
+/**
+ * ReviewScheduler - SM-2 spaced repetition for saved words
+ * Review state lives on each savedWordsData entry under `review`
+ */
+class ReviewScheduler {
+    constructor(logger) {
+        this.logger = logger || console;
+
+        this.DAY_MS = 24 * 60 * 60 * 1000;
+        this.MIN_EASE = 1.3;
+        this.DEFAULT_EASE = 2.5;
+        this.MAX_HISTORY = 50; // Review entries kept per word
+
+        // Answer buttons -> SM-2 quality (0-5)
+        this.GRADES = {
+            again: 1,
+            hard: 3,
+            good: 4,
+            easy: 5
+        };
+    }
+
+    /**
+     * Fresh review state for a newly saved word (due immediately)
+     */
+    createReviewState(now = Date.now()) {
+        return {
+            ease: this.DEFAULT_EASE,
+            interval: 0,        // Days
+            repetitions: 0,
+            dueAt: now,
+            lastReviewedAt: null,
+            history: []
+        };
+    }
+
+    /**
+     * Review state for a saved word entry (words saved before scheduling get a fresh state)
+     */
+    getReviewState(entry) {
+        if (entry?.review) return entry.review;
+
+        const savedAt = entry?.savedAt ? new Date(entry.savedAt).getTime() : Date.now();
+        return this.createReviewState(isNaN(savedAt) ? Date.now() : savedAt);
+    }
+
+    /**
+     * Apply one SM-2 step and return the new review state
+     */
+    schedule(review, quality, now = Date.now()) {
+        const next = { ...review, history: [...(review.history || [])] };
+
+        if (quality < 3) {
+            // Lapse - start over, but keep the ease penalty
+            next.repetitions = 0;
+            next.interval = 1;
+        } else {
+            if (next.repetitions === 0) {
+                next.interval = 1;
+            } else if (next.repetitions === 1) {
+                next.interval = 6;
+            } else {
+                next.interval = Math.round(next.interval * next.ease);
+            }
+            next.repetitions += 1;
+        }
+
+        const penalty = 5 - quality;
+        next.ease = Math.max(
+            this.MIN_EASE,
+            next.ease + (0.1 - penalty * (0.08 + penalty * 0.02))
+        );
+        next.ease = Math.round(next.ease * 100) / 100;
+
+        next.dueAt = now + next.interval * this.DAY_MS;
+        next.lastReviewedAt = now;
+
+        next.history.push({
+            reviewedAt: now,
+            quality: quality,
+            interval: next.interval,
+            ease: next.ease
+        });
+        if (next.history.length > this.MAX_HISTORY) {
+            next.history = next.history.slice(-this.MAX_HISTORY);
+        }
+
+        return next;
+    }
+
+    /**
+     * Saved words that are due, most overdue first. Words later marked known or
+     * ignored (lemma -> status, as in StateManager.wordStatuses) are no longer learned.
+     */
+    getDueWords(savedWordsData, wordStatuses = {}, now = Date.now()) {
+        return Object.entries(savedWordsData || {})
+            .filter(([key, entry]) => !wordStatuses[entry?.lemma || key])
+            .map(([key, entry]) => ({ key, entry, review: this.getReviewState(entry) }))
+            .filter(item => item.review.dueAt <= now)
+            .sort((a, b) => a.review.dueAt - b.review.dueAt);
+    }
+
+    async loadDueWords() {
+        const result = await chrome.storage.local.get(['savedWordsData', 'wordStatuses']);
+        return this.getDueWords(result.savedWordsData || {}, result.wordStatuses?.words);
+    }
+
+    async getDueCount() {
+        try {
+            const due = await this.loadDueWords();
+            return due.length;
+        } catch (error) {
+            this.logger.error('Error counting due words:', error);
+            return 0;
+        }
+    }
+
+    /**
+     * Grade a word and persist the new schedule
+     */
+    async recordReview(wordKey, quality) {
+        const result = await chrome.storage.local.get(['savedWordsData']);
+        const savedWordsData = result.savedWordsData || {};
+        const entry = savedWordsData[wordKey];
+
+        if (!entry) {
+            this.logger.warn('Review for unknown word:', wordKey);
+            return null;
+        }
+
+        entry.review = this.schedule(this.getReviewState(entry), quality);
+        await chrome.storage.local.set({ savedWordsData: savedWordsData });
+
+        this.logger.debug(`Reviewed "${wordKey}" (q=${quality}), next in ${entry.review.interval}d`);
+        return entry.review;
+    }
+}
@@ -9,13 +9,249 @@ class StorageManagement {
         
         this.savedWords = {};  // For quick lookups
 
+        // Inflection-aware matching of saved words
+        this.lemmatizer = new Lemmatizer();
+
+        // Known/ignored word marks, mirrored to chrome.storage.sync
+        this.WORD_STATUS_SYNC_DELAY = 2000;
+        this.WORD_STATUS_CHUNK_BYTES = 7000;  // Under the 8KB per-item sync quota
+        this.MAX_WORD_STATUS_CHUNKS = 8;  // Leave the rest of the 100KB for settings
+        this.wordStatusSyncTimer = null;
+
+        // Word sense cache: a context reuses a cached sense when enough keywords overlap
+        this.SENSE_MATCH_THRESHOLD = 0.15;
+        this.MAX_SENSES_PER_WORD = 5;
+        this.MAX_SENSE_KEYWORDS = 60;
+        this.contextStopwords = new Set([
+            'the', 'and', 'but', 'for', 'nor', 'not', 'yet', 'you', 'your', 'yours', 'she', 'her', 'hers',
+            'him', 'his', 'its', 'our', 'ours', 'they', 'them', 'their', 'this', 'that', 'these', 'those',
+            'what', 'which', 'who', 'whom', 'whose', 'when', 'where', 'why', 'how', 'are', 'was', 'were',
+            'been', 'being', 'have', 'has', 'had', 'having', 'does', 'did', 'doing', 'will', 'would',
+            'shall', 'should', 'can', 'could', 'may', 'might', 'must', 'with', 'from', 'into', 'onto',
+            'about', 'over', 'under', 'than', 'then', 'there', 'here', 'just', 'very', 'also', 'too',
+            'some', 'any', 'all', 'each', 'every', 'such', 'own', 'same', 'other', 'more', 'most',
+            'only', 'out', 'off', 'again', 'once', 'gonna', 'wanna', 'yeah', 'okay', 'like', 'really',
+            'thing', 'things', 'something', 'someone', 'get', 'got', 'know', 'mean', 'used', 'use',
+            'word', 'phrase', 'somebody'
+        ]);
+
+    }
+
+    getLemma(word) {
+        // Phrases lemmatize word by word: "gave up on" -> "give up on"
+        return word.toLowerCase().trim().split(/\s+/)
+            .map(token => this.lemmatizer.lemmatize(token, this.state.sourceLanguage))
+            .join(' ');
+    }
+
+    isPhrase(text) {
+        return /\s/.test(text.trim());
+    }
+
+    rebuildLemmaIndex() {
+        this.state.savedLemmas = new Map();
+        this.state.savedPhrases = [];
+
+        Object.keys(this.state.savedWords).forEach(wordKey => {
+            const lemma = this.state.savedWords[wordKey].lemma || this.getLemma(wordKey);
+            this.state.savedLemmas.set(lemma, wordKey);
+
+            if (this.isPhrase(wordKey)) {
+                this.state.savedPhrases.push({ key: wordKey, lemmas: lemma.split(' ') });
+            }
+        });
+
+        this.state.savedPhrases.sort((a, b) => b.lemmas.length - a.lemmas.length);
+    }
+
+    // Saved phrases inside a caption's words, as non-overlapping [start, end] word ranges
+    findPhraseMatches(wordTexts) {
+        if (!this.state.savedPhrases.length) return [];
+
+        const lemmas = wordTexts.map(text => this.getLemma(text));
+        const taken = new Array(lemmas.length).fill(false);
+        const matches = [];
+
+        this.state.savedPhrases.forEach(phrase => {
+            const length = phrase.lemmas.length;
+            for (let start = 0; start + length <= lemmas.length; start++) {
+                const fits = phrase.lemmas.every((lemma, i) => lemmas[start + i] === lemma && !taken[start + i]);
+                if (!fits) continue;
+
+                for (let i = start; i < start + length; i++) taken[i] = true;
+                matches.push({ key: phrase.key, start: start, end: start + length - 1 });
+            }
+        });
+
+        return matches.sort((a, b) => a.start - b.start);
+    }
+
+    // Saved entry key for any form of a word ("runs" -> "running"), or null
+    findSavedWordKey(word) {
+        const wordKey = word.toLowerCase().trim();
+        if (wordKey in this.state.savedWords) return wordKey;
+        return this.state.savedLemmas.get(this.getLemma(wordKey)) || null;
+    }
+
+    isWordSaved(word) {
+        return this.findSavedWordKey(word) !== null;
+    }
+
+    /**
+     * 'known', 'ignored', 'learning' (saved) or 'unknown'
+     * Known/ignored marks win over a saved entry, so a learned word can graduate without losing its data
+     */
+    getWordStatus(word) {
+        const status = this.state.wordStatuses[this.getLemma(word)];
+        if (status) return status;
+        return this.isWordSaved(word) ? 'learning' : 'unknown';
+    }
+
+    async setWordStatus(word, status) {
+        return this.setWordStatuses([word], status);
+    }
+
+    /**
+     * Mark words 'known' or 'ignored'; any other status clears the mark
+     * (saved words then show as learning again). Saving and unsaving go through saveWord/deleteWord.
+     */
+    async setWordStatuses(words, status) {
+        words.forEach(word => {
+            const lemma = this.getLemma(word);
+            if (status === 'known' || status === 'ignored') {
+                this.state.wordStatuses[lemma] = status;
+            } else {
+                delete this.state.wordStatuses[lemma];
+            }
+        });
+
+        await this.saveWordStatuses();
+        this.refreshOverlayHighlights();
+    }
+
+    // Returns true when the marks in memory changed
+    async loadWordStatuses() {
+        try {
+            const { wordStatuses } = await chrome.storage.local.get(['wordStatuses']);
+            const local = wordStatuses || { rev: 0, words: {} };
+            const synced = await this.readSyncedWordStatuses();
+
+            // Whichever side changed last wins (another device, or this one while offline)
+            let changed;
+            if (synced && synced.rev > local.rev) {
+                await chrome.storage.local.set({ wordStatuses: synced });
+                changed = this.applyWordStatuses(synced);
+            } else {
+                changed = this.applyWordStatuses(local);
+            }
+
+            this.logger.debug(`Loaded ${Object.keys(this.state.wordStatuses).length} known/ignored words`);
+            return changed;
+        } catch (error) {
+            this.logger.error('Error loading word statuses:', error);
+            return false;
+        }
+    }
+
+    // Returns false when the stored copy is the one already in memory
+    applyWordStatuses(stored) {
+        if (!stored || stored.rev === this.state.wordStatusesRev) return false;
+
+        this.state.wordStatuses = { ...stored.words };
+        this.state.wordStatusesRev = stored.rev;
+        return true;
+    }
+
+    async saveWordStatuses() {
+        const stored = { rev: Date.now(), words: { ...this.state.wordStatuses } };
+        this.state.wordStatusesRev = stored.rev;
+        await chrome.storage.local.set({ wordStatuses: stored });
+
+        // Sync writes are rate limited, so a burst of quick marks goes out as one
+        clearTimeout(this.wordStatusSyncTimer);
+        this.wordStatusSyncTimer = setTimeout(() => this.syncWordStatuses(stored), this.WORD_STATUS_SYNC_DELAY);
+    }
+
+    /**
+     * Mirror the marks to chrome.storage.sync as "k<lemma>|i<lemma>|…" strings
+     * split across items, since a single sync item holds at most 8KB
+     */
+    async syncWordStatuses(stored) {
+        try {
+            const encoder = new TextEncoder();
+            const chunks = [];
+            let chunk = '';
+            let chunkBytes = 0;
+
+            Object.entries(stored.words).forEach(([lemma, status]) => {
+                const entry = status[0] + lemma;
+                const entryBytes = encoder.encode(entry).length + 1;
+
+                if (chunk && chunkBytes + entryBytes > this.WORD_STATUS_CHUNK_BYTES) {
+                    chunks.push(chunk);
+                    chunk = '';
+                    chunkBytes = 0;
+                }
+                chunk += (chunk ? '|' : '') + entry;
+                chunkBytes += entryBytes;
+            });
+            if (chunk) chunks.push(chunk);
+
+            if (chunks.length > this.MAX_WORD_STATUS_CHUNKS) {
+                this.logger.warn(`Too many known words to sync (${Object.keys(stored.words).length}), keeping them on this device only`);
+                return;
+            }
+
+            const { wordStatusSync } = await chrome.storage.sync.get(['wordStatusSync']);
+            const items = { wordStatusSync: { rev: stored.rev, chunks: chunks.length } };
+            chunks.forEach((text, i) => items[`wordStatusSync_${i}`] = text);
+            await chrome.storage.sync.set(items);
+
+            // Drop chunks left over from a longer list
+            const stale = [];
+            for (let i = chunks.length; i < (wordStatusSync?.chunks || 0); i++) stale.push(`wordStatusSync_${i}`);
+            if (stale.length) await chrome.storage.sync.remove(stale);
+        } catch (error) {
+            this.logger.error('Word status sync failed:', error);
+        }
+    }
+
+    async readSyncedWordStatuses() {
+        const { wordStatusSync } = await chrome.storage.sync.get(['wordStatusSync']);
+        if (!wordStatusSync?.chunks) return wordStatusSync ? { rev: wordStatusSync.rev, words: {} } : null;
+
+        const keys = Array.from({ length: wordStatusSync.chunks }, (_, i) => `wordStatusSync_${i}`);
+        const chunks = await chrome.storage.sync.get(keys);
+        const statuses = { k: 'known', i: 'ignored' };
+        const words = {};
+
+        keys.forEach(key => {
+            (chunks[key] || '').split('|').forEach(entry => {
+                if (statuses[entry[0]] && entry.length > 1) words[entry.slice(1)] = statuses[entry[0]];
+            });
+        });
+
+        return { rev: wordStatusSync.rev, words: words };
     }
     async loadSettings() {
         try {
             const settings = await chrome.storage.sync.get([
                 'openaiApiKey',
+                'llmProvider',
+                'llmBaseUrl',
+                'llmModel',
+                'sourceLanguage',
                 'targetLanguage', 
                 'definitionLevel',
+                'dualSubtitles',
+                'karaokeHighlight',
+                'markUnknownWords',
+                'segmentationProfile',
+                'hoverGloss',
+                'hoverDelay',
+                'autoPause',
+                'autoPrepareVideo',
+                'analyzeOnOpen',
                 'apiMode',  
                 'publicApiUsage',  
                 'publicApiLastReset',
@@ -23,8 +259,21 @@ class StorageManagement {
             ]);
             
             this.state.openaiApiKey = settings.openaiApiKey || '';
+            this.state.llmProvider = settings.llmProvider || 'openai';
+            this.state.llmBaseUrl = settings.llmBaseUrl || '';
+            this.state.llmModel = settings.llmModel || '';
+            this.state.sourceLanguage = settings.sourceLanguage || 'en';
             this.state.targetLanguage = settings.targetLanguage || 'ja';
             this.state.definitionLevel = settings.definitionLevel || 'beginner';
+            this.state.dualSubtitles = settings.dualSubtitles || false;
+            this.state.karaokeHighlight = settings.karaokeHighlight !== false;
+            this.state.markUnknownWords = settings.markUnknownWords === true;
+            this.state.segmentationProfile = settings.segmentationProfile || 'standard';
+            this.state.hoverGloss = settings.hoverGloss || false;
+            this.state.hoverDelay = parseInt(settings.hoverDelay) || 300;
+            this.state.autoPause = settings.autoPause || 'click';
+            this.state.autoPrepareVideo = settings.autoPrepareVideo || false;
+            this.state.analyzeOnOpen = settings.analyzeOnOpen || false;
             
             this.state.apiMode = settings.apiMode || 'own';  // 'own' or 'public'
             this.state.publicApiUsage = settings.publicApiUsage || 0;
@@ -63,7 +312,9 @@ class StorageManagement {
             let cleaned = false;
             
             Object.keys(this.state.apiCache).forEach(key => {
-                if (now - this.state.apiCache[key].timestamp > this.CACHE_DURATION) {
+                // Entries from before the sense cache were keyed by context snippet
+                const entry = this.state.apiCache[key];
+                if (!entry.senses || now - entry.timestamp > this.CACHE_DURATION) {
                     delete this.state.apiCache[key];
                     cleaned = true;
                 }
@@ -80,6 +331,44 @@ class StorageManagement {
         }
     }
 
+    /**
+     * Per-video subtitle delay in seconds
+     */
+    async getSubtitleOffset(videoId) {
+        const { subtitleOffsets } = await chrome.storage.local.get(['subtitleOffsets']);
+        return subtitleOffsets?.[videoId] || 0;
+    }
+
+    async setSubtitleOffset(videoId, seconds) {
+        const { subtitleOffsets = {} } = await chrome.storage.local.get(['subtitleOffsets']);
+
+        if (seconds) {
+            subtitleOffsets[videoId] = seconds;
+        } else {
+            delete subtitleOffsets[videoId];
+        }
+        await chrome.storage.local.set({ subtitleOffsets });
+    }
+
+    /**
+     * Per-video caption chunk size, overriding the settings default
+     */
+    async getSegmentationOverride(videoId) {
+        const { segmentationOverrides } = await chrome.storage.local.get(['segmentationOverrides']);
+        return segmentationOverrides?.[videoId] || null;
+    }
+
+    async setSegmentationOverride(videoId, profile) {
+        const { segmentationOverrides = {} } = await chrome.storage.local.get(['segmentationOverrides']);
+
+        if (profile) {
+            segmentationOverrides[videoId] = profile;
+        } else {
+            delete segmentationOverrides[videoId];
+        }
+        await chrome.storage.local.set({ segmentationOverrides });
+    }
+
     async loadSavedWords() {
         try {
             // 🔧 FIX: Load from savedWordsData (the correct key)
@@ -91,6 +380,7 @@ class StorageManagement {
             Object.keys(savedWordsData).forEach(wordKey => {
                 this.state.savedWords[wordKey] = savedWordsData[wordKey];
             });
+            this.rebuildLemmaIndex();
             
             
             // Initial highlight with local words
@@ -128,6 +418,7 @@ class StorageManagement {
                                     fromCloud: true
                                 };
                             });
+                            this.rebuildLemmaIndex();
                             
                             
                             // Re-highlight after cloud words are loaded
@@ -153,7 +444,7 @@ class StorageManagement {
         }
     }
 
-    async saveWord(word, analysisData = null) {
+    async saveWord(word, analysisData = null, captionIndex = null) {
         const wordKey = word.toLowerCase().trim();
         
         // 🔧 FIX: Use consistent storage key 'savedWordsData'
@@ -162,6 +453,11 @@ class StorageManagement {
         
         const timestamp = new Date().toISOString();
         const videoId = (this.state && this.state.getCurrentVideoId()) || this.extractVideoId(window.location.href);
+
+        // Caption the word was saved from (shown again during review); a transcript
+        // line can differ from the one playing, so callers pass its index
+        const lineIndex = captionIndex ?? this.state?.getCurrentCaptionIndex();
+        const caption = this.state?.getParsedCaptions()?.[lineIndex];
         
         // Save with analysis data
         savedWordsData[wordKey] = { 
@@ -169,7 +465,12 @@ class StorageManagement {
             savedAt: timestamp,  // Changed from 'timestamp' to 'savedAt' for consistency
             videoId: videoId,
             videoTitle: document.title.replace(' - YouTube', ''),
-            analysis: analysisData  // Store analysis in nested object
+            type: this.isPhrase(word) ? 'phrase' : 'word',
+            lemma: this.getLemma(word),
+            context: caption?.sentence || caption?.text || '',
+            videoTime: caption ? Math.floor(caption.start) : null,
+            analysis: analysisData,  // Store analysis in nested object
+            review: savedWordsData[wordKey]?.review  // Keep schedule when re-saving
         };
         
         // 🔧 FIX: Save to storage with correct key
@@ -177,7 +478,15 @@ class StorageManagement {
         
         // Update in-memory cache
         this.state.savedWords[wordKey] = savedWordsData[wordKey];
-        
+        this.rebuildLemmaIndex();
+
+        // Saving a known or ignored word puts it back into learning
+        const lemma = savedWordsData[wordKey].lemma;
+        if (this.state.wordStatuses[lemma]) {
+            delete this.state.wordStatuses[lemma];
+            await this.saveWordStatuses();
+        }
+
         // Update word count badge
         const wordCount = Object.keys(savedWordsData).length;
         try {
@@ -213,7 +522,7 @@ class StorageManagement {
                     pronunciation: analysisData?.pronunciation || '',
                     partOfSpeech: analysisData?.partOfSpeech || '',
                     synonyms: analysisData?.synonyms || [],
-                    context: analysisData?.refinedSentence || '',
+                    context: analysisData?.refinedSentence || caption?.sentence || '',
                     frequency: analysisData?.frequency || '',
                     videoId: videoId,
                     videoTitle: document.title.replace(' - YouTube', '')
@@ -235,7 +544,8 @@ class StorageManagement {
 
 
     async deleteWord(word) {
-        const wordKey = word.toLowerCase().trim();
+        // Any inflected form deletes the saved entry it resolves to
+        const wordKey = this.findSavedWordKey(word) || word.toLowerCase().trim();
         
         try {
             // Remove from local storage
@@ -252,6 +562,7 @@ class StorageManagement {
             
             // Remove from in-memory cache
             delete this.state.savedWords[wordKey];
+            this.rebuildLemmaIndex();
             
             // Update word count badge
             const wordCount = Object.keys(savedWordsData).length;
@@ -266,7 +577,7 @@ class StorageManagement {
             // Remove highlight from captions
             const subtitleWords = document.querySelectorAll('.subtitle-word');
             subtitleWords.forEach(wordElement => {
-                if (wordElement.textContent.toLowerCase().trim() === wordKey) {
+                if (!this.isWordSaved(wordElement.textContent)) {
                     wordElement.classList.remove('highlighted-word');
                 }
             });
@@ -394,56 +705,65 @@ class StorageManagement {
         }
     }
 
-    async getCachedWordData(word) {
+    /**
+     * Cached analysis for `word`, only if it was made for the meaning used in `context`
+     * (defaults to the current caption)
+     */
+    async getCachedWordData(word, context = null) {
         const wordKey = word.toLowerCase().trim();
+
+        if (context === null) {
+            const caption = this.state?.getParsedCaptions()?.[this.state.getCurrentCaptionIndex()];
+            context = caption?.sentence || caption?.text || '';
+        }
         
-        // 1️⃣ Check saved words with full analysis
+        // 1️⃣ Check saved words with full analysis (any inflected form)
         const savedResult = await chrome.storage.local.get(['savedWordsData']);
         const savedWordsData = savedResult.savedWordsData || {};
+        const savedKey = this.findSavedWordKey(word) || wordKey;
+        const saved = savedWordsData[savedKey];
         
-        if (savedWordsData[wordKey]?.analysis) {
-            this.logger.info(`Found in saved words with analysis`);
-            return {
-                ...savedWordsData[wordKey].analysis,
-                _source: 'saved_words',
-                _savedAt: savedWordsData[wordKey].savedAt
-            };
-        }
-        
-        // 2️⃣ Check API cache (in-memory)
-        const contextSnippet = (this.state && this.state.getParsedCaptions())?.[this.state.getCurrentCaptionIndex()]?.text || '';
-        const cacheKey = `${word}_${contextSnippet.substring(0, Math.min(20, contextSnippet.length))}`;
-        if (this.state.apiCache[cacheKey]) {
-            const cached = this.state.apiCache[cacheKey];
-            if (Date.now() - cached.timestamp < this.CACHE_DURATION) {
-                this.logger.info(`Found in API cache (memory)`);
+        if (saved?.analysis) {
+            if (this.fitsSense(word, context, saved.analysis, saved.context)) {
+                this.logger.info(`Found in saved words with analysis`);
                 return {
-                    ...cached.data,
-                    _source: 'api_cache_memory'
+                    ...saved.analysis,
+                    _source: 'saved_words',
+                    _savedAt: saved.savedAt
                 };
             }
+            this.logger.debug(`Saved analysis of "${word}" is for another sense`);
         }
         
-        // 3️⃣ Check API cache (storage)
+        // 2️⃣ Check sense cache (in-memory)
+        const cachedSense = this.findCachedSense(word, context);
+        if (cachedSense) {
+            this.logger.info(`Found in API cache (memory)`);
+            return {
+                ...cachedSense,
+                _source: 'api_cache_memory'
+            };
+        }
+        
+        // 3️⃣ Check sense cache (storage), for senses added by another tab
         const storageResult = await chrome.storage.local.get(['apiCache']);
-        const storageCache = storageResult.apiCache || {};
+        const stored = storageResult.apiCache?.[wordKey];
         
-        if (storageCache[cacheKey]) {
-            const cached = storageCache[cacheKey];
-            if (Date.now() - cached.timestamp < this.CACHE_DURATION) {
+        if (stored?.senses && stored.timestamp > (this.state.apiCache[wordKey]?.timestamp || 0)) {
+            this.state.apiCache[wordKey] = stored;
+            const storedSense = this.findCachedSense(word, context);
+            if (storedSense) {
                 this.logger.info(`Found in API cache (storage)`);
-                // Also load to memory for faster access next time
-                this.state.apiCache[cacheKey] = cached;
                 return {
-                    ...cached.data,
+                    ...storedSense,
                     _source: 'api_cache_storage'
                 };
             }
         }
         
         // 4️⃣ Check database words if available
-        if (this.state.databaseWords && this.state.databaseWords.has(wordKey)) {
-            const dbWord = this.state.databaseWords.get(wordKey);
+        const dbWord = this.state.databaseWords?.get(wordKey);
+        if (dbWord && this.fitsSense(word, context, dbWord, dbWord.context || dbWord.context_sentence)) {
             this.logger.info(`Found in database cache`);
             // Return the raw database word - it should already have the right format
             return {
@@ -459,10 +779,196 @@ class StorageManagement {
             };
         }
         
+        // 5️⃣ Offline dictionary, only when the AI can't be reached anyway
+        if (!this.isAiAvailable()) {
+            const offline = await this.lookupOfflineDictionary(word);
+            if (offline) {
+                this.logger.info(`Found in offline dictionary`);
+                return offline;
+            }
+        }
+        
         // No cached data found
         return null;
     }
 
+    // Lemmatized content words of a text, minus the looked-up word itself
+    getContextKeywords(text, word = '') {
+        if (!text || typeof text !== 'string') return [];
+
+        const own = new Set(this.getLemma(word).split(' '));
+        const keywords = new Set();
+
+        (text.toLowerCase().match(/[\p{L}\p{N}']+/gu) || []).forEach(token => {
+            token = token.replace(/'s$/, '').replace(/'/g, '');
+            if (token.length < 3 || /^\d+$/.test(token) || this.contextStopwords.has(token)) return;
+
+            const lemma = this.lemmatizer.lemmatize(token, this.state.sourceLanguage);
+            if (!own.has(lemma) && !this.contextStopwords.has(lemma)) {
+                keywords.add(lemma);
+            }
+        });
+
+        return [...keywords];
+    }
+
+    // What a sense is about: the sentence it came from plus its definition and synonyms
+    getSenseKeywords(word, analysis, senseContext) {
+        const description = [analysis?.definition, ...(Array.isArray(analysis?.synonyms) ? analysis.synonyms : [])]
+            .filter(text => typeof text === 'string')
+            .join(' ');
+
+        return [...new Set([
+            ...this.getContextKeywords(senseContext, word),
+            ...this.getContextKeywords(description, word)
+        ])];
+    }
+
+    // Cosine similarity of two keyword sets
+    scoreSense(contextKeywords, senseKeywords) {
+        if (!contextKeywords.length || !senseKeywords.length) return 0;
+
+        const sense = new Set(senseKeywords);
+        const shared = contextKeywords.filter(keyword => sense.has(keyword)).length;
+        return shared / Math.sqrt(contextKeywords.length * sense.size);
+    }
+
+    // Whether an analysis made in `senseContext` can be reused for `context`
+    fitsSense(word, context, analysis, senseContext) {
+        const keywords = this.getContextKeywords(context, word);
+
+        // Nothing to tell senses apart by
+        if (!keywords.length || !senseContext) return true;
+
+        return this.scoreSense(keywords, this.getSenseKeywords(word, analysis, senseContext)) >= this.SENSE_MATCH_THRESHOLD;
+    }
+
+    /**
+     * Cached analysis of the sense of `word` that best fits `context`, or null if none fits
+     */
+    findCachedSense(word, context) {
+        const entry = this.state.apiCache[word.toLowerCase().trim()];
+        if (!entry?.senses) return null;
+
+        const now = Date.now();
+        entry.senses = entry.senses.filter(sense => now - sense.timestamp < this.CACHE_DURATION);
+        if (!entry.senses.length) return null;
+
+        // Without context, the most recently used sense is the best guess
+        const keywords = this.getContextKeywords(context, word);
+        if (!keywords.length) return entry.senses[0].data;
+
+        let best = null;
+        let bestScore = 0;
+        entry.senses.forEach(sense => {
+            const score = this.scoreSense(keywords, sense.keywords);
+            if (score > bestScore) {
+                best = sense;
+                bestScore = score;
+            }
+        });
+
+        if (!best || bestScore < this.SENSE_MATCH_THRESHOLD) return null;
+
+        this.logger.debug(`Sense match for "${word}": ${bestScore.toFixed(2)}`);
+
+        // Learn this context too, and keep the sense at the front as most recently used
+        best.keywords = [...new Set([...best.keywords, ...keywords])].slice(0, this.MAX_SENSE_KEYWORDS);
+        entry.senses = [best, ...entry.senses.filter(sense => sense !== best)];
+
+        return best.data;
+    }
+
+    /**
+     * Store a fresh analysis as a sense of `word`; one matching an existing sense's
+     * definition is merged into it instead of added. Batch callers pass save = false
+     * and call saveApiCache() once at the end.
+     */
+    async cacheSense(word, context, data, save = true) {
+        const wordKey = word.toLowerCase().trim();
+        const entry = this.state.apiCache[wordKey]?.senses ? this.state.apiCache[wordKey] : { senses: [] };
+        const now = Date.now();
+
+        const keywords = this.getSenseKeywords(word, data, context);
+        const definition = this.getSenseKeywords(word, data, '');
+        const same = entry.senses.find(sense =>
+            sense.data.partOfSpeech === data.partOfSpeech &&
+            this.scoreSense(definition, this.getSenseKeywords(word, sense.data, '')) >= 0.5
+        );
+
+        if (same) {
+            same.data = data;
+            same.keywords = [...new Set([...same.keywords, ...keywords])].slice(0, this.MAX_SENSE_KEYWORDS);
+            same.timestamp = now;
+            entry.senses = [same, ...entry.senses.filter(sense => sense !== same)];
+        } else {
+            entry.senses = [{ data, keywords, timestamp: now }, ...entry.senses].slice(0, this.MAX_SENSES_PER_WORD);
+        }
+
+        entry.timestamp = now;
+        this.state.apiCache[wordKey] = entry;
+
+        // Limit cache size to prevent storage issues
+        const cacheKeys = Object.keys(this.state.apiCache);
+        if (cacheKeys.length > 500) {
+            // Remove oldest entries
+            const sorted = cacheKeys.sort((a, b) =>
+                this.state.apiCache[a].timestamp - this.state.apiCache[b].timestamp
+            );
+            sorted.slice(0, 100).forEach(key => delete this.state.apiCache[key]);
+        }
+
+        this.logger.debug(`Cached analysis of "${word}" (${entry.senses.length} sense(s))`);
+        if (save) {
+            await this.saveApiCache();
+        }
+    }
+
+    async saveApiCache() {
+        await chrome.storage.local.set({ apiCache: this.state.apiCache });
+    }
+
+    // Whether fetchWordAnalysis can make a real call (key set, limit not hit)
+    isAiAvailable() {
+        if ((this.state.apiMode || 'own') === 'public') {
+            return this.state.canUsePublicApi();
+        }
+
+        const provider = LLMProvider.create(this.state.llmProvider, { apiKey: this.state.openaiApiKey });
+        if (provider.requiresApiKey && !provider.apiKey) return false;
+
+        return this.state.canMakeApiCall();
+    }
+
+    // Query the offline dictionary kept by the service worker
+    async lookupOfflineDictionary(word) {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'DICTIONARY_LOOKUP', word: word });
+            const entry = response?.entry;
+            if (!entry) return null;
+
+            const primary = entry.senses[0];
+            return {
+                pronunciation: entry.pronunciation || '',
+                partOfSpeech: primary.partOfSpeech || 'unknown',
+                definition: entry.senses
+                    .slice(0, 3)
+                    .map((sense, i) => entry.senses.length > 1 ? `${i + 1}. ${sense.definition}` : sense.definition)
+                    .join(' '),
+                synonyms: entry.synonyms.slice(0, 4),
+                translations: entry.translations || {},
+                frequency: 'unknown',
+                refinedSentence: '',
+                sentenceTranslation: '',
+                _source: 'offline_dictionary',
+                _lemma: entry.word
+            };
+        } catch (error) {
+            this.logger.debug('Offline dictionary unavailable:', error.message);
+            return null;
+        }
+    }
+
     // Initialize database cache
     async initDatabaseCache() {
         
@@ -485,14 +991,14 @@ class StorageManagement {
     }
 
     // 1. Extract surrounding words from current caption
-    getSurroundingContext(clickedWord, wordIndex) {
+    getSurroundingContext(clickedWord, wordIndex, captionIndex) {
         const WORDS_BEFORE = 8;
         const WORDS_AFTER = 8;
         const allWords = [];
         
-        // Collect words from multiple captions
+        // Collect words from multiple captions (the transcript panel passes its own line)
         const parsedCaptions = this.state ? this.state.getParsedCaptions() : [];
-        const currentCaptionIndex = this.state ? this.state.getCurrentCaptionIndex() : -1;
+        const currentCaptionIndex = captionIndex ?? (this.state ? this.state.getCurrentCaptionIndex() : -1);
         
         for (let i = Math.max(0, currentCaptionIndex - 2); 
             i <= Math.min(parsedCaptions.length - 1, currentCaptionIndex + 2); 
@@ -522,11 +1028,15 @@ class StorageManagement {
             .map(w => w.text)
             .join(' ');
         
-        this.logger.info(`Context (${endPos - startPos} words): "${contextWords}"`);
+        // Prefer the full sentence when the captions were reconstructed into sentences
+        const sentence = parsedCaptions[currentCaptionIndex].sentence;
+        const context = sentence && sentence.split(' ').length <= 60 ? sentence : contextWords;
+
+        this.logger.info(`Context (${context.split(' ').length} words): "${context}"`);
         
         return {
             targetWord: clickedWord,
-            context: contextWords,
+            context: context,
             captionText: parsedCaptions[currentCaptionIndex].text
         };
     }
@@ -537,8 +1047,7 @@ class StorageManagement {
         
         const allWords = subtitleContainer.querySelectorAll('.subtitle-word');
         allWords.forEach(wordElement => {
-            const wordText = wordElement.textContent.toLowerCase().trim();
-            if (wordText in this.state.savedWords) {
+            if (this.isWordSaved(wordElement.textContent)) {
                 wordElement.classList.add('highlighted-word');
             }
         });
@@ -16,19 +16,28 @@ class SubtitleManager {
         this.apiBase = 'https://app.vocaminary.com/api';
         this.vocaminaryApi = 'https://api.vocaminary.com';
         this.ytdlpServer = 'http://localhost:5000';
+        this.parser = new SubtitleParser();
+        this.userFileLanguage = 'user-file';   // Cache slot for user-loaded subtitle files
         
-        // Memory cache for instant access (<1ms)
+        // Memory cache for instant access (<1ms), keyed by videoId + language
         this.memoryCache = new Map();
         this.currentVideoId = null;
+        this.currentLanguage = null;
+
+        // Caption tracks discovered per video (language list from the watch page)
+        this.trackCache = new Map();
+
+        // Tried in order after the user's sourceLanguage
+        this.fallbackLanguages = ['en'];
         
         // IndexedDB for faster local storage
         this.dbName = 'SubtitleCache';
-        this.dbVersion = 1;
+        this.dbVersion = 3;
         this.db = null;
         this.initIndexedDB();
         
         this.cacheExpiry = 7 * 24 * 60 * 60 * 1000; // 7 days
-        this.maxMemoryCacheSize = 3; // Keep last 3 videos
+        this.maxMemoryCacheSize = 3; // Keep last 3 tracks
         
         // Performance tracking
         this.stats = {
@@ -59,36 +68,59 @@ class SubtitleManager {
             
             request.onupgradeneeded = (event) => {
                 const db = event.target.result;
+
+                // v1 was keyed by videoId only, so tracks in different languages overwrote each other
+                if (event.oldVersion < 2 && db.objectStoreNames.contains('subtitles')) {
+                    db.deleteObjectStore('subtitles');
+                    this.log('info', '💾 IndexedDB | Dropped v1 store');
+                }
+
                 if (!db.objectStoreNames.contains('subtitles')) {
-                    const store = db.createObjectStore('subtitles', { keyPath: 'videoId' });
+                    const store = db.createObjectStore('subtitles', { keyPath: 'cacheKey' });
                     store.createIndex('cachedAt', 'cachedAt', { unique: false });
+                    store.createIndex('videoId', 'videoId', { unique: false });
                     this.log('info', '💾 IndexedDB | Store created');
                 }
+
+                // Translated caption lines for dual-subtitle mode
+                if (!db.objectStoreNames.contains('translations')) {
+                    const store = db.createObjectStore('translations', { keyPath: 'cacheKey' });
+                    store.createIndex('cachedAt', 'cachedAt', { unique: false });
+                    this.log('info', '💾 IndexedDB | Translations store created');
+                }
             };
         });
     }
 
+    /**
+     * Build the cache key for a video's caption track
+     */
+    getCacheKey(videoId, language) {
+        return `${videoId}:${language}`;
+    }
+
     /**
      * Get from IndexedDB
      */
-    async getFromIndexedDB(videoId) {
+    async getFromIndexedDB(cacheKey) {
         if (!this.db) await this.initIndexedDB();
         
         return new Promise((resolve) => {
             try {
                 const transaction = this.db.transaction(['subtitles'], 'readonly');
                 const store = transaction.objectStore('subtitles');
-                const request = store.get(videoId);
+                const request = store.get(cacheKey);
                 
                 request.onsuccess = () => {
                     const data = request.result;
                     if (data) {
                         const age = Date.now() - data.cachedAt;
-                        if (age < this.cacheExpiry) {
+                        // User-loaded files are kept until removed
+                        if (age < this.cacheExpiry || data.captionData?.source === 'user-file') {
                             resolve({ data, age });
                         } else {
-                            this.log('debug', `💾 IndexedDB | Expired (${videoId})`);
-                            this.deleteFromIndexedDB(videoId);
+                            this.log('debug', `💾 IndexedDB | Expired (${cacheKey})`);
+                            this.deleteFromIndexedDB(cacheKey);
                             resolve(null);
                         }
                     } else {
@@ -110,7 +142,7 @@ class SubtitleManager {
     /**
      * Save to IndexedDB
      */
-    async saveToIndexedDB(videoId, data) {
+    async saveToIndexedDB(videoId, language, data) {
         if (!this.db) await this.initIndexedDB();
         
         return new Promise((resolve) => {
@@ -119,7 +151,9 @@ class SubtitleManager {
                 const store = transaction.objectStore('subtitles');
                 
                 const cacheData = {
+                    cacheKey: this.getCacheKey(videoId, language),
                     videoId,
+                    language,
                     captions: data.captions,
                     captionData: data.captionData,
                     cachedAt: Date.now()
@@ -128,16 +162,16 @@ class SubtitleManager {
                 const request = store.put(cacheData);
                 
                 request.onsuccess = () => {
-                    this.log('debug', `💾 IndexedDB | Saved (${videoId})`);
+                    this.log('debug', `💾 IndexedDB | Saved (${cacheData.cacheKey})`);
                     resolve(true);
                 };
                 
                 request.onerror = () => {
-                    this.log('error', `💾 IndexedDB | Save failed (${videoId})`, request.error);
+                    this.log('error', `💾 IndexedDB | Save failed (${cacheData.cacheKey})`, request.error);
                     resolve(false);
                 };
             } catch (error) {
-                this.log('error', `💾 IndexedDB | Save exception (${videoId})`, error);
+                this.log('error', `💾 IndexedDB | Save exception (${videoId}:${language})`, error);
                 resolve(false);
             }
         });
@@ -146,22 +180,106 @@ class SubtitleManager {
     /**
      * Delete from IndexedDB
      */
-    async deleteFromIndexedDB(videoId) {
+    async deleteFromIndexedDB(cacheKey) {
         if (!this.db) return false;
         
         return new Promise((resolve) => {
             try {
                 const transaction = this.db.transaction(['subtitles'], 'readwrite');
                 const store = transaction.objectStore('subtitles');
-                const request = store.delete(videoId);
+                const request = store.delete(cacheKey);
                 
                 request.onsuccess = () => resolve(true);
                 request.onerror = () => {
-                    this.log('warn', `💾 IndexedDB | Delete failed (${videoId})`);
+                    this.log('warn', `💾 IndexedDB | Delete failed (${cacheKey})`);
                     resolve(false);
                 };
             } catch (error) {
-                this.log('warn', `💾 IndexedDB | Delete exception (${videoId})`);
+                this.log('warn', `💾 IndexedDB | Delete exception (${cacheKey})`);
+                resolve(false);
+            }
+        });
+    }
+
+    /**
+     * User-supplied subtitle file for a video, stored in the subtitles store
+     * under its own language slot so it never collides with a fetched track
+     */
+    async saveUserSubtitles(videoId, captions, captionData) {
+        return this.saveToIndexedDB(videoId, this.userFileLanguage, {
+            captions: captions,
+            captionData: { ...captionData, source: 'user-file', type: 'user-file' }
+        });
+    }
+
+    async getUserSubtitles(videoId) {
+        const cached = await this.getFromIndexedDB(this.getCacheKey(videoId, this.userFileLanguage));
+        return cached ? cached.data : null;
+    }
+
+    async deleteUserSubtitles(videoId) {
+        if (!this.db) await this.initIndexedDB();
+        return this.deleteFromIndexedDB(this.getCacheKey(videoId, this.userFileLanguage));
+    }
+
+    /**
+     * Get translated caption lines from IndexedDB
+     */
+    async getTranslationsFromIndexedDB(cacheKey) {
+        if (!this.db) await this.initIndexedDB();
+
+        return new Promise((resolve) => {
+            try {
+                const transaction = this.db.transaction(['translations'], 'readonly');
+                const request = transaction.objectStore('translations').get(cacheKey);
+
+                request.onsuccess = () => {
+                    const data = request.result;
+                    if (data && Date.now() - data.cachedAt < this.cacheExpiry) {
+                        resolve(data.entries);
+                    } else {
+                        resolve(null);
+                    }
+                };
+
+                request.onerror = () => {
+                    this.log('error', '💾 IndexedDB | Translation read error', request.error);
+                    resolve(null);
+                };
+            } catch (error) {
+                this.log('error', '💾 IndexedDB | Translation read exception', error);
+                resolve(null);
+            }
+        });
+    }
+
+    /**
+     * Save translated caption lines to IndexedDB
+     * entries maps original caption text -> translated text
+     */
+    async saveTranslationsToIndexedDB(cacheKey, entries) {
+        if (!this.db) await this.initIndexedDB();
+
+        return new Promise((resolve) => {
+            try {
+                const transaction = this.db.transaction(['translations'], 'readwrite');
+                const request = transaction.objectStore('translations').put({
+                    cacheKey,
+                    entries,
+                    cachedAt: Date.now()
+                });
+
+                request.onsuccess = () => {
+                    this.log('debug', `💾 IndexedDB | Saved translations (${cacheKey})`);
+                    resolve(true);
+                };
+
+                request.onerror = () => {
+                    this.log('error', `💾 IndexedDB | Translation save failed (${cacheKey})`, request.error);
+                    resolve(false);
+                };
+            } catch (error) {
+                this.log('error', `💾 IndexedDB | Translation save exception (${cacheKey})`, error);
                 resolve(false);
             }
         });
@@ -198,22 +316,169 @@ class SubtitleManager {
     }
 
     /**
-     * MAIN FUNCTION - Fetch subtitles with multi-layer caching
+     * Get the ordered list of caption languages to try
      */
-    async fetchSubtitles(videoId, videoTitle = null, channelName = null) {
-        const startTime = performance.now();
-        this.log('info', `🎬 Fetch | Start (${videoId})`);
-        
-        if (!videoId) {
-            this.log('error', '🎬 Fetch | No videoId provided');
-            return { error: 'No video ID provided', cached: false };
+    async getLanguagePreferences() {
+        const { sourceLanguage } = await chrome.storage.sync.get(['sourceLanguage']);
+        const preferences = [sourceLanguage, ...this.fallbackLanguages].filter(Boolean);
+        return [...new Set(preferences.map(lang => lang.toLowerCase()))];
+    }
+
+    /**
+     * Discover the caption tracks YouTube offers for a video
+     * Reads the captionTracks list from the watch page (cached per video)
+     */
+    async discoverCaptionTracks(videoId) {
+        if (this.trackCache.has(videoId)) {
+            return this.trackCache.get(videoId);
         }
 
-        this.currentVideoId = videoId;
-        
-        // STEP 1: Check memory cache (<1ms)
-        if (this.memoryCache.has(videoId)) {
-            const cached = this.memoryCache.get(videoId);
+        try {
+            const response = await fetch(`https://www.youtube.com/watch?v=${videoId}`, {
+                method: 'GET',
+                credentials: 'omit'
+            });
+
+            if (!response.ok) {
+                this.log('warn', `🌐 Tracks | HTTP ${response.status}`);
+                return [];
+            }
+
+            const tracks = this.parseCaptionTracks(await response.text());
+            this.log('debug', `🌐 Tracks | ${tracks.length} available (${tracks.map(t => t.languageCode).join(', ')})`);
+
+            this.trackCache.set(videoId, tracks);
+            if (this.trackCache.size > this.maxMemoryCacheSize) {
+                this.trackCache.delete(this.trackCache.keys().next().value);
+            }
+
+            return tracks;
+        } catch (error) {
+            this.log('warn', '🌐 Tracks | Discovery failed', error);
+            return [];
+        }
+    }
+
+    /**
+     * Parse captionTracks out of a watch page's player response
+     */
+    parseCaptionTracks(html) {
+        const marker = '"captionTracks":';
+        const start = html.indexOf(marker);
+        if (start === -1) return [];
+
+        const json = this.extractJsonArray(html, start + marker.length);
+        if (!json) return [];
+
+        try {
+            return JSON.parse(json).map(track => ({
+                languageCode: track.languageCode,
+                name: track.name?.simpleText || track.name?.runs?.[0]?.text || track.languageCode,
+                type: track.kind === 'asr' ? 'auto-generated' : 'manual'
+            }));
+        } catch (error) {
+            this.log('warn', '🌐 Tracks | Could not parse captionTracks', error);
+            return [];
+        }
+    }
+
+    /**
+     * Extract a balanced JSON array starting at the given index
+     */
+    extractJsonArray(text, startIndex) {
+        if (text[startIndex] !== '[') return null;
+
+        let depth = 0;
+        let inString = false;
+
+        for (let i = startIndex; i < text.length; i++) {
+            const char = text[i];
+
+            if (inString) {
+                if (char === '\\') i++;
+                else if (char === '"') inString = false;
+                continue;
+            }
+
+            if (char === '"') inString = true;
+            else if (char === '[' || char === '{') depth++;
+            else if (char === ']' || char === '}') {
+                depth--;
+                if (depth === 0) return text.slice(startIndex, i + 1);
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Pick the caption track to load
+     * Walks the preference list, matching exact codes first and then base
+     * codes ("es" matches "es-419"). Manual tracks win over auto-generated.
+     * Returns null when no track is in a preferred language.
+     */
+    selectCaptionTrack(tracks, preferences) {
+        const rank = track => (track.type === 'manual' ? 0 : 1);
+        const byType = [...tracks].sort((a, b) => rank(a) - rank(b));
+
+        for (const lang of preferences) {
+            const exact = byType.find(t => t.languageCode.toLowerCase() === lang);
+            if (exact) return exact;
+
+            const base = lang.split('-')[0];
+            const partial = byType.find(t => t.languageCode.toLowerCase().split('-')[0] === base);
+            if (partial) return partial;
+        }
+
+        return null;
+    }
+
+    /**
+     * Resolve which language to fetch for a video
+     * language is null when the video has tracks, but none in a preferred language
+     */
+    async resolveCaptionLanguage(videoId, preferences) {
+        const tracks = await this.discoverCaptionTracks(videoId);
+
+        // Discovery failed - trust the user's first preference
+        if (tracks.length === 0) {
+            return { language: preferences[0], available: [] };
+        }
+
+        const available = tracks.map(t => t.languageCode);
+        const track = this.selectCaptionTrack(tracks, preferences);
+        if (!track) {
+            this.log('info', `🌐 Tracks | None in ${preferences.join(', ')} (available: ${available.join(', ')})`);
+            return { language: null, available };
+        }
+
+        if (track.languageCode.toLowerCase().split('-')[0] !== preferences[0].split('-')[0]) {
+            this.log('info', `🌐 Tracks | No ${preferences[0]} track, falling back to ${track.languageCode}`);
+        }
+
+        return {
+            language: track.languageCode,
+            trackType: track.type,
+            available: available
+        };
+    }
+
+    /**
+     * Get the caption tracks known for a video (for language pickers)
+     */
+    getAvailableTracks(videoId) {
+        return this.trackCache.get(videoId) || [];
+    }
+
+    /**
+     * Captions for a video's track from the memory or IndexedDB cache, or null
+     */
+    async getCachedSubtitles(videoId, language, startTime) {
+        const cacheKey = this.getCacheKey(videoId, language);
+
+        // Memory cache (<1ms)
+        if (this.memoryCache.has(cacheKey)) {
+            const cached = this.memoryCache.get(cacheKey);
             const age = Date.now() - cached.timestamp;
             const elapsed = (performance.now() - startTime).toFixed(1);
             
@@ -232,10 +497,10 @@ class SubtitleManager {
             };
         }
 
-        // STEP 2: Check IndexedDB first (no rate limit impact)
-        this.log('debug', `🔄 Checking IndexedDB...`);
+        // IndexedDB (no rate limit impact)
+        this.log('debug', `🔄 Checking IndexedDB (${language})...`);
 
-        const localCache = await this.getFromIndexedDB(videoId);
+        const localCache = await this.getFromIndexedDB(cacheKey);
 
         // IndexedDB hit - return immediately WITHOUT calling server
         if (localCache) {
@@ -245,7 +510,7 @@ class SubtitleManager {
             this.stats.indexedDBHits++;
             this.log('info', `✨ IndexedDB HIT | ${ageMin}m old | ${elapsed}ms | NO rate limit impact`);
 
-            this.addToMemoryCache(videoId, localCache.data.captions, localCache.data.captionData);
+            this.addToMemoryCache(cacheKey, localCache.data.captions, localCache.data.captionData);
 
             // No logging for cached loads - doesn't count toward usage
 
@@ -258,10 +523,71 @@ class SubtitleManager {
             };
         }
 
+        return null;
+    }
+
+    /**
+     * MAIN FUNCTION - Fetch subtitles with multi-layer caching
+     */
+    async fetchSubtitles(videoId, videoTitle = null, channelName = null) {
+        const startTime = performance.now();
+        this.log('info', `🎬 Fetch | Start (${videoId})`);
+        
+        if (!videoId) {
+            this.log('error', '🎬 Fetch | No videoId provided');
+            return { error: 'No video ID provided', cached: false };
+        }
+
+        this.currentVideoId = videoId;
+
+        // A subtitle file the user loaded for this video wins over any YouTube track
+        const userFile = await this.getUserSubtitles(videoId);
+        if (userFile) {
+            this.currentLanguage = userFile.captionData.language;
+            this.log('info', `📄 User file | ${userFile.captionData.fileName || 'subtitles'} (${userFile.captions.length} cues)`);
+
+            return {
+                captions: this.parser.shiftCaptions(userFile.captions, userFile.captionData.offset || 0),
+                captionData: userFile.captionData,
+                source: 'user-file',
+                cached: true
+            };
+        }
+
+        // STEP 0: A cached track in the first preference needs no watch-page lookup.
+        // Fallbacks wait for discovery, or a cached English track would hide a new sourceLanguage.
+        const preferences = await this.getLanguagePreferences();
+        const preferredCache = await this.getCachedSubtitles(videoId, preferences[0], startTime);
+        if (preferredCache) {
+            this.currentLanguage = preferredCache.captionData?.language || preferences[0];
+            return preferredCache;
+        }
+
+        // STEP 1: Pick the caption track (sourceLanguage + fallbacks)
+        const { language, available } = await this.resolveCaptionLanguage(videoId, preferences);
+        if (!language) {
+            return {
+                error: `No captions in ${preferences.join(', ')}`,
+                requestedLanguage: preferences[0],
+                availableLanguages: available,
+                cached: false
+            };
+        }
+
+        const cacheKey = this.getCacheKey(videoId, language);
+        this.currentLanguage = language;
+        this.log('debug', `🌐 Language | ${language}${available.length ? ` (available: ${available.join(', ')})` : ''}`);
+
+        // STEP 2: The resolved track may be a fallback or a regional code like "es-419"
+        if (language !== preferences[0]) {
+            const cached = await this.getCachedSubtitles(videoId, language, startTime);
+            if (cached) return cached;
+        }
+
         // STEP 3: No local cache - check server cache and rate limits
         this.log('debug', `☁️ Checking server cache and limits...`);
 
-        const serverResponse = await this.checkCacheAndLimits(videoId);
+        const serverResponse = await this.checkCacheAndLimits(videoId, language);
 
         // Server cache hit
         if (serverResponse.cached) {
@@ -272,12 +598,12 @@ class SubtitleManager {
 
             const subtitles = serverResponse.subtitles;
             const captionData = {
-                language: subtitles.language || 'en',
+                language: subtitles.language || language,
                 source: 'server_cache'
             };
 
-            this.addToMemoryCache(videoId, subtitles.captions || subtitles, captionData);
-            this.saveToIndexedDB(videoId, {
+            this.addToMemoryCache(cacheKey, subtitles.captions || subtitles, captionData);
+            this.saveToIndexedDB(videoId, language, {
                 captions: subtitles.captions || subtitles,
                 captionData
             });
@@ -313,7 +639,7 @@ class SubtitleManager {
         this.stats.misses++;
         this.log('info', `📡 Fetch | From source (${videoId})`);
         
-        const fetchResult = await this.fetchFromYtDlp(videoId);
+        const fetchResult = await this.fetchFromYtDlp(videoId, language);
         
         if (!fetchResult || !fetchResult.success) {
             const elapsed = (performance.now() - startTime).toFixed(1);
@@ -333,12 +659,12 @@ class SubtitleManager {
         
         this.log('info', `✅ Fetch | Success (${fetchSource}) | ${elapsed}ms`);
         
-        this.addToMemoryCache(videoId, fetchResult.captions, fetchResult.captionData);
-        this.saveToIndexedDB(videoId, fetchResult);
+        this.addToMemoryCache(cacheKey, fetchResult.captions, fetchResult.captionData);
+        this.saveToIndexedDB(videoId, language, fetchResult);
         
         // Background ops
         Promise.all([
-            this.storeInServerCache(videoId, videoTitle, channelName, fetchResult),
+            this.storeInServerCache(videoId, videoTitle, channelName, fetchResult, language),
             this.logFetch(videoId, videoTitle, true, fetchSource, false)
         ]).catch(() => {});
         
@@ -353,8 +679,8 @@ class SubtitleManager {
     /**
      * Add to memory cache with LRU eviction
      */
-    addToMemoryCache(videoId, captions, captionData) {
-        this.memoryCache.set(videoId, {
+    addToMemoryCache(cacheKey, captions, captionData) {
+        this.memoryCache.set(cacheKey, {
             captions,
             captionData,
             timestamp: Date.now()
@@ -371,7 +697,7 @@ class SubtitleManager {
     /**
      * Combined cache + rate limit check
      */
-    async checkCacheAndLimits(videoId) {
+    async checkCacheAndLimits(videoId, language) {
         try {
             const token = await this.getAuthToken();
             if (!token) {
@@ -385,7 +711,7 @@ class SubtitleManager {
                     'Authorization': `Bearer ${token}`,
                     'Content-Type': 'application/json'
                 },
-                body: JSON.stringify({ videoId, language: 'en' })
+                body: JSON.stringify({ videoId, language })
             });
             
             if (response.ok || response.status === 429) {
@@ -404,13 +730,13 @@ class SubtitleManager {
     /**
      * Fetch from Vocaminary API
      */
-    async fetchFromVocaminary(videoId) {
+    async fetchFromVocaminary(videoId, language) {
         const startTime = performance.now();
         
         try {
-            this.log('debug', `🚂 Vocaminary | Requesting (${videoId})`);
+            this.log('debug', `🚂 Vocaminary | Requesting (${videoId}, ${language})`);
 
-            const response = await fetch(`${this.vocaminaryApi}/transcript/${videoId}?lang=en`, {
+            const response = await fetch(`${this.vocaminaryApi}/transcript/${videoId}?lang=${encodeURIComponent(language)}`, {
                 method: 'GET',
                 headers: { 'Content-Type': 'application/json' }
             });
@@ -434,12 +760,23 @@ class SubtitleManager {
 
                     const durationMultiplier = isGenerated ? 0.45 : 1.0;
 
-                    const captions = snippets.map(segment => ({
-                        start: segment.start,
-                        end: segment.start + (segment.duration * durationMultiplier),
-                        text: segment.text,
-                        words: this.extractWordsFromText(segment.text)
-                    }));
+                    const captions = snippets.map(segment => {
+                        const end = segment.start + (segment.duration * durationMultiplier);
+
+                        // Word-timed snippets keep their timing (karaoke highlighting)
+                        const words = Array.isArray(segment.words) && segment.words.length
+                            ? this.normalizeTimedWords(segment.words, end)
+                            : this.extractWordsFromText(segment.text);
+
+                        return {
+                            start: segment.start,
+                            end: words.length && words[words.length - 1].end !== undefined
+                                ? Math.max(end, words[words.length - 1].end)
+                                : end,
+                            text: segment.text,
+                            words: words
+                        };
+                    });
 
                     if (isGenerated) {
                         this.log('debug', '🚂 Vocaminary | Duration reduced to 45% (auto-captions)');
@@ -449,7 +786,7 @@ class SubtitleManager {
                         success: true,
                         captions: captions,
                         captionData: {
-                            language: data.language || 'en',
+                            language: data.language || language,
                             type: isGenerated ? 'auto-generated' : 'manual',
                             source: 'vocaminary'
                         }
@@ -523,16 +860,43 @@ class SubtitleManager {
      * Extract words from text
      */
     extractWordsFromText(text) {
-        return text.split(/\s+/).filter(word => word.length > 0).map(word => ({
-            text: word.replace(/[.,!?;:]$/, ''),
-            punctuation: /[.,!?;:]$/.test(word) ? word.slice(-1) : ''
-        }));
+        return this.parser.extractWords(text);
+    }
+
+    /**
+     * Timed words from an API: [{ text|word, start, end? }] in seconds
+     */
+    normalizeTimedWords(rawWords, captionEnd) {
+        const pieces = rawWords
+            .filter(word => (word.text || word.word) && typeof word.start === 'number')
+            .map(word => ({ text: word.text || word.word, start: word.start }));
+
+        if (!pieces.length) {
+            return this.extractWordsFromText(rawWords.map(word => word.text || word.word || '').join(' '));
+        }
+        return this.parser.buildTimedWords(pieces, captionEnd);
+    }
+
+    /**
+     * Local server JSON3 groups, with timed words when the server sends them
+     */
+    normalizeCaptionGroups(groups) {
+        return groups.map(group => {
+            const text = group.text || (group.words || []).map(word => word.text || word.word).join(' ');
+            return {
+                ...group,
+                text: text,
+                words: Array.isArray(group.words) && group.words.some(word => typeof word.start === 'number')
+                    ? this.normalizeTimedWords(group.words, group.end)
+                    : this.extractWordsFromText(text)
+            };
+        });
     }
 
     /**
      * Fetch from yt-dlp server
      */
-    async fetchFromYtDlp(videoId) {
+    async fetchFromYtDlp(videoId, language) {
         const { subtitleServer } = await chrome.storage.sync.get(['subtitleServer']);
         const preferredServer = subtitleServer || 'cloud';
 
@@ -540,7 +904,7 @@ class SubtitleManager {
 
         // Use preferred server only (no fallback)
         if (preferredServer === 'cloud') {
-            const vocaminaryResult = await this.fetchFromVocaminary(videoId);
+            const vocaminaryResult = await this.fetchFromVocaminary(videoId, language);
             return vocaminaryResult;
         }
 
@@ -552,7 +916,7 @@ class SubtitleManager {
             const response = await fetch(`${this.ytdlpServer}/extract-subs-json3`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ video_id: videoId, language: 'en' })
+                body: JSON.stringify({ video_id: videoId, language })
             });
 
             if (response.ok) {
@@ -560,11 +924,15 @@ class SubtitleManager {
                 if (data.success) {
                     const elapsed = (performance.now() - startTime).toFixed(0);
                     this.log('info', `💻 Local yt-dlp | Success (JSON3) | ${elapsed}ms`);
+                    const captions = data.events
+                        ? this.parser.parseJson3(data)
+                        : this.normalizeCaptionGroups(data.caption_groups || []);
+
                     return {
                         success: true,
-                        captions: data.caption_groups,
+                        captions: captions,
                         captionData: {
-                            language: data.language,
+                            language: data.language || language,
                             type: data.subtitle_type,
                             source: 'local-ytdlp'
                         }
@@ -576,7 +944,7 @@ class SubtitleManager {
             const vttResponse = await fetch(`${this.ytdlpServer}/extract-subs`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ video_id: videoId, language: 'en' })
+                body: JSON.stringify({ video_id: videoId, language })
             });
 
             if (vttResponse.ok) {
@@ -588,7 +956,7 @@ class SubtitleManager {
                         success: true,
                         content: vttData.content,
                         captionData: {
-                            language: vttData.language,
+                            language: vttData.language || language,
                             type: 'vtt',
                             source: 'local-ytdlp'
                         }
@@ -610,7 +978,7 @@ class SubtitleManager {
     /**
      * Store in server cache
      */
-    async storeInServerCache(videoId, videoTitle, channelName, subtitleData) {
+    async storeInServerCache(videoId, videoTitle, channelName, subtitleData, language) {
         try {
             const token = await this.getAuthToken();
             if (!token) return;
@@ -625,7 +993,7 @@ class SubtitleManager {
                     videoId,
                     videoTitle: videoTitle || 'Unknown',
                     channelName: channelName || 'Unknown',
-                    language: 'en',
+                    language,
                     subtitles: subtitleData,
                     format: 'json'
                 })
@@ -735,9 +1103,9 @@ class SubtitleManager {
         this.clearMemoryCache();
         
         if (this.db) {
-            const transaction = this.db.transaction(['subtitles'], 'readwrite');
-            const store = transaction.objectStore('subtitles');
-            await store.clear();
+            const transaction = this.db.transaction(['subtitles', 'translations'], 'readwrite');
+            await transaction.objectStore('subtitles').clear();
+            await transaction.objectStore('translations').clear();
             this.log('info', '🗑️ All Caches | Cleared');
         }
     }
@@ -0,0 +1,565 @@
+/**
+ * SubtitleParser - Parses WebVTT, SRT, TTML/DFXP, YouTube srv3 and JSON3
+ * Every format comes out as the same caption model:
+ *   { start, end, text, words, speaker, style, id, originalIndex }
+ * words are { text, punctuation, start?, end? } - times only when the source has them
+ */
+
+class SubtitleParser {
+    constructor() {
+        this.entities = {
+            '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&apos;': "'",
+            '&#39;': "'", '&nbsp;': ' ', '&lrm;': '\u200e', '&rlm;': '\u200f'
+        };
+    }
+
+    /**
+     * Parse subtitle content, detecting the format when not given
+     */
+    parse(content, format = null) {
+        const type = format || this.detectFormat(content);
+
+        let captions;
+        switch (type) {
+            case 'vtt':
+            case 'srt':
+                captions = this.parseCueBlocks(content, type);
+                break;
+            case 'ttml':
+                captions = this.parseTTML(content);
+                break;
+            case 'json3':
+                captions = this.parseJson3(typeof content === 'string' ? JSON.parse(content) : content);
+                break;
+            default:
+                throw new Error(`Unsupported subtitle format: ${type}`);
+        }
+
+        captions.forEach((caption, index) => {
+            caption.originalIndex = index;
+        });
+        return captions;
+    }
+
+    detectFormat(content) {
+        if (typeof content !== 'string') return 'json3';
+
+        const head = content.replace(/^\uFEFF/, '').trimStart();
+        if (head.startsWith('WEBVTT')) return 'vtt';
+        if (head.startsWith('{')) return 'json3';
+        if (head.startsWith('<')) return 'ttml';
+        if (head.includes('-->')) return 'srt';
+        return 'unknown';
+    }
+
+    // ========== WEBVTT / SRT ==========
+
+    parseCueBlocks(content, format) {
+        const captions = [];
+
+        // WebVTT cues only end at an empty line; YouTube's rolling cues open with a " " line.
+        // SRT files in the wild also separate blocks with whitespace-only lines.
+        const blocks = content
+            .replace(/^\uFEFF/, '')
+            .replace(/\r\n?/g, '\n')
+            .split(format === 'vtt' ? /\n\n+/ : /\n[ \t]*\n/);
+
+        for (const block of blocks) {
+            const lines = block.split('\n').filter(line => line.trim() !== '');
+            if (!lines.length) continue;
+
+            // Header and non-cue blocks
+            if (/^(WEBVTT|NOTE|STYLE|REGION)\b/.test(lines[0])) continue;
+
+            const timingLineIndex = lines.findIndex(line => line.includes('-->'));
+            if (timingLineIndex === -1) continue;
+
+            const timing = this.parseTimingLine(lines[timingLineIndex]);
+            if (!timing) continue;
+
+            const id = timingLineIndex > 0 ? lines[timingLineIndex - 1].trim() : null;
+            const cue = this.parseCueText(lines.slice(timingLineIndex + 1).join('\n'), timing.start, timing.end, format);
+            if (!cue.text) continue;
+
+            captions.push({
+                start: timing.start,
+                end: timing.end,
+                text: cue.text,
+                words: cue.words,
+                speaker: cue.speaker,
+                style: { ...timing.settings, ...cue.style },
+                id: id
+            });
+        }
+
+        return captions;
+    }
+
+    parseTimingLine(line) {
+        const match = line.match(/^\s*((?:\d+:)?\d{1,2}:\d{2}(?:[.,]\d{1,3})?)\s*-->\s*((?:\d+:)?\d{1,2}:\d{2}(?:[.,]\d{1,3})?)(.*)$/);
+        if (!match) return null;
+
+        // VTT cue settings: "align:start position:10% line:0"
+        const settings = {};
+        match[3].trim().split(/\s+/).forEach(setting => {
+            const [key, value] = setting.split(':');
+            if (key && value && ['align', 'position', 'line', 'size', 'vertical', 'region'].includes(key)) {
+                settings[key] = value;
+            }
+        });
+
+        return {
+            start: this.parseTimestamp(match[1]),
+            end: this.parseTimestamp(match[2]),
+            settings: settings
+        };
+    }
+
+    /**
+     * "01:02:03.456", "02:03.456", "00:00:01,5"
+     */
+    parseTimestamp(value) {
+        const parts = value.trim().replace(',', '.').split(':');
+        let seconds = 0;
+
+        parts.forEach(part => {
+            seconds = seconds * 60 + parseFloat(part);
+        });
+        return seconds;
+    }
+
+    /**
+     * Cue payload: tags, voice spans, inline timestamps and entities
+     */
+    parseCueText(raw, cueStart, cueEnd, format) {
+        const style = {};
+        const classes = [];
+        let speaker = null;
+        let inRubyText = false;
+
+        let currentTime = cueStart;
+        let hasTimestamps = false;
+        const pieces = [{ text: '', start: cueStart }];
+
+        // SRT alignment codes borrowed from ASS: {\an8} = top center
+        raw = raw.replace(/\{\\an(\d)\}/g, (match, code) => {
+            style.align = ['', 'start', 'center', 'end'][((code - 1) % 3) + 1];
+            style.line = code >= 7 ? 'top' : code >= 4 ? 'middle' : 'bottom';
+            return '';
+        });
+
+        // Only real tags and timestamps count as markup; "5 < 6" keeps its "<"
+        const tokens = raw.match(/<[^<>]*>|<|[^<]+/g) || [];
+        for (const token of tokens) {
+            if (!this.isCueTag(token)) {
+                if (!inRubyText) {
+                    pieces[pieces.length - 1].text += this.decodeEntities(token.replace(/\n/g, ' '));
+                }
+                continue;
+            }
+
+            const tag = token.slice(1, -1).trim();
+
+            // Inline word timing
+            if (/^(?:\d+:)?\d{2}:\d{2}\.\d{3}$/.test(tag)) {
+                currentTime = this.parseTimestamp(tag);
+                hasTimestamps = true;
+                pieces.push({ text: '', start: currentTime });
+                continue;
+            }
+
+            const name = tag.replace(/^\//, '').split(/[\s.]/)[0].toLowerCase();
+            const closing = tag.startsWith('/');
+
+            if (name === 'rt') {
+                inRubyText = !closing;
+            } else if (closing) {
+                continue;
+            } else if (name === 'v') {
+                const voice = tag.match(/^v(?:\.[^\s]+)?\s+(.+)$/);
+                if (voice && !speaker) speaker = voice[1].trim();
+            } else if (name === 'i') {
+                style.italic = true;
+            } else if (name === 'b') {
+                style.bold = true;
+            } else if (name === 'u') {
+                style.underline = true;
+            } else if (name === 'c') {
+                classes.push(...tag.split('.').slice(1));
+            } else if (name === 'font') {
+                const color = tag.match(/color\s*=\s*["']?([^"'\s>]+)/i);
+                if (color) style.color = color[1];
+            }
+        }
+
+        if (classes.length) {
+            style.classes = [...new Set(classes)];
+        }
+
+        let text = pieces.map(piece => piece.text).join('').replace(/\s+/g, ' ').trim();
+        const timedPieces = pieces.filter(piece => piece.text.trim());
+
+        // SRT speaker labels: "- JOHN: Hello" / "JOHN: Hello"
+        if (format === 'srt') {
+            const label = text.match(/^-?\s*([A-Z][A-Z0-9 .'-]{1,30}):\s+/);
+            if (label) {
+                speaker = label[1].trim();
+                text = text.slice(label[0].length);
+            }
+        }
+
+        return {
+            text: text,
+            words: hasTimestamps && timedPieces.length > 1
+                ? this.buildTimedWords(timedPieces, cueEnd)
+                : this.extractWords(text),
+            speaker: speaker,
+            style: style
+        };
+    }
+
+    isCueTag(token) {
+        return /^<(?:\/?[a-z][^<>]*|(?:\d+:)?\d{2}:\d{2}\.\d{3})>$/i.test(token);
+    }
+
+    decodeEntities(text) {
+        return text
+            .replace(/&(amp|lt|gt|quot|apos|nbsp|lrm|rlm|#39);/g, entity => this.entities[entity])
+            .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(code))
+            .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCharCode(parseInt(code, 16)));
+    }
+
+    // ========== TTML / DFXP / YOUTUBE SRV3 ==========
+
+    parseTTML(content) {
+        const doc = new DOMParser().parseFromString(content, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length) {
+            throw new Error('Invalid TTML document');
+        }
+
+        const root = doc.documentElement;
+
+        // YouTube's own XML: <timedtext><body><p t="ms" d="ms"><s t="offset">word</s></p>
+        if (root.localName === 'timedtext') {
+            return this.parseSrv3(root);
+        }
+
+        const timing = {
+            tickRate: parseFloat(this.getAttr(root, 'tickRate')) || 0,
+            frameRate: parseFloat(this.getAttr(root, 'frameRate')) || 30
+        };
+        if (!timing.tickRate) {
+            timing.tickRate = timing.frameRate;
+        }
+
+        const styles = this.collectTTMLStyles(root);
+        const agents = this.collectTTMLAgents(root);
+        const captions = [];
+
+        const body = [...root.getElementsByTagNameNS('*', 'body')][0];
+        if (!body) return captions;
+
+        const walk = (element, parentBegin, parentEnd) => {
+            const { begin, end } = this.getTTMLInterval(element, parentBegin, parentEnd, timing);
+
+            if (element.localName === 'p') {
+                const caption = this.parseTTMLParagraph(element, begin, end, timing, styles, agents);
+                if (caption) captions.push(caption);
+                return;
+            }
+
+            [...element.children].forEach(child => walk(child, begin, end));
+        };
+        walk(body, 0, Infinity);
+
+        return captions.sort((a, b) => a.start - b.start);
+    }
+
+    parseTTMLParagraph(p, begin, end, timing, styles, agents) {
+        const style = { ...this.getTTMLStyle(p, styles) };
+        let speaker = this.getTTMLSpeaker(p, agents);
+        const pieces = [{ text: '', start: begin }];
+        let hasTimedSpans = false;
+
+        const walk = (node, spanBegin) => {
+            if (node.nodeType === 3) {
+                pieces[pieces.length - 1].text += node.nodeValue.replace(/\s+/g, ' ');
+                return;
+            }
+            if (node.nodeType !== 1) return;
+
+            if (node.localName === 'br') {
+                pieces[pieces.length - 1].text += ' ';
+                return;
+            }
+
+            let childBegin = spanBegin;
+            if (node.localName === 'span') {
+                Object.assign(style, this.getTTMLStyle(node, styles));
+                speaker = speaker || this.getTTMLSpeaker(node, agents);
+
+                if (this.getAttr(node, 'begin')) {
+                    childBegin = spanBegin + this.parseTTMLTime(this.getAttr(node, 'begin'), timing);
+                    hasTimedSpans = true;
+                    pieces.push({ text: '', start: childBegin });
+                }
+            }
+
+            node.childNodes.forEach(child => walk(child, childBegin));
+        };
+        p.childNodes.forEach(child => walk(child, begin));
+
+        const text = pieces.map(piece => piece.text).join('').replace(/\s+/g, ' ').trim();
+        if (!text) return null;
+
+        const timedPieces = pieces.filter(piece => piece.text.trim());
+        const captionEnd = Number.isFinite(end) ? end : begin;
+
+        return {
+            start: begin,
+            end: captionEnd,
+            text: text,
+            words: hasTimedSpans && timedPieces.length > 1
+                ? this.buildTimedWords(timedPieces, captionEnd)
+                : this.extractWords(text),
+            speaker: speaker,
+            style: style,
+            id: this.getAttr(p, 'id') || null
+        };
+    }
+
+    parseSrv3(root) {
+        const captions = [];
+
+        [...root.getElementsByTagName('p')].forEach(p => {
+            const start = (parseInt(p.getAttribute('t')) || 0) / 1000;
+            const end = start + (parseInt(p.getAttribute('d')) || 0) / 1000;
+            const spans = [...p.getElementsByTagName('s')];
+
+            const pieces = spans.length
+                ? spans.map(s => ({
+                    text: this.decodeEntities(s.textContent).trim(),
+                    start: start + (parseInt(s.getAttribute('t')) || 0) / 1000
+                })).filter(piece => piece.text)
+                : [{ text: this.decodeEntities(p.textContent).trim(), start: start }];
+
+            const text = pieces.map(piece => piece.text).join(' ').replace(/\s+/g, ' ').trim();
+            if (!text) return;
+
+            captions.push({
+                start: start,
+                end: end,
+                text: text,
+                words: pieces.length > 1 ? this.buildTimedWords(pieces, end) : this.extractWords(text),
+                speaker: null,
+                style: {},
+                id: null
+            });
+        });
+
+        return captions;
+    }
+
+    // Attribute by local name, whatever namespace prefix the file uses (tts:, ttp:, ttm:)
+    getAttr(element, localName) {
+        for (const attr of element.attributes) {
+            if (attr.localName === localName) return attr.value;
+        }
+        return null;
+    }
+
+    getTTMLInterval(element, parentBegin, parentEnd, timing) {
+        const beginAttr = this.getAttr(element, 'begin');
+        const endAttr = this.getAttr(element, 'end');
+        const durAttr = this.getAttr(element, 'dur');
+
+        // Times are relative to the parent's begin (par time container)
+        const begin = beginAttr ? parentBegin + this.parseTTMLTime(beginAttr, timing) : parentBegin;
+        let end = parentEnd;
+        if (endAttr) {
+            end = parentBegin + this.parseTTMLTime(endAttr, timing);
+        } else if (durAttr) {
+            end = begin + this.parseTTMLTime(durAttr, timing);
+        }
+
+        return { begin, end: Math.min(end, parentEnd) };
+    }
+
+    /**
+     * Clock time "00:00:01.500" / "00:00:01:12" (frames) or offset "1.5s", "1500ms", "15000t"
+     */
+    parseTTMLTime(value, timing) {
+        const clock = value.match(/^(\d+):(\d{2}):(\d{2})(?:([.:])(\d+))?$/);
+        if (clock) {
+            let seconds = parseInt(clock[1]) * 3600 + parseInt(clock[2]) * 60 + parseInt(clock[3]);
+            if (clock[4] === '.') seconds += parseFloat(`0.${clock[5]}`);
+            if (clock[4] === ':') seconds += parseInt(clock[5]) / timing.frameRate;
+            return seconds;
+        }
+
+        const offset = value.match(/^([\d.]+)(h|ms|m|s|f|t)$/);
+        if (offset) {
+            const amount = parseFloat(offset[1]);
+            switch (offset[2]) {
+                case 'h': return amount * 3600;
+                case 'm': return amount * 60;
+                case 's': return amount;
+                case 'ms': return amount / 1000;
+                case 'f': return amount / timing.frameRate;
+                case 't': return amount / timing.tickRate;
+            }
+        }
+
+        return parseFloat(value) || 0;
+    }
+
+    collectTTMLStyles(root) {
+        const styles = {};
+
+        [...root.getElementsByTagNameNS('*', 'style')].forEach(element => {
+            const id = this.getAttr(element, 'id');
+            if (id) styles[id] = this.readTTMLStyleAttrs(element);
+        });
+
+        return styles;
+    }
+
+    getTTMLStyle(element, styles) {
+        const style = {};
+
+        (this.getAttr(element, 'style') || '').split(/\s+/).filter(Boolean).forEach(id => {
+            Object.assign(style, styles[id]);
+        });
+        return Object.assign(style, this.readTTMLStyleAttrs(element));
+    }
+
+    readTTMLStyleAttrs(element) {
+        const style = {};
+
+        const color = this.getAttr(element, 'color');
+        const fontStyle = this.getAttr(element, 'fontStyle');
+        const fontWeight = this.getAttr(element, 'fontWeight');
+        const decoration = this.getAttr(element, 'textDecoration');
+        const align = this.getAttr(element, 'textAlign');
+
+        if (color) style.color = color;
+        if (fontStyle === 'italic') style.italic = true;
+        if (fontWeight === 'bold') style.bold = true;
+        if (decoration === 'underline') style.underline = true;
+        if (align) style.align = align;
+
+        return style;
+    }
+
+    collectTTMLAgents(root) {
+        const agents = {};
+
+        [...root.getElementsByTagNameNS('*', 'agent')].forEach(agent => {
+            const id = this.getAttr(agent, 'id');
+            const name = [...agent.getElementsByTagNameNS('*', 'name')][0]?.textContent.trim();
+            if (id) agents[id] = name || id;
+        });
+
+        return agents;
+    }
+
+    getTTMLSpeaker(element, agents) {
+        const agent = this.getAttr(element, 'agent');
+        if (!agent) return null;
+
+        const id = agent.split(/\s+/)[0];
+        return agents[id] || id;
+    }
+
+    // ========== YOUTUBE JSON3 ==========
+
+    /**
+     * Events with per-word offsets in segs[].tOffsetMs
+     */
+    parseJson3(data) {
+        const captions = [];
+
+        (data.events || []).forEach(event => {
+            // aAppend events only add the line break of rolling auto-captions
+            if (!event.segs || event.tStartMs === undefined || event.aAppend) return;
+
+            const start = event.tStartMs / 1000;
+            const end = (event.tStartMs + (event.dDurationMs || 0)) / 1000;
+
+            // Segments carry their own spacing (" world"); languages written without spaces have none
+            const text = event.segs.map(seg => seg.utf8 || '').join('').replace(/\s+/g, ' ').trim();
+            if (!text) return;
+
+            const pieces = event.segs
+                .filter(seg => seg.utf8 && seg.utf8.trim())
+                .map(seg => ({ text: seg.utf8.trim(), start: start + (seg.tOffsetMs || 0) / 1000 }));
+
+            captions.push({
+                start: start,
+                end: end,
+                text: text,
+                words: pieces.length > 1 ? this.buildTimedWords(pieces, end) : this.extractWords(text),
+                speaker: null,
+                style: {},
+                id: null
+            });
+        });
+
+        return captions;
+    }
+
+    // ========== TIMING ==========
+
+    /**
+     * Copy of captions moved by `offset` seconds (positive = later)
+     */
+    shiftCaptions(captions, offset) {
+        if (!offset) return captions;
+
+        const shift = time => Math.max(0, time + offset);
+        return captions.map(caption => ({
+            ...caption,
+            start: shift(caption.start),
+            end: shift(caption.end),
+            words: caption.words.map(word => word.start === undefined ? word : {
+                ...word,
+                start: shift(word.start),
+                end: shift(word.end)
+            })
+        }));
+    }
+
+    // ========== WORDS ==========
+
+    extractWords(text) {
+        return text.split(/\s+/).filter(word => word.length > 0).map(word => ({
+            text: word.replace(/[.,!?;:]$/, ''),
+            punctuation: /[.,!?;:]$/.test(word) ? word.slice(-1) : ''
+        }));
+    }
+
+    /**
+     * Words with start/end times from timed text pieces
+     * pieces: [{ text, start }] in seconds, in order. A piece holding several
+     * words spreads its time evenly over them.
+     */
+    buildTimedWords(pieces, captionEnd) {
+        const words = [];
+
+        pieces.forEach((piece, i) => {
+            const pieceEnd = i + 1 < pieces.length ? pieces[i + 1].start : captionEnd;
+            const pieceWords = this.extractWords(piece.text);
+            const step = Math.max(0, pieceEnd - piece.start) / (pieceWords.length || 1);
+
+            pieceWords.forEach((word, j) => {
+                words.push({
+                    ...word,
+                    start: piece.start + step * j,
+                    end: piece.start + step * (j + 1)
+                });
+            });
+        });
+
+        return words;
+    }
+}
@@ -0,0 +1,147 @@
+/**
+ * VideoDifficultyService - How hard a video is, from its captions
+ * Lexical level (share of words per frequency band), how many words the user
+ * already knows or is learning, speech rate, and a timeline heatmap of hard words.
+ * Summaries are kept per video so the player button can show them before captions load.
+ */
+class VideoDifficultyService {
+    constructor(state, storage, logger) {
+        this.state = state;
+        this.storage = storage;
+        this.logger = logger || console;
+
+        this.difficulty = new WordDifficulty(storage.lemmatizer);
+
+        this.heatmapBins = 40;
+        // Share of words a viewer must know to follow comfortably; lower than the usual 95%
+        // because the bundled lists only hold the ~2000 most common lemmas
+        this.coverageTarget = 0.9;
+        this.maxStoredSummaries = 200;
+    }
+
+    /**
+     * Analyze the current captions (or the given ones); null when there are none
+     */
+    analyze(videoId = this.state.getCurrentVideoId(), captions = this.state.getParsedCaptions()) {
+        if (!captions.length) return null;
+
+        const language = this.state.sourceLanguage;
+        const bands = Object.fromEntries(WordDifficulty.BANDS.map(band => [band, 0]));
+        const unique = new Set();
+        const tokens = [];   // { time, hard }
+        let known = 0;
+
+        captions.forEach(caption => {
+            const words = caption.words || [];
+
+            words.forEach((w, i) => {
+                const word = w.text.replace(/^[^\p{L}]+|[^\p{L}']+$/gu, '');
+
+                // Names say nothing about the level
+                if (i > 0 && /^\p{Lu}/u.test(word) && word !== 'I') return;
+
+                const band = this.difficulty.getBand(word, language);
+                if (!band) return;
+
+                const unknown = this.storage.getWordStatus(word) === 'unknown';
+                bands[band]++;
+                unique.add(word.toLowerCase());
+                if (!unknown) known++;
+
+                const time = w.start ?? caption.start + (caption.end - caption.start) * (i / Math.max(1, words.length));
+                tokens.push({ time: time, hard: unknown && (band === 'B2' || band === 'C1') });
+            });
+        });
+
+        const total = tokens.length;
+        if (!total) return null;
+
+        const start = captions[0].start;
+        const end = captions[captions.length - 1].end;
+
+        const summary = {
+            videoId: videoId,
+            level: this.getLevel(bands, total),
+            wordCount: total,
+            uniqueWords: unique.size,
+            bands: Object.fromEntries(Object.entries(bands).map(([band, count]) => [band, Math.round(count / total * 100)])),
+            knownPercent: Math.round(known / total * 100),
+            wordsPerMinute: Math.round(total / Math.max(1 / 60, this.getSpeakingMinutes(captions))),
+            heatmap: this.buildHeatmap(tokens, start, end),
+            start: start,
+            end: end,
+            analyzedAt: Date.now()
+        };
+
+        this.logger.debug(`Video difficulty: ${summary.level}, ${summary.wordsPerMinute} wpm, ${summary.knownPercent}% known`);
+        return summary;
+    }
+
+    // Lowest band whose words (and all easier ones) cover the target share of the text
+    getLevel(bands, total) {
+        let covered = 0;
+        for (const band of WordDifficulty.BANDS) {
+            covered += bands[band];
+            if (covered / total >= this.coverageTarget) return band;
+        }
+        return 'C1';
+    }
+
+    // Time with captions on screen, overlapping (rolling) captions counted once
+    getSpeakingMinutes(captions) {
+        let seconds = 0;
+        let coveredUntil = -Infinity;
+
+        [...captions].sort((a, b) => a.start - b.start).forEach(caption => {
+            const from = Math.max(caption.start, coveredUntil);
+            if (caption.end > from) {
+                seconds += caption.end - from;
+                coveredUntil = caption.end;
+            }
+        });
+
+        return seconds / 60;
+    }
+
+    // Share of hard, unknown words in each slice of the timeline (null = no speech)
+    buildHeatmap(tokens, start, end) {
+        const span = Math.max(1, end - start);
+        const bins = Array.from({ length: this.heatmapBins }, () => ({ words: 0, hard: 0 }));
+
+        tokens.forEach(token => {
+            const index = Math.min(this.heatmapBins - 1, Math.max(0, Math.floor((token.time - start) / span * this.heatmapBins)));
+            bins[index].words++;
+            if (token.hard) bins[index].hard++;
+        });
+
+        return bins.map(bin => bin.words ? Math.round(bin.hard / bin.words * 100) / 100 : null);
+    }
+
+    /**
+     * Analyze and remember the current video's summary
+     */
+    async analyzeAndStore(videoId = this.state.getCurrentVideoId(), captions = this.state.getParsedCaptions()) {
+        const summary = this.analyze(videoId, captions);
+        if (!summary?.videoId) return summary;
+
+        const { videoDifficulty = {} } = await chrome.storage.local.get(['videoDifficulty']);
+        videoDifficulty[summary.videoId] = summary;
+
+        // Keep the most recent ones only
+        const ids = Object.keys(videoDifficulty);
+        if (ids.length > this.maxStoredSummaries) {
+            ids.sort((a, b) => videoDifficulty[a].analyzedAt - videoDifficulty[b].analyzedAt)
+                .slice(0, ids.length - this.maxStoredSummaries)
+                .forEach(id => delete videoDifficulty[id]);
+        }
+
+        await chrome.storage.local.set({ videoDifficulty });
+        return summary;
+    }
+
+    async getStoredSummary(videoId) {
+        if (!videoId) return null;
+        const { videoDifficulty } = await chrome.storage.local.get(['videoDifficulty']);
+        return videoDifficulty?.[videoId] || null;
+    }
+}
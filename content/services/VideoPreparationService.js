@@ -0,0 +1,125 @@
+/**
+ * VideoPreparationService - "Prepare this video": analyze the video's harder words up front
+ * Finds words that aren't known, saved or cached yet, analyzes them in a few batch requests
+ * and stores them in the sense cache, so tooltips open instantly during playback.
+ */
+class VideoPreparationService {
+    constructor(state, storage, AI, logger) {
+        this.state = state;
+        this.storage = storage;
+        this.AI = AI;
+        this.logger = logger || console;
+
+        this.difficulty = new WordDifficulty(storage.lemmatizer);
+
+        this.batchSize = 20;   // Words per request
+        this.maxBatches = 5;   // Requests per run at most
+
+        this.running = false;
+        this.preparedVideoId = null;  // Auto-prepare runs once per video
+    }
+
+    /**
+     * Words worth preparing, hardest first, each with the sentence it first appears in
+     */
+    findCandidates() {
+        const level = this.state.definitionLevel;
+        const language = this.state.sourceLanguage;
+        const threshold = this.difficulty.getThreshold(level);
+        const seen = new Set();
+        const candidates = [];
+
+        this.state.getParsedCaptions().forEach(caption => {
+            const context = caption.sentence || caption.text;
+
+            (caption.words || []).forEach((w, i) => {
+                const word = w.text.replace(/^[^\p{L}]+|[^\p{L}']+$/gu, '');
+                const key = word.toLowerCase();
+                if (!word || seen.has(key)) return;
+                seen.add(key);
+
+                // Capitalized mid-caption is most likely a name
+                if (i > 0 && /^\p{Lu}/u.test(word) && word !== 'I') return;
+
+                const score = this.difficulty.score(word, language);
+                if (score === null || score < threshold) return;
+                if (this.storage.getWordStatus(word) !== 'unknown' || this.storage.findCachedSense(word, context)) return;
+
+                candidates.push({ word: key, context: context, score: score });
+            });
+        });
+
+        return candidates.sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * Requests this run may make: at most half of what's left today, so clicks still work
+     */
+    getBatchBudget() {
+        if (!this.state.canMakeApiCall()) return 0;
+        if (this.state.isPremium) return this.maxBatches;
+
+        const remaining = this.state.dailyLimit - this.state.dailyApiCalls;
+        return Math.min(this.maxBatches, Math.ceil(remaining / 2));
+    }
+
+    /**
+     * Analyze and cache the current video's candidate words
+     * Returns { status: 'done' | 'running' | 'unsupported' | 'unavailable' | 'limit', prepared, total }
+     */
+    async prepare(onProgress = () => {}) {
+        if (this.running) return { status: 'running' };
+
+        // The public API analyzes one word per call, which would burn its daily quota
+        if ((this.state.apiMode || 'own') !== 'own') {
+            return { status: 'unsupported' };
+        }
+        if (!this.storage.isAiAvailable()) {
+            return { status: 'unavailable' };
+        }
+
+        const videoId = this.state.getCurrentVideoId();
+        this.preparedVideoId = videoId;
+
+        const candidates = this.findCandidates();
+        if (!candidates.length) {
+            return { status: 'done', prepared: 0, total: 0 };
+        }
+
+        const budget = this.getBatchBudget();
+        if (budget === 0) {
+            return { status: 'limit', prepared: 0, total: candidates.length };
+        }
+
+        const queue = candidates.slice(0, budget * this.batchSize);
+        this.logger.info(`Preparing ${queue.length}/${candidates.length} words in ${Math.ceil(queue.length / this.batchSize)} request(s)`);
+
+        this.running = true;
+        let prepared = 0;
+
+        try {
+            for (let i = 0; i < queue.length; i += this.batchSize) {
+                // Stop if the user moved on to another video
+                if (this.state.getCurrentVideoId() !== videoId) break;
+
+                onProgress(i, queue.length);
+
+                const batch = queue.slice(i, i + this.batchSize);
+                const results = await this.AI.analyzeWordBatch(batch);
+                if (!results) break;
+
+                for (let j = 0; j < batch.length; j++) {
+                    if (!results[j]) continue;
+                    await this.storage.cacheSense(batch[j].word, batch[j].context, results[j], false);
+                    prepared++;
+                }
+                await this.storage.saveApiCache();
+            }
+        } finally {
+            this.running = false;
+        }
+
+        this.logger.info(`Prepared ${prepared} words`);
+        return { status: 'done', prepared: prepared, total: candidates.length };
+    }
+}
@@ -0,0 +1,173 @@
+/**
+ * HoverGloss - One-line translation + short definition shown while hovering a caption word
+ * Only uses cached analyses and the offline dictionary, never a fresh AI call.
+ * Clicking still opens the full tooltip.
+ */
+
+class HoverGloss {
+    constructor(mainOverlay) {
+        this.mainOverlay = mainOverlay;
+        this.storage = mainOverlay.storage;
+        this.state = mainOverlay.state;
+        this.logger = mainOverlay.logger;
+
+        this.gloss = null;
+        this.hoverTimeout = null;
+        this.hoverToken = 0;          // Drops lookups that finish after the mouse moved on
+        this.currentSpan = null;
+        this.pausedByHover = false;
+    }
+
+    /**
+     * Listen on the caption container once; words inside are re-rendered on every caption
+     */
+    attach(container) {
+        if (container.dataset.hoverGloss) return;
+        container.dataset.hoverGloss = 'true';
+
+        container.addEventListener('mouseover', (e) => {
+            const span = e.target.closest('.caption-word');
+            if (span && span !== this.currentSpan) {
+                this.onWordEnter(span);
+            }
+        });
+
+        container.addEventListener('mouseout', (e) => {
+            const span = e.target.closest('.caption-word');
+            if (span && !span.contains(e.relatedTarget)) {
+                this.onWordLeave();
+            }
+        });
+
+        // The full tooltip takes over on click
+        container.addEventListener('mousedown', () => this.hide(false));
+    }
+
+    onWordEnter(span) {
+        this.hide(false);
+        if (!this.state.hoverGloss) return;
+
+        this.currentSpan = span;
+        const token = ++this.hoverToken;
+
+        this.hoverTimeout = setTimeout(async () => {
+            const word = span.dataset.word;
+            const data = await this.lookup(word);
+            if (token !== this.hoverToken || !span.isConnected) return;
+
+            this.show(span, word, data);
+
+            if (this.state.autoPause === 'hover') {
+                const video = this.state.getVideoElement() || document.querySelector('video');
+                if (video && !video.paused) {
+                    video.pause();
+                    this.pausedByHover = true;
+                }
+            }
+        }, this.state.hoverDelay);
+    }
+
+    onWordLeave() {
+        this.hide(true);
+    }
+
+    async lookup(word) {
+        try {
+            return await this.storage.getCachedWordData(word) ||
+                   await this.storage.lookupOfflineDictionary(word);
+        } catch (error) {
+            this.logger.debug('Hover lookup failed:', error.message);
+            return null;
+        }
+    }
+
+    show(span, word, data) {
+        if (!this.gloss) {
+            this.gloss = document.createElement('div');
+            this.gloss.id = 'yt-hover-gloss';
+            this.gloss.style.cssText = `
+                position: fixed;
+                z-index: 2150;
+                max-width: 420px;
+                padding: 6px 12px;
+                background: rgba(20, 20, 20, 0.92);
+                border: 1px solid rgba(255, 255, 255, 0.18);
+                border-radius: 8px;
+                box-shadow: 0 4px 16px rgba(0, 0, 0, 0.4);
+                color: white;
+                font-family: "Roboto", Arial, sans-serif;
+                font-size: 13px;
+                white-space: nowrap;
+                overflow: hidden;
+                text-overflow: ellipsis;
+                pointer-events: none;
+                transform: translate(-50%, -100%);
+            `;
+            document.body.appendChild(this.gloss);
+        }
+
+        const translation = this.getTranslation(data?.translations);
+        const definition = this.shorten(data?.definition);
+
+        if (translation || definition) {
+            this.gloss.innerHTML = `
+                <strong>${this.escapeHtml(word)}</strong>
+                ${translation ? `<span style="color: #fbbf24; margin-left: 8px;">${this.escapeHtml(translation)}</span>` : ''}
+                ${definition ? `<span style="color: rgba(255, 255, 255, 0.7); margin-left: 8px;">${this.escapeHtml(definition)}</span>` : ''}
+            `;
+        } else {
+            this.gloss.innerHTML = `
+                <strong>${this.escapeHtml(word)}</strong>
+                <span style="color: rgba(255, 255, 255, 0.5); margin-left: 8px;">Click for the full definition</span>
+            `;
+        }
+
+        const rect = span.getBoundingClientRect();
+        this.gloss.style.left = `${rect.left + rect.width / 2}px`;
+        this.gloss.style.top = `${rect.top - 8}px`;
+        this.gloss.style.display = 'block';
+    }
+
+    /**
+     * Hide the gloss; resume playback if the hover paused it
+     */
+    hide(resume = true) {
+        clearTimeout(this.hoverTimeout);
+        this.hoverToken++;
+        this.currentSpan = null;
+
+        if (this.gloss) {
+            this.gloss.style.display = 'none';
+        }
+
+        if (this.pausedByHover) {
+            this.pausedByHover = false;
+
+            // Don't resume under the full tooltip
+            const tooltipOpen = this.mainOverlay.tooltip?.tooltip?.style.opacity === '1';
+            const video = this.state.getVideoElement() || document.querySelector('video');
+            if (resume && !tooltipOpen && video?.paused) {
+                video.play();
+            }
+        }
+    }
+
+    getTranslation(translations) {
+        if (!translations) return '';
+        if (Array.isArray(translations)) return translations[0] || '';
+        return translations[this.state.targetLanguage] || Object.values(translations)[0] || '';
+    }
+
+    // First sentence, cut to fit one line
+    shorten(definition) {
+        if (!definition) return '';
+        const first = definition.split(/(?<=[.;])\s/)[0];
+        return first.length > 80 ? first.slice(0, 77) + '…' : first;
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
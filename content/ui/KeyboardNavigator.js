@@ -0,0 +1,223 @@
+/**
+ * KeyboardNavigator - Keyboard word selection and lookup on the caption overlay
+ * Alt+W (by default) enters word select mode on the current caption; bindings come from settings.
+ * Keys are only taken from YouTube while the mode is on.
+ */
+
+class KeyboardNavigator {
+    constructor(mainOverlay) {
+        this.mainOverlay = mainOverlay;
+        this.storage = mainOverlay.storage;
+        this.state = mainOverlay.state;
+        this.logger = mainOverlay.logger;
+
+        this.keyBindings = new KeyBindings();
+        this.active = false;
+        this.wordIndex = 0;
+        this.pausedVideo = false;
+
+        this.setupStyles();
+        this.loadBindings();
+        this.setupEventListeners();
+    }
+
+    async loadBindings() {
+        const { keyBindings } = await chrome.storage.sync.get(['keyBindings']);
+        this.keyBindings = new KeyBindings(keyBindings || {});
+    }
+
+    setupStyles() {
+        if (document.querySelector('#yt-keyboard-nav-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'yt-keyboard-nav-styles';
+        style.textContent = `
+            #yt-subtitle-overlay .caption-word.caption-word-focused {
+                outline: 2px solid #4fc3f7;
+                outline-offset: 2px;
+                border-radius: 4px;
+            }
+        `;
+        document.head.appendChild(style);
+    }
+
+    setupEventListeners() {
+        // Capture phase so YouTube's player never sees keys used in word select mode
+        document.addEventListener('keydown', (e) => this.handleKeydown(e), true);
+
+        chrome.storage.onChanged.addListener((changes, area) => {
+            if (area === 'sync' && changes.keyBindings) {
+                this.keyBindings = new KeyBindings(changes.keyBindings.newValue || {});
+            }
+        });
+    }
+
+    handleKeydown(e) {
+        if (this.isTyping(e.target) || !this.state.isOverlayActive()) return;
+
+        // Escape closes an open tooltip first, then leaves the mode
+        const tooltipOpen = this.mainOverlay.tooltip?.tooltip?.style.opacity === '1';
+        if (this.active && e.key === 'Escape' && !tooltipOpen) {
+            this.consume(e);
+            this.exit();
+            return;
+        }
+
+        const action = this.keyBindings.actionFor(e, this.active);
+        if (!action || KeyBindings.TIMING_ACTIONS.includes(action)) return;
+
+        this.consume(e);
+
+        switch (action) {
+            case 'wordMode':
+                this.active ? this.exit() : this.enter();
+                break;
+            case 'previousCaption':
+                this.playCaption(-1);
+                break;
+            case 'nextCaption':
+                this.playCaption(1);
+                break;
+            case 'moveLeft':
+                this.move(-1);
+                break;
+            case 'moveRight':
+                this.move(1);
+                break;
+            case 'openTooltip':
+                this.openTooltip();
+                break;
+            case 'toggleSave':
+                this.toggleSave();
+                break;
+            case 'cycleStatus':
+                this.cycleStatus();
+                break;
+            case 'speak':
+                this.speak();
+                break;
+        }
+    }
+
+    consume(e) {
+        e.preventDefault();
+        e.stopPropagation();
+        e.stopImmediatePropagation();
+    }
+
+    isTyping(target) {
+        return target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+    }
+
+    enter() {
+        if (this.state.getCurrentCaptionIndex() < 0 || !this.getWordSpans().length) {
+            this.mainOverlay.showPlayerNotification('No caption to select from');
+            return;
+        }
+
+        // Hold the caption still while navigating
+        const video = this.state.getVideoElement() || document.querySelector('video');
+        if (video && !video.paused) {
+            video.pause();
+            this.pausedVideo = true;
+        }
+
+        this.active = true;
+        this.wordIndex = 0;
+        this.restoreFocus();
+        this.mainOverlay.showPlayerNotification(
+            `Word select: ${KeyBindings.format(this.keyBindings.get('moveLeft'))}/${KeyBindings.format(this.keyBindings.get('moveRight'))} move, ` +
+            `${KeyBindings.format(this.keyBindings.get('openTooltip'))} define, Esc exit`
+        );
+    }
+
+    exit() {
+        this.active = false;
+        this.getWordSpans().forEach(span => span.classList.remove('caption-word-focused'));
+
+        if (this.pausedVideo) {
+            this.pausedVideo = false;
+            const tooltipOpen = this.mainOverlay.tooltip?.tooltip?.style.opacity === '1';
+            const video = this.state.getVideoElement() || document.querySelector('video');
+            if (!tooltipOpen && video?.paused) {
+                video.play();
+            }
+        }
+    }
+
+    getWordSpans() {
+        return [...document.querySelectorAll('#yt-subtitle-overlay .caption-word')];
+    }
+
+    getFocusedSpan() {
+        return this.getWordSpans()[this.wordIndex] || null;
+    }
+
+    /**
+     * Re-apply the focus ring after the caption was re-rendered
+     */
+    restoreFocus() {
+        if (!this.active) return;
+
+        const spans = this.getWordSpans();
+        if (!spans.length) return;
+
+        this.wordIndex = Math.max(0, Math.min(this.wordIndex, spans.length - 1));
+        spans.forEach((span, i) => span.classList.toggle('caption-word-focused', i === this.wordIndex));
+    }
+
+    move(delta) {
+        const spans = this.getWordSpans();
+        if (!spans.length) return;
+
+        this.wordIndex = (this.wordIndex + delta + spans.length) % spans.length;
+        this.restoreFocus();
+    }
+
+    async openTooltip() {
+        const span = this.getFocusedSpan();
+        if (!span) return;
+
+        // handleWordClick positions the tooltip from the click event's target
+        const player = this.mainOverlay.player;
+        player.currentClickEvent = { target: span };
+        await this.mainOverlay.handleWordClick(span.dataset.word, parseInt(span.dataset.index));
+        player.currentClickEvent = null;
+    }
+
+    async toggleSave() {
+        const span = this.getFocusedSpan();
+        if (!span) return;
+
+        // Removing shows its own notification
+        const wasSaved = this.storage.isWordSaved(span.dataset.word);
+        await this.mainOverlay.player.toggleWordSaved(
+            span.dataset.word,
+            parseInt(span.dataset.index),
+            this.state.getCurrentCaptionIndex(),
+            span
+        );
+        if (!wasSaved) {
+            this.mainOverlay.showPlayerNotification(`Saved "${span.dataset.word}"`);
+        }
+    }
+
+    async cycleStatus() {
+        const span = this.getFocusedSpan();
+        if (span) {
+            await this.mainOverlay.player.cycleWordStatus(span.dataset.word);
+        }
+    }
+
+    speak() {
+        const span = this.getFocusedSpan();
+        if (span) {
+            this.mainOverlay.tooltip.speakWord(span.dataset.word);
+        }
+    }
+
+    playCaption(direction) {
+        if (this.active) this.exit();
+        this.mainOverlay.replayControls.playAdjacent(direction);
+    }
+}
@@ -10,6 +10,7 @@ class PlayerIntegration {
 
         // AI & Analysis
         this.AI = overlayInstance.AI;
+        this.captionTranslator = overlayInstance.captionTranslator;
 
         // Notification service
         this.notifications = overlayInstance.notifications;
@@ -21,6 +22,19 @@ class PlayerIntegration {
         this.playerContainer = null;
         this.overlayElement = null;
 
+        // Phrase selection (drag or shift-click across words)
+        this.phraseSelection = null;
+        this.dragAnchor = null;
+        this.isDraggingPhrase = false;
+        this.phraseMouseUpBound = false;
+
+        // Karaoke highlight position
+        this.spokenWordIndex = -1;
+        this.spokenCaptionIndex = -1;
+
+        // Dual subtitles are off in public mode; say so once per page
+        this.dualSubtitlesNoticeShown = false;
+
         this.logger = logger || console;
     }
 
@@ -86,74 +100,84 @@ class PlayerIntegration {
             this.logger.debug('First caption text:', parsedCaptions[0].text);
         }
         
-        // Use adaptive sync rate
-        let syncRate = 100; // Start at 100ms
-        
-        const syncInterval = setInterval(() => {
-            const video = this.overlay.state.getVideoElement();
-            if (!video) return;
-            
-            // Reduce sync rate when paused
-            if (video.paused) {
-                syncRate = 500; // Slower when paused
-            } else if (video.playbackRate > 1.5) {
-                syncRate = 50; // Faster for high speed
-            } else {
-                syncRate = 100; // Normal
+        // Frame-accurate sync, idle while paused or hidden
+        const engine = new CaptionSyncEngine(this.logger);
+        this.overlay.state.setSyncEngine(engine);
+        this.overlay.state.setCurrentCaptionIndex(-1);
+
+        engine.start(
+            video,
+            () => this.overlay.state.getParsedCaptions(),
+            (index, time) => this.updateCurrentCaption(index, time),
+            (index, time) => {
+                this.updateSpokenWord(index, time);
+                this.overlay.timingControls?.onTick(index, time);
+                this.overlay.replayControls?.onTick(index, time);
             }
-            
-            this.updateCurrentCaption();
-        }, syncRate);
-        
-        this.overlay.state.setSyncInterval(syncInterval);
+        );
+        this.overlay.timingControls?.applyToEngine(engine);
+
+        this.overlay.analyzeVideoDifficulty();
+
+        if (this.overlay.state.autoPrepareVideo) {
+            this.overlay.prepareVideo(true);
+        }
     }
 
-    stopCaptionSync() {
-        this.overlay.state.clearSyncInterval();
+    // Captions were replaced in place (e.g. re-segmented): redraw at the current time
+    reloadCaptions() {
+        this.clearPhraseSelection();
         this.overlay.state.setCurrentCaptionIndex(-1);
+        this.displayCaption(-1);
+        this.overlay.state.getSyncEngine()?.refresh();
     }
 
-    updateCurrentCaption() {
-        // CHANGE: Use cached reference
-        const video = this.overlay.state.getVideoElement();
-        if (!video || !this.overlay.state.getParsedCaptions().length) {
-            return;
-        }
+    stopCaptionSync() {
+        this.overlay.state.clearSyncEngine();
+        this.overlay.state.setCurrentCaptionIndex(-1);
+    }
 
-        const currentTime = video.currentTime;
-        
-        // ADD DETAILED DEBUG LOGGING:
+    // Called by the sync engine whenever the active caption changes
+    updateCurrentCaption(targetIndex, currentTime) {
         const currentCaptionIndex = this.overlay.state.getCurrentCaptionIndex();
-        const parsedCaptions = this.overlay.state.getParsedCaptions();
-    
-
-        // Find the caption that should be showing now
-        let targetIndex = -1;
-        for (let i = 0; i < parsedCaptions.length; i++) {
-            const caption = parsedCaptions[i];
-            if (currentTime >= caption.start && currentTime <= caption.end) {
-                targetIndex = i;
-                break;
-            }
-        }
+        if (targetIndex === currentCaptionIndex) return;
 
-        
-        if (targetIndex !== currentCaptionIndex) {
         this.logger.debug(`Caption change: ${currentCaptionIndex} → ${targetIndex}`);
-            if (targetIndex === -1) {
-                this.logger.debug(`[No caption for time ${currentTime.toFixed(2)}s`);
-            }
-        }
-        
-        
-        // Only update if caption changed
-        if (targetIndex !== currentCaptionIndex) {
-            this.overlay.state.setCurrentCaptionIndex(targetIndex);
-            this.displayCaption(targetIndex);
+        if (targetIndex === -1) {
+            this.logger.debug(`No caption for time ${currentTime.toFixed(2)}s`);
         }
+
+        this.clearPhraseSelection();
+        this.overlay.hoverGloss?.hide(false);
+        this.overlay.state.setCurrentCaptionIndex(targetIndex);
+        this.displayCaption(targetIndex);
+        this.overlay.transcriptPanel?.setActiveCaption(targetIndex);
+    }
+
+    // Karaoke: mark the word being spoken, for captions with per-word timing
+    updateSpokenWord(index, time) {
+        if (!this.overlay.state.karaokeHighlight || index < 0) return;
+
+        const caption = this.overlay.state.getParsedCaptions()[index];
+        if (!caption || caption.words[0]?.start === undefined) return;
+
+        let spoken = -1;
+        caption.words.forEach((word, wordIndex) => {
+            if (word.start !== undefined && word.start <= time) spoken = wordIndex;
+        });
+
+        if (spoken === this.spokenWordIndex && index === this.spokenCaptionIndex) return;
+        this.spokenWordIndex = spoken;
+        this.spokenCaptionIndex = index;
+
+        document.querySelectorAll('#yt-subtitle-overlay .caption-word').forEach(span => {
+            span.classList.toggle('caption-word-spoken', parseInt(span.dataset.index) === spoken);
+        });
     }
 
     displayCaption(index) {
+        this.spokenWordIndex = -1;
+
         const overlay = document.getElementById('yt-subtitle-overlay'); // Direct query
         if (!overlay) return;
         
@@ -162,26 +186,61 @@ class PlayerIntegration {
         } else {
             const caption = this.overlay.state.getParsedCaptions()[index];
             
-            // Create words with data attributes including index
-            const words = caption.words.map((word, wordIndex) => {
-            const wordKey = word.text.toLowerCase().trim();
-            const isHighlighted = wordKey in this.overlay.state.savedWords;
-                const className = `caption-word ${isHighlighted ? 'highlighted-word' : ''}`;
-                return `<span class="${className}" 
-                            data-word="${word.text}"
-                            data-index="${wordIndex}"
-                            data-caption-index="${index}"
-                        >${word.text}${word.punctuation}</span>`;
-            }).join(' ');
+            // Create words with data attributes including index.
+            // Built as nodes so quotes or markup in caption text stay text.
+            overlay.textContent = '';
+            caption.words.forEach((word, wordIndex) => {
+                if (wordIndex > 0) overlay.append(' ');
+
+                const span = document.createElement('span');
+                span.className = `caption-word ${this.getStatusClass(word.text)}`;
+                span.dataset.word = word.text;
+                span.dataset.index = wordIndex;
+                span.dataset.captionIndex = index;
+                span.textContent = word.text + word.punctuation;
+                overlay.appendChild(span);
+            });
             
-            overlay.innerHTML = words;
             overlay.style.opacity = '1';
+            this.wrapSavedPhrases(overlay, index);
+
+            // Dual-subtitle mode: translated line under the clickable words
+            if (this.overlay.state.dualSubtitles) {
+                this.displayTranslation(overlay, index);
+            }
             
             
+            this.attachPhraseSelection(overlay, index);
+            this.overlay.hoverGloss?.attach(overlay);
+            this.overlay.keyboardNav?.restoreFocus();
+
             overlay.querySelectorAll('.caption-word').forEach(span => {
                 span.addEventListener('click', async (e) => {
                     e.stopPropagation();
                     e.preventDefault();
+
+                    // Alt-click: quick known/ignored mark
+                    if (e.altKey) {
+                        await this.cycleWordStatus(span.dataset.word);
+                        return;
+                    }
+
+                    // Shift-click: first click anchors, second completes the phrase
+                    if (e.shiftKey) {
+                        const wordIndex = parseInt(span.dataset.index);
+                        if (this.phraseSelection && this.phraseSelection.captionIndex === index) {
+                            this.setPhraseSelection(index, this.phraseSelection.anchor, wordIndex);
+                            this.finishPhraseSelection();
+                        } else {
+                            this.setPhraseSelection(index, wordIndex, wordIndex);
+                        }
+                        return;
+                    }
+
+                    // Plain click drops any half-made phrase selection
+                    if (this.phraseSelection) {
+                        this.clearPhraseSelection();
+                    }
                     
                     const word = e.target.dataset.word;
                     const wordIndex = parseInt(e.target.dataset.index);
@@ -199,68 +258,234 @@ class PlayerIntegration {
                     e.stopPropagation();
                     
                     const word = e.target.dataset.word;
-                    const wordKey = word.toLowerCase().trim();
                     const wordIndex = parseInt(e.target.dataset.index);
                     
-                    if (this.storage.savedWords && this.storage.savedWords[wordKey]) {
-                        // Remove word
-                        delete this.storage.savedWords[wordKey];
-                        e.target.classList.remove('highlighted-word');
-                        
-                        const result = await chrome.storage.local.get(['savedWordsData']);
-                        const savedWordsData = result.savedWordsData || {};
-                        delete savedWordsData[wordKey];
-                        await chrome.storage.local.set({ savedWordsData: savedWordsData });
-                        
-                        this.logger.debug('Removed word from saved list:', word);
-                        this.overlay.showSaveConfirmation(`Removed "${word}"`);
-                        
-                    } else {
-                        // Add word - immediate visual feedback
-                        e.target.classList.add('highlighted-word');
-                        
-                        try {
-                            // Check for cached analysis first
-                            let analysisData = await this.storage.getCachedWordData(word);
-                            
-                            if (!analysisData) {
-                                this.logger.debug('Generating AI analysis...');
-                                const contextData = this.storage.getSurroundingContext(word, wordIndex);
-                                const context = contextData?.context || 
-                                            this.overlay.state.getParsedCaptions()?.[this.overlay.state.getCurrentCaptionIndex()]?.text || 
-                                            `The word "${word}"`;
-                                analysisData = await this.AI.fetchWordAnalysis(word, context);
-                            }
-                            
-                            // Save with analysis
-                            await this.storage.saveWord(word, analysisData);
-                            this.logger.info(`Word saved: ${word}`);
-                            
-                        } catch (error) {
-                            this.logger.error('Error saving word:', error);
-                            await this.storage.saveWord(word, null);
-                        }
-                    }
+                    await this.toggleWordSaved(word, wordIndex, index, e.target);
                 });
             });
         }
     }
 
+    /**
+     * Wrap saved phrases so they highlight and open as one unit
+     * Works on the rendered line, so saves can re-run it without re-rendering
+     */
+    wrapSavedPhrases(overlay, captionIndex) {
+        overlay.querySelectorAll('.caption-phrase').forEach(wrapper => wrapper.replaceWith(...wrapper.childNodes));
+
+        const caption = this.overlay.state.getParsedCaptions()[captionIndex];
+        if (!caption) return;
+
+        const spans = [...overlay.querySelectorAll('.caption-word')];
+        this.storage.findPhraseMatches(caption.words.map(word => word.text)).forEach(({ key, start, end }) => {
+            if (!spans[start] || !spans[end]) return;
+
+            const wrapper = document.createElement('span');
+            wrapper.className = 'caption-phrase highlighted-phrase';
+            wrapper.dataset.phrase = key;
+            spans[start].before(wrapper);
+
+            // Move the words and the spaces between them
+            let node = wrapper.nextSibling;
+            while (node) {
+                const next = node.nextSibling;
+                wrapper.appendChild(node);
+                if (node === spans[end]) break;
+                node = next;
+            }
+
+            // Capture phase: a plain click on any of its words opens the phrase, not the word
+            wrapper.addEventListener('click', (e) => {
+                if (e.altKey || e.shiftKey || !e.target.closest('.caption-word')) return;
+
+                e.stopPropagation();
+                e.preventDefault();
+                this.clearPhraseSelection();
+                this.overlay.handlePhraseClick(key, spans[start], spans[end]);
+            }, true);
+        });
+    }
+
+    // Class for a word's status; unknown words are only marked when that setting is on
+    getStatusClass(word) {
+        if (!/\p{L}/u.test(word)) return '';
+
+        const status = this.storage.getWordStatus(word);
+        if (status === 'unknown') {
+            return this.overlay.state.markUnknownWords ? 'unknown-word' : '';
+        }
+        return { learning: 'highlighted-word', known: 'known-word', ignored: 'ignored-word' }[status];
+    }
+
+    // Alt-click on a caption or transcript word: unknown -> known -> ignored -> unknown (saved words go to known)
+    async cycleWordStatus(word) {
+        const status = this.storage.getWordStatus(word);
+        const next = { unknown: 'known', learning: 'known', known: 'ignored', ignored: 'unknown' }[status];
+
+        await this.storage.setWordStatus(word, next);
+
+        const messages = {
+            known: `"${word}" marked as known`,
+            ignored: `"${word}" ignored`,
+            unknown: this.storage.isWordSaved(word) ? `"${word}" back to learning` : `"${word}" marked as unknown`
+        };
+        this.overlay.showPlayerNotification(messages[next]);
+    }
+
+    // Context menu (right-click) on a caption word, or on a transcript word via
+    // TranscriptPanel.handleListContextMenu: save it, or remove it if already saved
+    async toggleWordSaved(word, wordIndex, captionIndex, element) {
+        if (this.storage.isWordSaved(word)) {
+            // Remove word (and every inflected form's highlight)
+            await this.storage.deleteWord(word);
+            this.refreshHighlights();
+            
+            this.logger.debug('Removed word from saved list:', word);
+            this.overlay.showPlayerNotification(`Removed "${word}"`);
+            
+        } else {
+            // Add word - immediate visual feedback
+            element.classList.add('highlighted-word');
+            
+            try {
+                const contextData = this.storage.getSurroundingContext(word, wordIndex, captionIndex);
+                const context = contextData?.context || 
+                            this.overlay.state.getParsedCaptions()?.[captionIndex]?.text || 
+                            `The word "${word}"`;
+
+                // Check for cached analysis first
+                let analysisData = await this.storage.getCachedWordData(word, context);
+                
+                if (!analysisData) {
+                    this.logger.debug('Generating AI analysis...');
+                    analysisData = await this.AI.fetchWordAnalysis(word, context);
+                }
+                
+                // Save with analysis
+                await this.storage.saveWord(word, analysisData, captionIndex);
+                this.refreshHighlights();
+                this.logger.info(`Word saved: ${word}`);
+                
+            } catch (error) {
+                this.logger.error('Error saving word:', error);
+                await this.storage.saveWord(word, null, captionIndex);
+            }
+        }
+    }
+
+    attachPhraseSelection(overlay, captionIndex) {
+        overlay.querySelectorAll('.caption-word').forEach(span => {
+            span.addEventListener('mousedown', (e) => {
+                if (e.button !== 0 || e.shiftKey) return;
+                this.dragAnchor = parseInt(span.dataset.index);
+                this.isDraggingPhrase = false;
+            });
+
+            span.addEventListener('mouseenter', (e) => {
+                if (this.dragAnchor === null || e.buttons !== 1) return;
+
+                const wordIndex = parseInt(span.dataset.index);
+                if (wordIndex !== this.dragAnchor) {
+                    this.isDraggingPhrase = true;
+                    this.setPhraseSelection(captionIndex, this.dragAnchor, wordIndex);
+                }
+            });
+        });
+
+        // One document listener so drags released outside the overlay still finish
+        if (!this.phraseMouseUpBound) {
+            this.phraseMouseUpBound = true;
+            document.addEventListener('mouseup', () => {
+                const wasDragging = this.isDraggingPhrase;
+                this.dragAnchor = null;
+                this.isDraggingPhrase = false;
+                if (wasDragging && this.phraseSelection) {
+                    this.finishPhraseSelection();
+                }
+            });
+        }
+    }
+
+    setPhraseSelection(captionIndex, anchor, focus) {
+        const start = Math.min(anchor, focus);
+        const end = Math.max(anchor, focus);
+        this.phraseSelection = { captionIndex, anchor, start, end };
+
+        document.querySelectorAll('#yt-subtitle-overlay .caption-word').forEach(span => {
+            const wordIndex = parseInt(span.dataset.index);
+            span.classList.toggle('caption-word-selected', wordIndex >= start && wordIndex <= end);
+        });
+    }
+
+    clearPhraseSelection() {
+        this.phraseSelection = null;
+        document.querySelectorAll('#yt-subtitle-overlay .caption-word-selected').forEach(span => {
+            span.classList.remove('caption-word-selected');
+        });
+    }
+
+    finishPhraseSelection() {
+        const { start, end } = this.phraseSelection;
+        const spans = [...document.querySelectorAll('#yt-subtitle-overlay .caption-word')]
+            .filter(span => {
+                const wordIndex = parseInt(span.dataset.index);
+                return wordIndex >= start && wordIndex <= end;
+            });
+
+        // A single word is just a normal click
+        if (spans.length < 2) {
+            this.clearPhraseSelection();
+            return;
+        }
+
+        const phrase = spans.map(span => span.dataset.word).join(' ');
+        this.logger.info('Selected phrase:', phrase);
+        this.overlay.handlePhraseClick(phrase, spans[0], spans[spans.length - 1]);
+    }
+
+    async displayTranslation(overlay, index) {
+        // The public API only serves word analysis
+        if ((this.storage.state.apiMode || 'own') === 'public') {
+            if (!this.dualSubtitlesNoticeShown) {
+                this.dualSubtitlesNoticeShown = true;
+                this.overlay.showPlayerNotification('Dual subtitles need your own API key, set one in Settings');
+            }
+            return;
+        }
+
+        const line = document.createElement('div');
+        line.className = 'caption-translation';
+        line.dir = 'auto';
+        overlay.appendChild(line);
+
+        const translation = await this.captionTranslator.getTranslation(index);
+
+        // Caption may have moved on while the translation was loading
+        if (translation && this.overlay.state.getCurrentCaptionIndex() === index && line.isConnected) {
+            line.textContent = translation;
+        }
+    }
+
     // Method to refresh highlights for saved words
     refreshHighlights() {
+        this.overlay.transcriptPanel?.refreshHighlights();
+
         const overlay = document.getElementById('yt-subtitle-overlay');
-        if (!overlay || !this.storage.savedWords) return;
+        if (!overlay) return;
+
+        // Update in place: re-rendering would restart the line's translation
+        const currentIndex = this.overlay.state.getCurrentCaptionIndex();
+        if (currentIndex >= 0 && overlay.querySelector('.caption-word')) {
+            this.wrapSavedPhrases(overlay, currentIndex);
+        }
         
         const wordElements = overlay.querySelectorAll('.caption-word');
         wordElements.forEach(element => {
             const word = element.dataset.word;
             if (word) {
-                const wordKey = word.toLowerCase().trim();
-                if (wordKey in this.storage.savedWords) {
-                    element.classList.add('highlighted-word');
-                } else {
-                    element.classList.remove('highlighted-word');
-                }
+                element.classList.remove('highlighted-word', 'known-word', 'ignored-word', 'unknown-word');
+                const statusClass = this.getStatusClass(word);
+                if (statusClass) element.classList.add(statusClass);
             }
         });
     }
@@ -327,6 +552,44 @@ class PlayerIntegration {
                 background-color: rgba(255, 215, 0, 0.3);
                 border-bottom: 2px solid #ffd700;
             }
+
+            .known-word {
+                color: rgba(255, 255, 255, 0.85);
+            }
+
+            .ignored-word {
+                opacity: 0.55;
+            }
+
+            .unknown-word {
+                border-bottom: 1px dotted rgba(255, 255, 255, 0.6);
+            }
+
+            .caption-word-spoken {
+                color: #4fc3f7;
+            }
+
+            .caption-word-selected {
+                background-color: rgba(59, 130, 246, 0.5);
+            }
+
+            .caption-phrase.highlighted-phrase {
+                background-color: rgba(255, 215, 0, 0.2);
+                border-bottom: 2px solid #ffd700;
+                border-radius: 4px;
+                padding: 0 2px;
+            }
+
+            .caption-translation {
+                font-size: 16px;
+                color: rgba(255, 255, 255, 0.75);
+                margin-top: 2px;
+                user-select: text;
+            }
+
+            .caption-translation:empty {
+                display: none;
+            }
             
             #yt-word-tooltip.loading::after {
                 content: '';
@@ -374,6 +637,7 @@ class PlayerIntegration {
         
         if (videoContainer) {
             videoContainer.appendChild(overlay);
+            this.overlay.replayControls?.show();
             this.logger.debug('Clean subtitle overlay created');
         }
     }
@@ -397,6 +661,7 @@ class PlayerIntegration {
             existingOverlay.remove();
             this.overlayElement = null;  
         }
+        this.overlay.replayControls?.hide();
         this.logger.info('Overlay removed');
     }
 
@@ -489,6 +754,27 @@ class PlayerIntegration {
                 #yt-subtitle-overlay-btn.loading svg {
                     animation: yt-spin 1s linear infinite;
                 }
+
+                /* Video difficulty level on the button's corner */
+                #yt-difficulty-badge {
+                    position: absolute;
+                    top: 8px;
+                    left: 38px;
+                    z-index: 63;
+                    padding: 1px 5px;
+                    border-radius: 8px;
+                    font-family: "Roboto", Arial, sans-serif;
+                    font-size: 10px;
+                    font-weight: 700;
+                    color: white;
+                    pointer-events: none;
+                    opacity: 0;
+                    transition: opacity 0.1s;
+                }
+
+                #movie_player:hover #yt-difficulty-badge {
+                    opacity: 1;
+                }
             `;
             document.head.appendChild(style);
         }
@@ -513,7 +799,7 @@ class PlayerIntegration {
             // Create button
             const button = document.createElement('button');
             button.id = 'yt-subtitle-overlay-btn';
-            button.setAttribute('data-tooltip', 'Subtitle Overlay (Alt+S)');
+            button.setAttribute('data-tooltip', 'Subtitle Overlay (Alt+S) · Right-click for more');
             button.setAttribute('aria-label', 'Toggle subtitle overlay');
 
             // Subtitle icon
@@ -529,6 +815,13 @@ class PlayerIntegration {
                 await this.handlePlayerButtonClick(button);
             });
 
+            // Right-click menu
+            button.addEventListener('contextmenu', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                this.togglePlayerButtonMenu(player);
+            });
+
             // Keyboard shortcut
             if (!this.shortcutAdded) {
                 document.addEventListener('keydown', (e) => {
@@ -543,6 +836,8 @@ class PlayerIntegration {
 
             // Add to player
             player.appendChild(button);
+            this.overlay.transcriptPanel?.injectButton(player);
+            this.renderDifficultyBadge();
 
             // Set initial state
             if (this.overlay?.state?.isOverlayActive()) {
@@ -555,6 +850,87 @@ class PlayerIntegration {
         }
     }
 
+    // Level badge on the player button; null removes it
+    setDifficultyBadge(summary) {
+        this.difficultySummary = summary;
+        this.renderDifficultyBadge();
+    }
+
+    renderDifficultyBadge() {
+        document.querySelector('#yt-difficulty-badge')?.remove();
+
+        const summary = this.difficultySummary;
+        const player = document.querySelector('#movie_player');
+        if (!summary || !player || summary.videoId !== this.overlay.getVideoId()) return;
+
+        const colors = { A1: '#10b981', A2: '#10b981', B1: '#f59e0b', B2: '#f97316', C1: '#ef4444' };
+
+        const badge = document.createElement('div');
+        badge.id = 'yt-difficulty-badge';
+        badge.textContent = summary.level === 'C1' ? 'C1+' : summary.level;
+        badge.style.background = colors[summary.level];
+        player.appendChild(badge);
+    }
+
+    togglePlayerButtonMenu(player) {
+        const existing = document.querySelector('#yt-subtitle-overlay-menu');
+        if (existing) {
+            existing.remove();
+            return;
+        }
+
+        const menu = document.createElement('div');
+        menu.id = 'yt-subtitle-overlay-menu';
+        menu.style.cssText = `
+            position: absolute;
+            top: 58px;
+            left: 12px;
+            z-index: 63;
+            min-width: 200px;
+            padding: 6px 0;
+            background: rgba(28, 28, 28, 0.95);
+            border-radius: 8px;
+            box-shadow: 0 4px 16px rgba(0, 0, 0, 0.5);
+            font-family: "Roboto", Arial, sans-serif;
+            font-size: 13px;
+            color: white;
+        `;
+
+        const items = [
+            { label: '📄 Load subtitle file…', action: () => this.overlay.subtitleFileDialog.open() },
+            { label: '⏱ Subtitle timing', action: () => this.overlay.timingControls.toggle() },
+            {
+                label: `✂️ Chunk size: ${this.overlay.getSegmentationLabel()}`,
+                action: () => this.overlay.cycleSegmentationProfile()
+            },
+            { label: '⚡ Prepare this video', action: () => this.overlay.prepareVideo() },
+            { label: '✅ Mark remaining words known', action: () => this.overlay.markVideoWordsKnown() },
+            { label: '📜 Transcript (Alt+T)', action: () => this.overlay.transcriptPanel.toggle() },
+            { label: '📊 Stats', action: () => this.overlay.statsOverlay.toggle() }
+        ];
+
+        items.forEach(item => {
+            const row = document.createElement('div');
+            row.textContent = item.label;
+            row.style.cssText = 'padding: 8px 16px; cursor: pointer;';
+            row.addEventListener('mouseenter', () => row.style.background = 'rgba(255, 255, 255, 0.1)');
+            row.addEventListener('mouseleave', () => row.style.background = '');
+            row.addEventListener('click', (e) => {
+                e.stopPropagation();
+                menu.remove();
+                item.action();
+            });
+            menu.appendChild(row);
+        });
+
+        player.appendChild(menu);
+
+        // Any other click closes it
+        setTimeout(() => {
+            document.addEventListener('click', () => menu.remove(), { once: true });
+        }, 0);
+    }
+
     /**
      * Show onboarding banner when setup is incomplete
      * Prompts user to complete setup before using the extension
@@ -868,17 +1244,19 @@ class PlayerIntegration {
     }
 
     highlightWordInCaptions(word) {
-        const wordKey = word.toLowerCase().trim();
-        
-        // Update in-memory saved words
-        if (!this.storage.savedWords[wordKey]) {
-            this.storage.savedWords[wordKey] = { word: word };
+        // Phrases need their wrapper
+        if (this.storage.isPhrase(word)) {
+            this.refreshHighlights();
+            return;
         }
+
+        const lemma = this.storage.getLemma(word);
         
-        // Find and highlight all instances in current captions
+        // Find and highlight all forms of the word in current captions
         const allWordElements = document.querySelectorAll('.caption-word, .subtitle-word');
         allWordElements.forEach(element => {
-            if (element.textContent.toLowerCase().trim() === wordKey) {
+            const text = element.dataset.word || element.textContent;
+            if (this.storage.getLemma(text) === lemma) {
                 element.classList.add('highlighted-word');
             }
         });
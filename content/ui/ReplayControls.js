@@ -0,0 +1,355 @@
+/**
+ * ReplayControls - Shadowing controls beside the caption overlay
+ * Replay / previous / next caption, an A-B loop over caption boundaries,
+ * optional pause after every caption, and repeat count + slow-down while looping.
+ */
+
+class ReplayControls {
+    constructor(mainOverlay) {
+        this.mainOverlay = mainOverlay;
+        this.state = mainOverlay.state;
+        this.logger = mainOverlay.logger;
+
+        this.bar = null;
+
+        // { startIndex, endIndex, remaining } while looping
+        this.loop = null;
+        this.loopA = null;           // First A-B click, waiting for B
+        this.savedRate = null;       // Playback rate to restore when the loop ends
+        this.pausedAfter = -1;       // Caption auto-pause already fired for
+
+        this.settings = {
+            repeatCount: 3,          // 0 = loop until stopped
+            loopRate: 1,
+            pauseAfterCaption: false
+        };
+
+        this.loadSettings();
+    }
+
+    async loadSettings() {
+        const { replaySettings } = await chrome.storage.sync.get(['replaySettings']);
+        this.settings = { ...this.settings, ...replaySettings };
+        this.updateBar();
+    }
+
+    saveSettings() {
+        chrome.storage.sync.set({ replaySettings: this.settings });
+    }
+
+    show() {
+        this.hide();
+
+        const player = document.querySelector('#movie_player');
+        if (!player) return;
+
+        this.bar = document.createElement('div');
+        this.bar.id = 'yt-replay-controls';
+        this.bar.style.cssText = `
+            position: absolute;
+            bottom: 60px;
+            right: 12px;
+            z-index: 2000;
+            display: flex;
+            align-items: center;
+            gap: 4px;
+            padding: 4px 6px;
+            background: rgba(8, 8, 8, 0.75);
+            border-radius: 6px;
+            font-family: "Roboto", Arial, sans-serif;
+            font-size: 12px;
+            color: white;
+            opacity: 0.5;
+            transition: opacity 0.2s ease;
+            backdrop-filter: blur(8px);
+            -webkit-backdrop-filter: blur(8px);
+        `;
+
+        const buttonStyle = `
+            min-width: 28px;
+            height: 26px;
+            padding: 0 6px;
+            border: none;
+            border-radius: 4px;
+            background: none;
+            color: white;
+            font-size: 13px;
+            cursor: pointer;
+        `;
+        const selectStyle = `
+            height: 24px;
+            background: rgba(255, 255, 255, 0.1);
+            border: none;
+            border-radius: 4px;
+            color: white;
+            font-size: 12px;
+        `;
+
+        this.bar.innerHTML = `
+            <button data-action="previous" style="${buttonStyle}" title="Previous caption">⏮</button>
+            <button data-action="replay" style="${buttonStyle}" title="Replay this caption">🔁</button>
+            <button data-action="next" style="${buttonStyle}" title="Next caption">⏭</button>
+            <button data-action="ab" style="${buttonStyle}" title="A-B loop: set A, then B">A-B</button>
+            <select data-setting="repeatCount" style="${selectStyle}" title="Times to play each loop">
+                <option value="1">×1</option>
+                <option value="2">×2</option>
+                <option value="3">×3</option>
+                <option value="5">×5</option>
+                <option value="0">∞</option>
+            </select>
+            <select data-setting="loopRate" style="${selectStyle}" title="Speed while looping">
+                <option value="1">1×</option>
+                <option value="0.9">0.9×</option>
+                <option value="0.75">0.75×</option>
+                <option value="0.5">0.5×</option>
+            </select>
+            <button data-action="pauseAfter" style="${buttonStyle}" title="Pause after each caption">⏸</button>
+        `;
+
+        this.bar.addEventListener('mouseenter', () => this.bar.style.opacity = '1');
+        this.bar.addEventListener('mouseleave', () => this.bar.style.opacity = '0.5');
+
+        // Keep clicks and keys away from the player
+        this.bar.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const button = e.target.closest('button[data-action]');
+            if (button) this.handleAction(button.dataset.action);
+        });
+        this.bar.addEventListener('keydown', (e) => e.stopPropagation());
+
+        this.bar.querySelectorAll('select').forEach(select => {
+            select.addEventListener('change', () => {
+                this.settings[select.dataset.setting] = parseFloat(select.value);
+                this.saveSettings();
+
+                // A running loop picks up the new speed straight away
+                if (this.loop && select.dataset.setting === 'loopRate') {
+                    this.getVideo().playbackRate = this.settings.loopRate;
+                }
+            });
+        });
+
+        player.appendChild(this.bar);
+        this.updateBar();
+    }
+
+    hide() {
+        this.stopLoop();
+        this.loopA = null;
+
+        if (this.bar) {
+            this.bar.remove();
+            this.bar = null;
+        }
+    }
+
+    updateBar() {
+        if (!this.bar) return;
+
+        this.bar.querySelector('[data-setting="repeatCount"]').value = String(this.settings.repeatCount);
+        this.bar.querySelector('[data-setting="loopRate"]').value = String(this.settings.loopRate);
+
+        const active = 'rgba(239, 68, 68, 0.8)';
+        this.bar.querySelector('[data-action="pauseAfter"]').style.background = this.settings.pauseAfterCaption ? active : 'none';
+
+        const abButton = this.bar.querySelector('[data-action="ab"]');
+        if (this.loop && this.loop.endIndex !== this.loop.startIndex) {
+            abButton.textContent = 'A-B ✕';
+            abButton.style.background = active;
+        } else if (this.loopA !== null) {
+            abButton.textContent = 'A…';
+            abButton.style.background = 'rgba(255, 255, 255, 0.2)';
+        } else {
+            abButton.textContent = 'A-B';
+            abButton.style.background = 'none';
+        }
+
+        this.bar.querySelector('[data-action="replay"]').style.background =
+            this.loop && this.loop.endIndex === this.loop.startIndex ? active : 'none';
+    }
+
+    handleAction(action) {
+        switch (action) {
+            case 'previous':
+                this.playAdjacent(-1);
+                break;
+            case 'next':
+                this.playAdjacent(1);
+                break;
+            case 'replay':
+                this.replayCurrent();
+                break;
+            case 'ab':
+                this.toggleABLoop();
+                break;
+            case 'pauseAfter':
+                this.settings.pauseAfterCaption = !this.settings.pauseAfterCaption;
+                this.saveSettings();
+                this.updateBar();
+                this.mainOverlay.showPlayerNotification(`Pause after each caption: ${this.settings.pauseAfterCaption ? 'on' : 'off'}`);
+                break;
+        }
+    }
+
+    getVideo() {
+        return this.state.getVideoElement() || document.querySelector('video');
+    }
+
+    getOffset() {
+        return this.state.getSyncEngine()?.offset || 0;
+    }
+
+    // Caption playing now, or the last one before the current time during a gap
+    getCurrentIndex() {
+        const current = this.state.getCurrentCaptionIndex();
+        if (current >= 0) return current;
+
+        const video = this.getVideo();
+        if (!video) return -1;
+
+        const time = video.currentTime - this.getOffset();
+        return this.state.getParsedCaptions().findLastIndex(caption => caption.start <= time);
+    }
+
+    seekToCaption(index, play = true) {
+        const caption = this.state.getParsedCaptions()[index];
+        const video = this.getVideo();
+        if (!caption || !video) return;
+
+        this.pausedAfter = -1;
+        video.currentTime = Math.max(0, caption.start + this.getOffset());
+        if (play) video.play();
+    }
+
+    /**
+     * Seek to the previous (-1) or next (1) caption and play it
+     */
+    playAdjacent(direction) {
+        const captions = this.state.getParsedCaptions();
+        const video = this.getVideo();
+        if (!captions.length || !video) return;
+
+        this.stopLoop();
+
+        const time = video.currentTime - this.getOffset();
+        const current = this.state.getCurrentCaptionIndex();
+
+        let target;
+        if (direction < 0) {
+            // Like a music player: restart the current caption unless we're at its very start
+            target = current >= 0 && time - captions[current].start > 1
+                ? current
+                : (current >= 0 ? current - 1 : captions.findLastIndex(caption => caption.end <= time));
+        } else {
+            target = current >= 0 ? current + 1 : captions.findIndex(caption => caption.start > time);
+        }
+
+        this.seekToCaption(target);
+    }
+
+    replayCurrent() {
+        // Second click stops the loop
+        if (this.loop && this.loop.startIndex === this.loop.endIndex) {
+            this.stopLoop();
+            this.mainOverlay.showPlayerNotification('Replay stopped');
+            return;
+        }
+
+        const index = this.getCurrentIndex();
+        if (index < 0) return;
+
+        this.startLoop(index, index);
+    }
+
+    toggleABLoop() {
+        if (this.loop && this.loop.startIndex !== this.loop.endIndex) {
+            this.stopLoop();
+            this.mainOverlay.showPlayerNotification('A-B loop off');
+            return;
+        }
+
+        const index = this.getCurrentIndex();
+        if (index < 0) return;
+
+        if (this.loopA === null) {
+            this.loopA = index;
+            this.mainOverlay.showPlayerNotification('Loop start (A) set — press A-B again at the end');
+            this.updateBar();
+            return;
+        }
+
+        const a = Math.min(this.loopA, index);
+        const b = Math.max(this.loopA, index);
+        this.loopA = null;
+        this.startLoop(a, b);
+    }
+
+    startLoop(startIndex, endIndex) {
+        const video = this.getVideo();
+        if (!video) return;
+
+        if (this.savedRate === null) {
+            this.savedRate = video.playbackRate;
+        }
+        video.playbackRate = this.settings.loopRate;
+
+        this.loop = { startIndex, endIndex, remaining: this.settings.repeatCount || Infinity };
+        this.seekToCaption(startIndex);
+        this.updateBar();
+
+        const count = this.settings.repeatCount === 0 ? '∞' : `×${this.settings.repeatCount}`;
+        this.mainOverlay.showPlayerNotification(
+            startIndex === endIndex ? `Replaying caption ${count}` : `Looping ${endIndex - startIndex + 1} captions ${count}`
+        );
+    }
+
+    stopLoop() {
+        if (!this.loop) return;
+
+        this.loop = null;
+        const video = this.getVideo();
+        if (video && this.savedRate !== null) {
+            video.playbackRate = this.savedRate;
+        }
+        this.savedRate = null;
+        this.updateBar();
+    }
+
+    /**
+     * Called by the sync engine on every frame while playing (time is on the caption timeline)
+     */
+    onTick(index, time) {
+        const captions = this.state.getParsedCaptions();
+
+        if (this.loop) {
+            const end = captions[this.loop.endIndex]?.end;
+            if (end === undefined) {
+                this.stopLoop();
+                return;
+            }
+
+            if (time >= end) {
+                this.loop.remaining--;
+                if (this.loop.remaining > 0) {
+                    this.seekToCaption(this.loop.startIndex);
+                } else {
+                    this.stopLoop();
+                    if (this.settings.pauseAfterCaption) this.getVideo()?.pause();
+                }
+            }
+            return;
+        }
+
+        if (this.settings.pauseAfterCaption && index >= 0 && index !== this.pausedAfter) {
+            // Pause on the last frame of the caption, before the next one shows
+            const caption = captions[index];
+            const next = captions[index + 1];
+            const stopAt = next ? Math.min(caption.end, next.start) : caption.end;
+
+            if (time >= stopAt - 0.05) {
+                this.pausedAfter = index;
+                this.getVideo()?.pause();
+            }
+        }
+    }
+}
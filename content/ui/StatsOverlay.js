@@ -141,12 +141,13 @@ class StatsOverlay {
 
         try {
             // Load all data in parallel
-            const [connectionStatus, usageLimits, apiUsage, wordStats, recentVideos] = await Promise.all([
+            const [connectionStatus, usageLimits, apiUsage, wordStats, recentVideos, videoDifficulty] = await Promise.all([
                 this.getConnectionStatus(),
                 this.getUsageLimits(),
                 this.getApiUsage(),
                 this.getWordStats(),
-                this.getRecentVideos()
+                this.getRecentVideos(),
+                this.getVideoDifficulty()
             ]);
 
             // Render full content
@@ -155,7 +156,8 @@ class StatsOverlay {
                 usageLimits,
                 apiUsage,
                 wordStats,
-                recentVideos
+                recentVideos,
+                videoDifficulty
             });
 
             // Attach event listeners to buttons
@@ -312,7 +314,16 @@ class StatsOverlay {
             }
         });
 
-        return { total: totalCount, today: todayCount };
+        // Words due for spaced-repetition review
+        const due = new ReviewScheduler(this.logger).getDueWords(savedWords, this.mainOverlay.state.wordStatuses).length;
+
+        return { total: totalCount, today: todayCount, due: due };
+    }
+
+    async getVideoDifficulty() {
+        // Fresh from the loaded captions, else what was stored for this video
+        const service = this.mainOverlay.videoDifficulty;
+        return service.analyze() || await service.getStoredSummary(this.mainOverlay.getVideoId());
     }
 
     async getRecentVideos() {
@@ -395,6 +406,7 @@ class StatsOverlay {
     render(data) {
         return `
             ${this.renderHeader(data.connectionStatus)}
+            ${data.videoDifficulty ? this.renderVideoDifficulty(data.videoDifficulty) : ''}
             <div style="
                 display: grid;
                 grid-template-columns: 1fr 1fr;
@@ -636,9 +648,103 @@ class StatsOverlay {
                     letter-spacing: 0.5px;
                     margin: 0 0 12px 0;
                 ">Your Progress</h3>
-                <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 12px;">
+                <div style="display: grid; grid-template-columns: 1fr 1fr 1fr; gap: 12px;">
                     ${this.renderStatCard('Words Saved', stats.total)}
                     ${this.renderStatCard('Today', stats.today)}
+                    ${this.renderStatCard('Due', stats.due)}
+                </div>
+                <button id="stats-review-btn" style="
+                    width: 100%;
+                    margin-top: 12px;
+                    padding: 10px;
+                    border: 1px solid rgba(239, 68, 68, 0.25);
+                    border-radius: 10px;
+                    background: rgba(239, 68, 68, 0.08);
+                    color: rgba(255, 255, 255, 0.9);
+                    font-size: 12px;
+                    font-weight: 700;
+                    text-transform: uppercase;
+                    letter-spacing: 0.5px;
+                    cursor: pointer;
+                    transition: all 0.3s ease;
+                " onmouseover="this.style.background='rgba(239, 68, 68, 0.15)'" onmouseout="this.style.background='rgba(239, 68, 68, 0.08)'">
+                    📚 Review ${stats.due > 0 ? `${stats.due} due` : 'words'}
+                </button>
+            </div>
+        `;
+    }
+
+    renderVideoDifficulty(summary) {
+        const bandColors = { A1: '#10b981', A2: '#34d399', B1: '#f59e0b', B2: '#f97316', C1: '#ef4444' };
+        const pace = summary.wordsPerMinute < 130 ? 'slow' : summary.wordsPerMinute < 170 ? 'moderate' : 'fast';
+        const span = summary.end - summary.start;
+
+        const bands = Object.entries(summary.bands).filter(([, percent]) => percent > 0);
+
+        const cells = summary.heatmap.map((value, i) => {
+            const time = summary.start + span * i / summary.heatmap.length;
+            const color = value === null
+                ? 'rgba(255, 255, 255, 0.04)'
+                : `hsl(${Math.round(120 - 120 * Math.min(1, value / 0.3))}, 70%, 45%)`;
+            const label = value === null ? 'no speech' : `${Math.round(value * 100)}% hard words`;
+
+            return `<div class="stats-heatmap-cell" data-time="${time}" title="${this.formatTime(time)} · ${label}" style="
+                flex: 1;
+                height: 18px;
+                background: ${color};
+                cursor: pointer;
+            "></div>`;
+        }).join('');
+
+        return `
+            <div style="padding: 20px; border-bottom: 1px solid rgba(255, 255, 255, 0.1);">
+                <h3 style="
+                    font-size: 11px;
+                    font-weight: 700;
+                    color: rgba(255, 255, 255, 0.6);
+                    text-transform: uppercase;
+                    letter-spacing: 0.5px;
+                    margin: 0 0 12px 0;
+                ">This Video</h3>
+                <div style="display: grid; grid-template-columns: repeat(4, 1fr); gap: 12px;">
+                    ${this.renderStatCard('Level', summary.level === 'C1' ? 'C1+' : summary.level)}
+                    ${this.renderStatCard('Known / Saved', `${summary.knownPercent}%`)}
+                    ${this.renderStatCard(`WPM (${pace})`, summary.wordsPerMinute)}
+                    ${this.renderStatCard('Unique Words', summary.uniqueWords)}
+                </div>
+
+                <div style="
+                    display: flex;
+                    height: 8px;
+                    margin-top: 16px;
+                    border-radius: 4px;
+                    overflow: hidden;
+                ">
+                    ${bands.map(([band, percent]) => `<div style="width: ${percent}%; background: ${bandColors[band]};"></div>`).join('')}
+                </div>
+                <div style="display: flex; gap: 12px; margin-top: 6px; font-size: 10px; color: rgba(255, 255, 255, 0.6);">
+                    ${bands.map(([band, percent]) => `
+                        <span><span style="color: ${bandColors[band]};">●</span> ${band === 'C1' ? 'C1+' : band} ${percent}%</span>
+                    `).join('')}
+                </div>
+
+                <div style="
+                    display: flex;
+                    gap: 1px;
+                    margin-top: 14px;
+                    border-radius: 4px;
+                    overflow: hidden;
+                ">${cells}</div>
+                <div style="
+                    display: flex;
+                    justify-content: space-between;
+                    margin-top: 4px;
+                    font-size: 10px;
+                    color: rgba(255, 255, 255, 0.4);
+                ">
+                    <span>${this.formatTime(summary.start)}</span>
+                    <span>Hard words you don't know yet · click to jump</span>
+                    <span>${this.formatTime(summary.end)}</span>
                 </div>
             </div>
         `;
@@ -813,6 +919,26 @@ class StatsOverlay {
                     </svg>
                     Settings
                 </button>
+                <button id="stats-subtitle-file-btn" style="
+                    flex: 1;
+                    padding: 10px;
+                    border: 1px solid rgba(255, 255, 255, 0.08);
+                    border-radius: 10px;
+                    background: rgba(255, 255, 255, 0.03);
+                    color: rgba(255, 255, 255, 0.8);
+                    font-size: 12px;
+                    font-weight: 700;
+                    text-transform: uppercase;
+                    letter-spacing: 0.5px;
+                    cursor: pointer;
+                    transition: all 0.3s ease;
+                    display: flex;
+                    align-items: center;
+                    justify-content: center;
+                    gap: 6px;
+                " onmouseover="this.style.background='rgba(255, 255, 255, 0.08)'; this.style.color='white'" onmouseout="this.style.background='rgba(255, 255, 255, 0.03)'; this.style.color='rgba(255, 255, 255, 0.8)'">
+                    📄 Subtitle File
+                </button>
             </div>
         `;
     }
@@ -844,6 +970,35 @@ class StatsOverlay {
             });
         }
 
+        // Subtitle file button
+        const subtitleFileBtn = this.overlay.querySelector('#stats-subtitle-file-btn');
+        if (subtitleFileBtn) {
+            subtitleFileBtn.addEventListener('click', () => {
+                this.hide();
+                this.mainOverlay.subtitleFileDialog.open();
+            });
+        }
+
+        // Review button
+        const reviewBtn = this.overlay.querySelector('#stats-review-btn');
+        if (reviewBtn) {
+            reviewBtn.addEventListener('click', () => {
+                chrome.runtime.sendMessage({ action: 'openReview' });
+            });
+        }
+
+        // Heatmap cells jump to that part of the current video
+        this.overlay.querySelectorAll('.stats-heatmap-cell').forEach(cell => {
+            cell.addEventListener('click', () => {
+                const video = this.state.getVideoElement() || document.querySelector('video');
+                if (!video) return;
+
+                const offset = this.state.getSyncEngine()?.offset || 0;
+                video.currentTime = Math.max(0, parseFloat(cell.dataset.time) + offset);
+                this.hide();
+            });
+        });
+
         // Video items
         const videoItems = this.overlay.querySelectorAll('.stats-video-item');
         videoItems.forEach(item => {
@@ -860,6 +1015,12 @@ class StatsOverlay {
         return div.innerHTML;
     }
 
+    // Seconds -> "m:ss"
+    formatTime(seconds) {
+        const s = Math.max(0, Math.floor(seconds));
+        return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+    }
+
     formatTimeAgo(dateString) {
         const date = new Date(dateString);
         const now = new Date();
@@ -0,0 +1,271 @@
+/**
+ * SubtitleFileDialog - Load a subtitle file from disk onto the current video
+ * Opened from the player button menu and the stats overlay
+ */
+
+class SubtitleFileDialog {
+    constructor(mainOverlay) {
+        this.mainOverlay = mainOverlay;
+        this.caption = mainOverlay.caption;
+        this.state = mainOverlay.state;
+        this.logger = mainOverlay.logger;
+
+        this.dialog = null;
+        this.selectedFile = null;
+
+        this.handleKeydown = (e) => {
+            if (e.key === 'Escape') this.close();
+        };
+    }
+
+    async open() {
+        const videoId = this.mainOverlay.getVideoId();
+        if (!videoId) {
+            this.mainOverlay.showPlayerNotification('Open a video first');
+            return;
+        }
+
+        this.close();
+        this.selectedFile = null;
+
+        const current = await this.caption.subtitleManager.getUserSubtitles(videoId);
+
+        this.dialog = document.createElement('div');
+        this.dialog.id = 'yt-subtitle-file-dialog';
+        this.dialog.style.cssText = `
+            position: fixed;
+            inset: 0;
+            z-index: 2147483647;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            background: rgba(0, 0, 0, 0.6);
+            font-family: "Roboto", Arial, sans-serif;
+        `;
+
+        this.dialog.innerHTML = `
+            <div style="
+                width: 420px;
+                max-width: 90vw;
+                padding: 20px;
+                background: rgba(15, 15, 15, 0.95);
+                border: 1px solid rgba(255, 255, 255, 0.18);
+                border-radius: 16px;
+                box-shadow: 0 20px 60px rgba(0, 0, 0, 0.6);
+                color: white;
+            ">
+                <div style="font-size: 16px; font-weight: 700; margin-bottom: 4px;">📄 Load Subtitle File</div>
+                <div style="font-size: 12px; color: rgba(255, 255, 255, 0.6); margin-bottom: 16px;">
+                    Replaces YouTube's captions for this video. Saved words, tooltips and highlights work as usual.
+                </div>
+
+                ${current ? `
+                    <div style="
+                        display: flex;
+                        align-items: center;
+                        justify-content: space-between;
+                        gap: 8px;
+                        padding: 8px 12px;
+                        margin-bottom: 12px;
+                        background: rgba(236, 72, 153, 0.12);
+                        border-radius: 8px;
+                        font-size: 12px;
+                    ">
+                        <span>In use: ${this.escapeHtml(current.captionData.fileName || 'subtitle file')}</span>
+                        <button id="subtitle-file-remove" style="
+                            padding: 4px 10px;
+                            border: 1px solid rgba(255, 255, 255, 0.2);
+                            border-radius: 6px;
+                            background: none;
+                            color: white;
+                            font-size: 11px;
+                            cursor: pointer;
+                        ">Remove</button>
+                    </div>
+                ` : ''}
+
+                <div id="subtitle-file-drop" style="
+                    padding: 28px 16px;
+                    border: 2px dashed rgba(255, 255, 255, 0.25);
+                    border-radius: 12px;
+                    text-align: center;
+                    font-size: 13px;
+                    color: rgba(255, 255, 255, 0.7);
+                    cursor: pointer;
+                    transition: all 0.2s ease;
+                ">
+                    Drop a .srt, .vtt, .ttml or .json3 file here<br>
+                    <span style="font-size: 11px; color: rgba(255, 255, 255, 0.45);">or click to browse</span>
+                </div>
+                <input type="file" id="subtitle-file-input" accept=".srt,.vtt,.ttml,.dfxp,.xml,.json,.json3" style="display: none;">
+
+                <label style="display: flex; align-items: center; justify-content: space-between; margin-top: 14px; font-size: 13px;">
+                    Time offset (seconds)
+                    <input type="number" id="subtitle-file-offset" step="0.1" value="${current?.captionData.offset || 0}" style="
+                        width: 90px;
+                        padding: 6px 8px;
+                        background: rgba(255, 255, 255, 0.08);
+                        border: 1px solid rgba(255, 255, 255, 0.15);
+                        border-radius: 6px;
+                        color: white;
+                        font-size: 13px;
+                    ">
+                </label>
+                <div style="font-size: 11px; color: rgba(255, 255, 255, 0.45); margin-top: 4px;">
+                    Positive shows subtitles later, negative earlier
+                </div>
+
+                <div id="subtitle-file-status" style="min-height: 18px; margin-top: 12px; font-size: 12px;"></div>
+
+                <div style="display: flex; gap: 10px; margin-top: 8px;">
+                    <button id="subtitle-file-cancel" style="
+                        flex: 1;
+                        padding: 10px;
+                        border: 1px solid rgba(255, 255, 255, 0.1);
+                        border-radius: 10px;
+                        background: rgba(255, 255, 255, 0.05);
+                        color: rgba(255, 255, 255, 0.85);
+                        font-size: 12px;
+                        font-weight: 700;
+                        cursor: pointer;
+                    ">Cancel</button>
+                    <button id="subtitle-file-load" style="
+                        flex: 1;
+                        padding: 10px;
+                        border: none;
+                        border-radius: 10px;
+                        background: linear-gradient(135deg, #ef4444, #dc2626);
+                        color: white;
+                        font-size: 12px;
+                        font-weight: 700;
+                        cursor: pointer;
+                    ">${current ? 'Apply' : 'Load'}</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(this.dialog);
+        this.attachListeners(videoId, !!current);
+    }
+
+    attachListeners(videoId, hasCurrent) {
+        const dropZone = this.dialog.querySelector('#subtitle-file-drop');
+        const fileInput = this.dialog.querySelector('#subtitle-file-input');
+
+        // Backdrop click closes
+        this.dialog.addEventListener('click', (e) => {
+            if (e.target === this.dialog) this.close();
+        });
+
+        // Keep YouTube shortcuts out of the offset field
+        this.dialog.addEventListener('keydown', (e) => e.stopPropagation());
+        document.addEventListener('keydown', this.handleKeydown);
+
+        dropZone.addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files[0]) this.selectFile(fileInput.files[0]);
+        });
+
+        dropZone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            dropZone.style.borderColor = '#ef4444';
+            dropZone.style.background = 'rgba(239, 68, 68, 0.08)';
+        });
+        dropZone.addEventListener('dragleave', () => {
+            dropZone.style.borderColor = 'rgba(255, 255, 255, 0.25)';
+            dropZone.style.background = '';
+        });
+        dropZone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            dropZone.style.borderColor = 'rgba(255, 255, 255, 0.25)';
+            dropZone.style.background = '';
+            if (e.dataTransfer.files[0]) this.selectFile(e.dataTransfer.files[0]);
+        });
+
+        this.dialog.querySelector('#subtitle-file-cancel').addEventListener('click', () => this.close());
+        this.dialog.querySelector('#subtitle-file-load').addEventListener('click', () => this.load(videoId, hasCurrent));
+
+        const removeBtn = this.dialog.querySelector('#subtitle-file-remove');
+        if (removeBtn) {
+            removeBtn.addEventListener('click', () => this.remove(videoId));
+        }
+    }
+
+    selectFile(file) {
+        this.selectedFile = file;
+        this.dialog.querySelector('#subtitle-file-drop').innerHTML = `📄 ${this.escapeHtml(file.name)}`;
+        this.setStatus('');
+    }
+
+    async load(videoId, hasCurrent) {
+        const offset = parseFloat(this.dialog.querySelector('#subtitle-file-offset').value) || 0;
+
+        try {
+            if (this.selectedFile) {
+                await this.caption.loadSubtitleFile(videoId, this.selectedFile, offset);
+            } else if (hasCurrent) {
+                // Only the offset changed
+                const current = await this.caption.subtitleManager.getUserSubtitles(videoId);
+                await this.caption.subtitleManager.saveUserSubtitles(videoId, current.captions, { ...current.captionData, offset });
+                await this.caption.setTrack(videoId, this.caption.parser.shiftCaptions(current.captions, offset), true);
+            } else {
+                this.setStatus('Choose a file first', true);
+                return;
+            }
+        } catch (error) {
+            this.logger.error('Subtitle file error:', error);
+            this.setStatus(error.message || 'Could not read this file', true);
+            return;
+        }
+
+        this.close();
+        this.applyToPlayer();
+    }
+
+    // Show the new captions right away, turning the overlay on if needed
+    applyToPlayer() {
+        const player = this.mainOverlay.player;
+
+        if (this.state.isOverlayActive()) {
+            player.startCaptionSync();
+        } else {
+            player.toggleOverlay();
+        }
+
+        this.mainOverlay.transcriptPanel.render();
+    }
+
+    async remove(videoId) {
+        await this.caption.removeSubtitleFile(videoId);
+
+        if (this.state.isOverlayActive()) {
+            this.mainOverlay.player.toggleOverlay();
+        }
+        this.mainOverlay.transcriptPanel.render();
+
+        this.close();
+        this.mainOverlay.showPlayerNotification('Subtitle file removed');
+    }
+
+    setStatus(message, isError = false) {
+        const status = this.dialog?.querySelector('#subtitle-file-status');
+        if (!status) return;
+
+        status.textContent = message;
+        status.style.color = isError ? '#f87171' : 'rgba(255, 255, 255, 0.7)';
+    }
+
+    close() {
+        if (this.dialog) {
+            this.dialog.remove();
+            this.dialog = null;
+        }
+        document.removeEventListener('keydown', this.handleKeydown);
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
@@ -0,0 +1,277 @@
+/**
+ * TimingControls - Per-video subtitle delay and audio auto-alignment
+ * Alt+Z / Alt+X nudge the delay, Alt+0 resets it (by default; bindings come from settings);
+ * the panel opens from the player button menu
+ */
+
+class TimingControls {
+    constructor(mainOverlay) {
+        this.mainOverlay = mainOverlay;
+        this.storage = mainOverlay.storage;
+        this.state = mainOverlay.state;
+        this.logger = mainOverlay.logger;
+
+        this.videoId = null;
+        this.manualOffset = 0;       // seconds, positive = captions later
+        this.step = 0.1;
+        this.saveTimeout = null;
+
+        this.keyBindings = new KeyBindings();
+
+        this.autoAlign = false;
+        this.detector = new SpeechOnsetDetector(this.logger);
+        this.detectorReady = false;
+        this.lastEstimateAt = 0;
+
+        this.panel = null;
+
+        this.setupEventListeners();
+        this.loadSettings();
+    }
+
+    async loadSettings() {
+        const { autoAlignSubtitles, keyBindings } = await chrome.storage.sync.get(['autoAlignSubtitles', 'keyBindings']);
+        this.autoAlign = autoAlignSubtitles === true;
+        this.keyBindings = new KeyBindings(keyBindings || {});
+    }
+
+    setupEventListeners() {
+        // Bindings match on KeyboardEvent.code: with Alt held, macOS reports e.key as "Ω", "≈", "º"
+        document.addEventListener('keydown', (e) => {
+            if (this.isTyping(e.target)) return;
+
+            const action = this.keyBindings.actionFor(e, false);
+            if (!KeyBindings.TIMING_ACTIONS.includes(action)) return;
+
+            e.preventDefault();
+            if (action === 'delayEarlier') {
+                this.nudge(-this.step);
+            } else if (action === 'delayLater') {
+                this.nudge(this.step);
+            } else {
+                this.nudge(-this.manualOffset);
+            }
+        });
+
+        chrome.storage.onChanged.addListener((changes, area) => {
+            if (area === 'sync' && changes.keyBindings) {
+                this.keyBindings = new KeyBindings(changes.keyBindings.newValue || {});
+            }
+        });
+    }
+
+    isTyping(target) {
+        return target && (target.isContentEditable || ['INPUT', 'TEXTAREA'].includes(target.tagName));
+    }
+
+    /**
+     * Called from startCaptionSync with the new engine
+     */
+    async applyToEngine(engine) {
+        await this.loadVideoOffset();
+        engine.setOffset(this.getOffset());
+        this.updatePanel();
+    }
+
+    // Pick up the saved delay after navigating to another video
+    async loadVideoOffset() {
+        const videoId = this.mainOverlay.getVideoId();
+        if (videoId === this.videoId) return;
+
+        this.videoId = videoId;
+        this.manualOffset = videoId ? await this.storage.getSubtitleOffset(videoId) : 0;
+        this.detector.reset();
+    }
+
+    getOffset() {
+        return this.manualOffset + (this.autoAlign ? this.detector.correction : 0);
+    }
+
+    pushOffset() {
+        this.state.getSyncEngine()?.setOffset(this.getOffset());
+        this.updatePanel();
+    }
+
+    async nudge(delta) {
+        await this.loadVideoOffset();
+        this.setManualOffset(this.manualOffset + delta);
+    }
+
+    setManualOffset(seconds) {
+        if (!this.videoId) return;
+
+        // Keep float drift out of the stored value
+        this.manualOffset = Math.max(-5, Math.min(5, Math.round(seconds * 100) / 100));
+        this.pushOffset();
+        this.mainOverlay.showPlayerNotification(`Subtitle delay: ${this.formatOffset(this.manualOffset)}`);
+
+        clearTimeout(this.saveTimeout);
+        const videoId = this.videoId;
+        this.saveTimeout = setTimeout(() => {
+            this.storage.setSubtitleOffset(videoId, this.manualOffset);
+        }, 500);
+    }
+
+    async setAutoAlign(enabled) {
+        this.autoAlign = enabled;
+        await chrome.storage.sync.set({ autoAlignSubtitles: enabled });
+
+        if (!enabled) {
+            this.detector.detach();
+            this.detectorReady = false;
+        }
+        this.pushOffset();
+    }
+
+    /**
+     * Called by the sync engine on every frame while playing
+     */
+    onTick(index, time) {
+        if (!this.autoAlign) return;
+
+        const video = this.state.getVideoElement();
+        if (!video) return;
+
+        if (!this.detectorReady || this.detector.video !== video) {
+            // An AudioContext started without a user gesture stays suspended and mutes the video
+            if (navigator.userActivation && !navigator.userActivation.hasBeenActive) return;
+            this.detectorReady = this.detector.attach(video);
+            this.updatePanel();
+            if (!this.detectorReady) return;
+        }
+
+        this.detector.sample(video.currentTime);
+
+        // Re-estimate about once a second
+        const now = performance.now();
+        if (now - this.lastEstimateAt < 1000) return;
+        this.lastEstimateAt = now;
+
+        const before = this.detector.correction;
+        const correction = this.detector.estimateCorrection(this.state.getParsedCaptions(), this.getOffset());
+
+        if (Math.abs(correction - before) >= 0.02) {
+            this.logger.debug(`Auto-align correction: ${this.formatOffset(correction)}`);
+            this.pushOffset();
+        }
+    }
+
+    toggle() {
+        if (this.panel) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    async open() {
+        await this.loadVideoOffset();
+
+        const player = document.querySelector('#movie_player');
+        if (!player) return;
+
+        this.close();
+
+        this.panel = document.createElement('div');
+        this.panel.id = 'yt-timing-controls';
+        this.panel.style.cssText = `
+            position: absolute;
+            top: 58px;
+            left: 12px;
+            z-index: 63;
+            width: 280px;
+            padding: 14px 16px;
+            background: rgba(28, 28, 28, 0.95);
+            border-radius: 8px;
+            box-shadow: 0 4px 16px rgba(0, 0, 0, 0.5);
+            font-family: "Roboto", Arial, sans-serif;
+            font-size: 13px;
+            color: white;
+        `;
+
+        const buttonStyle = `
+            padding: 4px 10px;
+            border: 1px solid rgba(255, 255, 255, 0.2);
+            border-radius: 6px;
+            background: none;
+            color: white;
+            font-size: 12px;
+            cursor: pointer;
+        `;
+
+        this.panel.innerHTML = `
+            <div style="display: flex; align-items: center; justify-content: space-between; margin-bottom: 10px;">
+                <span style="font-weight: 700;">⏱ Subtitle timing</span>
+                <button id="timing-close" style="background: none; border: none; color: rgba(255, 255, 255, 0.6); font-size: 16px; cursor: pointer;">×</button>
+            </div>
+
+            <div style="display: flex; align-items: center; gap: 8px;">
+                <button id="timing-earlier" style="${buttonStyle}" title="Earlier (${this.formatKey('delayEarlier')})">−</button>
+                <input type="range" id="timing-slider" min="-5" max="5" step="0.05" style="flex: 1; accent-color: #ef4444;">
+                <button id="timing-later" style="${buttonStyle}" title="Later (${this.formatKey('delayLater')})">+</button>
+            </div>
+
+            <div style="display: flex; align-items: center; justify-content: space-between; margin-top: 8px;">
+                <span id="timing-value" style="font-variant-numeric: tabular-nums;"></span>
+                <button id="timing-reset" style="${buttonStyle}" title="Reset (${this.formatKey('delayReset')})">Reset</button>
+            </div>
+
+            <label style="display: flex; align-items: center; gap: 8px; margin-top: 12px; cursor: pointer;">
+                <input type="checkbox" id="timing-auto-align">
+                Auto-align to speech
+            </label>
+            <div id="timing-auto-status" style="margin-top: 4px; font-size: 11px; color: rgba(255, 255, 255, 0.5);"></div>
+        `;
+
+        // Keep clicks and keys away from the player
+        this.panel.addEventListener('click', (e) => e.stopPropagation());
+        this.panel.addEventListener('keydown', (e) => e.stopPropagation());
+
+        const slider = this.panel.querySelector('#timing-slider');
+        slider.addEventListener('input', () => this.setManualOffset(parseFloat(slider.value)));
+
+        this.panel.querySelector('#timing-earlier').addEventListener('click', () => this.nudge(-this.step));
+        this.panel.querySelector('#timing-later').addEventListener('click', () => this.nudge(this.step));
+        this.panel.querySelector('#timing-reset').addEventListener('click', () => this.nudge(-this.manualOffset));
+        this.panel.querySelector('#timing-close').addEventListener('click', () => this.close());
+
+        const autoAlign = this.panel.querySelector('#timing-auto-align');
+        autoAlign.checked = this.autoAlign;
+        autoAlign.addEventListener('change', () => this.setAutoAlign(autoAlign.checked));
+
+        player.appendChild(this.panel);
+        this.updatePanel();
+    }
+
+    updatePanel() {
+        if (!this.panel) return;
+
+        this.panel.querySelector('#timing-slider').value = this.manualOffset;
+        this.panel.querySelector('#timing-value').textContent = this.formatOffset(this.manualOffset);
+
+        const status = this.panel.querySelector('#timing-auto-status');
+        if (!this.autoAlign) {
+            status.textContent = 'Listens to the video and snaps captions to speech. ' +
+                'Once turned on, the video\'s sound plays through the extension until the page reloads.';
+        } else if (!this.detectorReady) {
+            status.textContent = 'Starts when the video plays';
+        } else {
+            status.textContent = `Auto correction: ${this.formatOffset(this.detector.correction)}`;
+        }
+    }
+
+    close() {
+        if (this.panel) {
+            this.panel.remove();
+            this.panel = null;
+        }
+    }
+
+    formatKey(action) {
+        return KeyBindings.format(this.keyBindings.get(action));
+    }
+
+    formatOffset(seconds) {
+        return `${seconds >= 0 ? '+' : ''}${seconds.toFixed(2)}s`;
+    }
+}
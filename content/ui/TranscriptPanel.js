@@ -0,0 +1,524 @@
+/**
+ * TranscriptPanel - Full transcript docked beside the player
+ * Follows playback, seeks on line click, and reuses the overlay's word tooltip and save flow
+ */
+
+class TranscriptPanel {
+    constructor(mainOverlay) {
+        this.mainOverlay = mainOverlay;
+        this.storage = mainOverlay.storage;
+        this.state = mainOverlay.state;
+        this.logger = mainOverlay.logger;
+
+        this.panel = null;
+        this.list = null;
+        this.searchInput = null;
+        this.isVisible = false;
+
+        this.renderedCaptions = null;   // Caption array the list was built from
+        this.activeIndex = -1;
+        this.searchQuery = '';
+        this.matchCursor = -1;
+        this.userScrolledAt = 0;
+        this.autoScrollPauseMs = 4000;  // Don't fight the user right after they scroll
+
+        this.setupStyles();
+        this.setupEventListeners();
+    }
+
+    setupStyles() {
+        if (document.querySelector('#yt-transcript-panel-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'yt-transcript-panel-styles';
+        style.textContent = `
+            #yt-transcript-panel {
+                display: flex;
+                flex-direction: column;
+                height: 60vh;
+                margin-bottom: 16px;
+                background: rgba(15, 15, 15, 0.95);
+                border: 1px solid rgba(255, 255, 255, 0.1);
+                border-radius: 12px;
+                color: #fff;
+                font-family: "Roboto", Arial, sans-serif;
+                overflow: hidden;
+            }
+
+            #yt-transcript-panel.floating {
+                position: fixed;
+                top: 70px;
+                right: 16px;
+                width: 380px;
+                z-index: 2000;
+            }
+
+            .yt-transcript-header {
+                display: flex;
+                align-items: center;
+                gap: 8px;
+                padding: 12px;
+                border-bottom: 1px solid rgba(255, 255, 255, 0.1);
+            }
+
+            .yt-transcript-title {
+                font-size: 14px;
+                font-weight: 600;
+            }
+
+            .yt-transcript-search {
+                flex: 1;
+                padding: 6px 10px;
+                background: rgba(255, 255, 255, 0.08);
+                border: 1px solid rgba(255, 255, 255, 0.1);
+                border-radius: 6px;
+                color: #fff;
+                font-size: 13px;
+                outline: none;
+            }
+
+            .yt-transcript-search:focus {
+                border-color: rgba(239, 68, 68, 0.6);
+            }
+
+            .yt-transcript-count {
+                font-size: 11px;
+                color: rgba(255, 255, 255, 0.5);
+                white-space: nowrap;
+            }
+
+            .yt-transcript-close {
+                background: none;
+                border: none;
+                color: rgba(255, 255, 255, 0.6);
+                font-size: 18px;
+                cursor: pointer;
+            }
+
+            .yt-transcript-list {
+                flex: 1;
+                overflow-y: auto;
+                padding: 4px 0;
+            }
+
+            .yt-transcript-line {
+                display: flex;
+                gap: 10px;
+                padding: 6px 12px;
+                font-size: 14px;
+                line-height: 1.5;
+                cursor: pointer;
+                border-left: 3px solid transparent;
+            }
+
+            .yt-transcript-line:hover {
+                background: rgba(255, 255, 255, 0.05);
+            }
+
+            .yt-transcript-line.active {
+                background: rgba(239, 68, 68, 0.12);
+                border-left-color: #ef4444;
+            }
+
+            .yt-transcript-line.hidden {
+                display: none;
+            }
+
+            .yt-transcript-time {
+                flex-shrink: 0;
+                width: 42px;
+                font-size: 12px;
+                color: rgba(255, 255, 255, 0.45);
+                font-variant-numeric: tabular-nums;
+                padding-top: 2px;
+            }
+
+            .yt-transcript-word {
+                border-radius: 3px;
+                padding: 0 1px;
+            }
+
+            .yt-transcript-word:hover {
+                background-color: #ff0000;
+            }
+
+            .yt-transcript-word.highlighted-word {
+                background-color: rgba(255, 215, 0, 0.3);
+                border-bottom: 2px solid #ffd700;
+            }
+
+            .yt-transcript-word.known-word {
+                color: rgba(255, 255, 255, 0.85);
+            }
+
+            .yt-transcript-word.ignored-word {
+                opacity: 0.55;
+            }
+
+            .yt-transcript-word.unknown-word {
+                border-bottom: 1px dotted rgba(255, 255, 255, 0.5);
+            }
+
+            .yt-transcript-word.search-match {
+                background-color: rgba(59, 130, 246, 0.5);
+            }
+
+            .yt-transcript-empty {
+                padding: 24px 12px;
+                text-align: center;
+                font-size: 13px;
+                color: rgba(255, 255, 255, 0.5);
+            }
+
+            #yt-transcript-btn {
+                position: absolute !important;
+                top: 12px;
+                left: 60px;
+                width: 40px !important;
+                height: 40px !important;
+                background: rgba(0, 0, 0, 0.2) !important;
+                border: none;
+                border-radius: 50% !important;
+                display: flex !important;
+                align-items: center;
+                justify-content: center;
+                cursor: pointer;
+                z-index: 62;
+                opacity: 0;
+                pointer-events: none;
+                transition: opacity 0.1s;
+                padding: 0 !important;
+                margin: 0 !important;
+            }
+
+            #movie_player:hover #yt-transcript-btn {
+                opacity: 1;
+                pointer-events: auto;
+            }
+
+            #yt-transcript-btn:hover,
+            #yt-transcript-btn.active {
+                background: rgba(255, 0, 0, 0.2) !important;
+            }
+
+            #yt-transcript-btn svg {
+                width: 20px;
+                height: 20px;
+                filter: drop-shadow(2px 2px 3px rgba(0, 0, 0, 0.3));
+            }
+        `;
+        document.head.appendChild(style);
+    }
+
+    setupEventListeners() {
+        // Alt+T toggles the panel (by code: with Alt held, macOS reports e.key as "†")
+        document.addEventListener('keydown', (e) => {
+            if (e.altKey && e.code === 'KeyT') {
+                e.preventDefault();
+                this.toggle();
+            }
+        });
+    }
+
+    injectButton(player) {
+        if (!player || player.querySelector('#yt-transcript-btn')) return;
+
+        const button = document.createElement('button');
+        button.id = 'yt-transcript-btn';
+        button.title = 'Transcript (Alt+T)';
+        button.setAttribute('aria-label', 'Toggle transcript panel');
+        button.innerHTML = `
+            <svg viewBox="0 0 24 24" fill="white">
+                <path d="M3 5h18v2H3V5zm0 4h12v2H3V9zm0 4h18v2H3v-2zm0 4h12v2H3v-2z"/>
+            </svg>
+        `;
+        button.classList.toggle('active', this.isVisible);
+
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.toggle();
+        });
+
+        player.appendChild(button);
+    }
+
+    toggle() {
+        if (this.isVisible) {
+            this.hide();
+        } else {
+            this.show();
+        }
+    }
+
+    show() {
+        if (!this.panel) {
+            this.createPanel();
+        }
+
+        // Dock in YouTube's right column, or float when it isn't there (theater/fullscreen)
+        const column = document.querySelector('#secondary-inner') || document.querySelector('#secondary');
+        if (column) {
+            this.panel.classList.remove('floating');
+            column.prepend(this.panel);
+        } else {
+            this.panel.classList.add('floating');
+            document.body.appendChild(this.panel);
+        }
+
+        this.isVisible = true;
+        this.render();
+        this.setActiveCaption(this.state.getCurrentCaptionIndex());
+        document.querySelector('#yt-transcript-btn')?.classList.add('active');
+
+        this.logger.info('📜 Transcript panel shown');
+    }
+
+    hide() {
+        if (this.panel) {
+            this.panel.remove();
+        }
+        this.isVisible = false;
+        document.querySelector('#yt-transcript-btn')?.classList.remove('active');
+    }
+
+    createPanel() {
+        this.panel = document.createElement('div');
+        this.panel.id = 'yt-transcript-panel';
+        this.panel.innerHTML = `
+            <div class="yt-transcript-header">
+                <span class="yt-transcript-title">📜 Transcript</span>
+                <input type="text" class="yt-transcript-search" placeholder="Search transcript...">
+                <span class="yt-transcript-count"></span>
+                <button class="yt-transcript-close" title="Close">×</button>
+            </div>
+            <div class="yt-transcript-list"></div>
+        `;
+
+        this.list = this.panel.querySelector('.yt-transcript-list');
+        this.searchInput = this.panel.querySelector('.yt-transcript-search');
+        this.searchCount = this.panel.querySelector('.yt-transcript-count');
+
+        this.panel.querySelector('.yt-transcript-close').addEventListener('click', () => this.hide());
+
+        // Keep YouTube's single-key shortcuts (k, j, l, f...) out of the search box
+        this.searchInput.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Enter') {
+                this.jumpToNextMatch();
+            } else if (e.key === 'Escape') {
+                this.searchInput.value = '';
+                this.search('');
+            }
+        });
+        this.searchInput.addEventListener('input', () => this.search(this.searchInput.value));
+
+        this.list.addEventListener('wheel', () => {
+            this.userScrolledAt = Date.now();
+        }, { passive: true });
+
+        this.list.addEventListener('click', (e) => this.handleListClick(e));
+        this.list.addEventListener('contextmenu', (e) => this.handleListContextMenu(e));
+    }
+
+    render() {
+        if (!this.isVisible) return;
+
+        const captions = this.state.getParsedCaptions() || [];
+        this.renderedCaptions = captions;
+        this.activeIndex = -1;
+
+        if (!captions.length) {
+            this.list.innerHTML = `<div class="yt-transcript-empty">No captions loaded yet. Turn on the subtitle overlay to load them.</div>`;
+            this.searchCount.textContent = '';
+            return;
+        }
+
+        this.list.replaceChildren(...captions.map((caption, index) => this.renderLine(caption, index)));
+        this.refreshHighlights();
+
+        if (this.searchQuery) {
+            this.search(this.searchQuery);
+        }
+    }
+
+    // Built as nodes so quotes or markup in caption text stay text
+    renderLine(caption, index) {
+        const line = document.createElement('div');
+        line.className = 'yt-transcript-line';
+        line.dataset.captionIndex = index;
+
+        const time = document.createElement('span');
+        time.className = 'yt-transcript-time';
+        time.textContent = this.formatTime(caption.start);
+
+        const text = document.createElement('span');
+        text.className = 'yt-transcript-text';
+        caption.words.forEach((word, wordIndex) => {
+            if (wordIndex > 0) text.append(' ');
+
+            const span = document.createElement('span');
+            span.className = 'yt-transcript-word';
+            span.dataset.word = word.text;
+            span.dataset.index = wordIndex;
+            span.textContent = word.text + word.punctuation;
+            text.appendChild(span);
+        });
+
+        line.append(time, text);
+        return line;
+    }
+
+    /**
+     * Highlight the playing line, called from PlayerIntegration.updateCurrentCaption
+     */
+    setActiveCaption(index) {
+        if (!this.isVisible) return;
+
+        // Captions were (re)loaded since the last render
+        if (this.renderedCaptions !== this.state.getParsedCaptions()) {
+            this.render();
+        }
+
+        if (index === this.activeIndex) return;
+
+        this.list.querySelector('.yt-transcript-line.active')?.classList.remove('active');
+        this.activeIndex = index;
+        if (index < 0) return;
+
+        const line = this.list.querySelector(`[data-caption-index="${index}"]`);
+        if (!line) return;
+
+        line.classList.add('active');
+
+        const userIsScrolling = Date.now() - this.userScrolledAt < this.autoScrollPauseMs;
+        if (!this.searchQuery && !userIsScrolling) {
+            this.list.scrollTo({
+                top: line.offsetTop - this.list.clientHeight / 3,
+                behavior: 'smooth'
+            });
+        }
+    }
+
+    handleListClick(e) {
+        const line = e.target.closest('.yt-transcript-line');
+        if (!line) return;
+
+        const captionIndex = parseInt(line.dataset.captionIndex);
+        const wordElement = e.target.closest('.yt-transcript-word');
+
+        if (wordElement) {
+            e.stopPropagation();
+
+            if (e.altKey) {
+                this.mainOverlay.player.cycleWordStatus(wordElement.dataset.word);
+                return;
+            }
+
+            // Same tooltip as the overlay, with context from this line
+            const player = this.mainOverlay.player;
+            player.currentClickEvent = e;
+            this.mainOverlay.handleWordClick(wordElement.dataset.word, parseInt(wordElement.dataset.index), captionIndex)
+                .finally(() => { player.currentClickEvent = null; });
+            return;
+        }
+
+        this.seekTo(captionIndex);
+    }
+
+    handleListContextMenu(e) {
+        const wordElement = e.target.closest('.yt-transcript-word');
+        if (!wordElement) return;
+
+        e.preventDefault();
+        e.stopPropagation();
+
+        const captionIndex = parseInt(wordElement.closest('.yt-transcript-line').dataset.captionIndex);
+        this.mainOverlay.player.toggleWordSaved(wordElement.dataset.word, parseInt(wordElement.dataset.index), captionIndex, wordElement);
+    }
+
+    seekTo(captionIndex) {
+        const caption = this.state.getParsedCaptions()[captionIndex];
+        const video = this.state.getVideoElement() || document.querySelector('video');
+        if (!caption || !video) return;
+
+        // Land where the caption shows, including any subtitle delay
+        video.currentTime = Math.max(0, caption.start + (this.state.getSyncEngine()?.offset || 0));
+        this.userScrolledAt = 0;
+        this.logger.debug(`Transcript seek to ${caption.start.toFixed(2)}s`);
+    }
+
+    refreshHighlights() {
+        if (!this.isVisible || !this.renderedCaptions) return;
+
+        this.list.querySelectorAll('.yt-transcript-line').forEach(line => {
+            const caption = this.renderedCaptions[parseInt(line.dataset.captionIndex)];
+            const wordElements = line.querySelectorAll('.yt-transcript-word');
+
+            // Words inside a saved phrase count as saved
+            const inPhrase = new Set();
+            this.storage.findPhraseMatches(caption.words.map(word => word.text)).forEach(({ start, end }) => {
+                for (let i = start; i <= end; i++) inPhrase.add(i);
+            });
+
+            wordElements.forEach((element, wordIndex) => {
+                element.classList.remove('highlighted-word', 'known-word', 'ignored-word', 'unknown-word');
+                const statusClass = inPhrase.has(wordIndex) ? 'highlighted-word' : this.mainOverlay.player.getStatusClass(element.dataset.word);
+                if (statusClass) element.classList.add(statusClass);
+            });
+        });
+    }
+
+    search(query) {
+        this.searchQuery = query.trim().toLowerCase();
+        const lines = this.list.querySelectorAll('.yt-transcript-line');
+        let matchCount = 0;
+
+        lines.forEach(line => {
+            let lineMatches = false;
+
+            line.querySelectorAll('.yt-transcript-word').forEach(element => {
+                const isMatch = this.searchQuery !== '' && element.textContent.toLowerCase().includes(this.searchQuery);
+                element.classList.toggle('search-match', isMatch);
+                if (isMatch) lineMatches = true;
+            });
+
+            // Multi-word queries match against the whole line
+            if (!lineMatches && this.searchQuery.includes(' ')) {
+                lineMatches = line.querySelector('.yt-transcript-text').textContent.toLowerCase().includes(this.searchQuery);
+            }
+
+            line.classList.toggle('hidden', this.searchQuery !== '' && !lineMatches);
+            if (lineMatches) matchCount++;
+        });
+
+        this.searchCount.textContent = this.searchQuery ? `${matchCount} lines` : '';
+        this.matchCursor = -1;
+
+        // Back to following playback once the search is cleared
+        if (!this.searchQuery) {
+            const index = this.activeIndex;
+            this.activeIndex = -1;
+            this.setActiveCaption(index);
+        }
+    }
+
+    jumpToNextMatch() {
+        const matches = [...this.list.querySelectorAll('.yt-transcript-line:not(.hidden)')];
+        if (!this.searchQuery || !matches.length) return;
+
+        this.matchCursor = (this.matchCursor + 1) % matches.length;
+        this.seekTo(parseInt(matches[this.matchCursor].dataset.captionIndex));
+        matches[this.matchCursor].scrollIntoView({ block: 'center', behavior: 'smooth' });
+    }
+
+    formatTime(seconds) {
+        const total = Math.floor(seconds);
+        const hours = Math.floor(total / 3600);
+        const minutes = Math.floor((total % 3600) / 60);
+        const secs = String(total % 60).padStart(2, '0');
+
+        return hours > 0
+            ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}`
+            : `${minutes}:${secs}`;
+    }
+}
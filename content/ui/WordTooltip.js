@@ -8,6 +8,11 @@ class Tooltip {
         this.tooltip = null;
         // Analysis state is now managed by StateManager
         this.currentTooltipData = null;
+
+        // Streaming analysis: aborted when the tooltip closes or another word is clicked
+        this.analysisController = null;
+        this.streamingWord = null;  // Word whose sections are filled in as the reply arrives
+        this.captionIndex = null;  // Caption the shown word was clicked in, saved with it
         
         this.setupTooltip();
 
@@ -133,7 +138,15 @@ class Tooltip {
         this.tooltip.style.display = 'block';
         this.tooltip.style.pointerEvents = 'auto';
         
+        // Streamed sections are already on screen, just complete them
+        if (!loading && analysisData && this.streamingWord === word) {
+            this.setTooltipContent(word, analysisData);
+            return;
+        }
+
         if (loading) {
+            this.streamingWord = null;
+
             // Show loading state
             this.tooltip.querySelector('#yt-tooltip-content').innerHTML = `
                 <div style="
@@ -238,6 +251,14 @@ class Tooltip {
                     border-radius: 12px;
                     font-weight: 500;
                 }
+                .yt-tooltip-source {
+                    font-size: 12px;
+                    color: #8ab4f8;
+                    background: rgba(138, 180, 248, 0.12);
+                    border: 1px solid rgba(138, 180, 248, 0.3);
+                    padding: 3px 10px;
+                    border-radius: 12px;
+                }
                 .yt-tooltip-actions {
                     display: flex;
                     gap: 8px;
@@ -409,27 +430,62 @@ class Tooltip {
         }
     }
 
-    setTooltipContent(word, data) {
+    /**
+     * Abort any analysis still running and return the signal for a new one
+     */
+    startAnalysis() {
+        this.cancelAnalysis();
+        this.analysisController = new AbortController();
+        return this.analysisController.signal;
+    }
+
+    cancelAnalysis() {
+        if (this.analysisController) {
+            this.analysisController.abort();
+            this.analysisController = null;
+        }
+        this.streamingWord = null;
+    }
+
+    // Fields parsed so far from a streaming reply
+    showPartialAnalysis(word, partialData) {
+        this.setTooltipContent(word, partialData, true);
+    }
+
+    setTooltipContent(word, data, streaming = false) {
         // Store for potential saving
         this.mainOverlay.state.setLastAnalyzedWord(word, data);
 
-        // Check if word is already saved
-        const wordKey = word.toLowerCase().trim();
-        const isSaved = this.storage.state.savedWords && this.storage.state.savedWords[wordKey];
+        // Check if word (or another form of it) is already saved
+        const isSaved = this.storage.isWordSaved(word);
 
-        // Ensure data has all required fields
+        // Ensure data has all required fields (placeholders while they're still streaming in)
         data = {
-            pronunciation: data?.pronunciation || '/unknown/',
-            partOfSpeech: data?.partOfSpeech || 'unknown',
+            pronunciation: data?.pronunciation || (streaming ? '' : '/unknown/'),
+            partOfSpeech: data?.partOfSpeech || (streaming ? '…' : 'unknown'),
             definition: data?.definition || 'Loading...',
             synonyms: data?.synonyms || [],
             translations: data?.translations || {},
-            frequency: data?.frequency || 'unknown',
+            frequency: data?.frequency || (streaming ? '…' : 'unknown'),
             refinedSentence: data?.refinedSentence || `The word "${word}"`,
-            sentenceTranslation: data?.sentenceTranslation || ''
+            sentenceTranslation: data?.sentenceTranslation || '',
+            source: data?._source || ''
         };
 
         const content = this.tooltip.querySelector('#yt-tooltip-content');
+
+        // Later stream chunks refresh the sections in place, keeping listeners and opened toggles
+        if (this.streamingWord === word && !data.source) {
+            this.fillTooltipFields(content, word, data, streaming);
+            this.currentTooltipData = data;
+            if (!streaming) {
+                this.streamingWord = null;
+                const wordTitle = content.querySelector('.yt-tooltip-word-title');
+                if (wordTitle) wordTitle.title = isSaved ? 'Click to delete' : 'Click to save';
+            }
+            return;
+        }
+        this.streamingWord = streaming ? word : null;
         
         content.innerHTML = `
             <!-- Header -->
@@ -439,12 +495,13 @@ class Tooltip {
                         <h2 class="yt-tooltip-word-title ${isSaved ? 'saved' : ''}" 
                             data-word="${word}"
                             style="cursor: pointer; transition: all 0.2s;"
-                            title="${isSaved ? 'Click to delete' : 'Click to save'}">
+                            title="${isSaved ? 'Click to delete' : streaming ? 'You can save once the analysis finishes' : 'Click to save'}">
                             ${word}
                         </h2>
-                        <span class="yt-tooltip-pronunciation">${data.pronunciation}</span>
-                        <span class="yt-tooltip-badge">${data.partOfSpeech}</span>
-                        <span class="yt-tooltip-frequency" style="background: ${this.getFrequencyColor(data.frequency)}">${data.frequency}</span>
+                        <span class="yt-tooltip-pronunciation" data-field="pronunciation"></span>
+                        <span class="yt-tooltip-badge" data-field="partOfSpeech"></span>
+                        <span class="yt-tooltip-frequency" data-field="frequency"></span>
+                        ${data.source === 'offline_dictionary' ? '<span class="yt-tooltip-source" title="AI unavailable - definition from your offline dictionary">📖 offline dictionary</span>' : ''}
                         
                     </div>
                     <div class="yt-tooltip-actions">
@@ -473,14 +530,12 @@ class Tooltip {
                 <div class="yt-tooltip-column left">
                     <div class="yt-tooltip-section">
                         <h3 class="yt-tooltip-label">Definition</h3>
-                        <p class="yt-tooltip-text">${data.definition}</p>
+                        <p class="yt-tooltip-text" data-field="definition"></p>
                     </div>
                     
                     <div class="yt-tooltip-section">
                         <h3 class="yt-tooltip-label">Synonyms</h3>
-                        <div class="yt-tooltip-tags">
-                            ${this.renderSynonyms(data.synonyms)}
-                        </div>
+                        <div class="yt-tooltip-tags" data-field="synonyms"></div>
                     </div>
                     
                     <div class="yt-tooltip-section">
@@ -488,9 +543,7 @@ class Tooltip {
                             Translations
                             <span class="yt-tooltip-arrow">▶</span>
                         </h3>
-                        <div id="translations" class="yt-tooltip-tags" style="display: none;">
-                            ${this.renderTranslations(data.translations)}
-                        </div>
+                        <div id="translations" class="yt-tooltip-tags" data-field="translations" style="display: none;"></div>
                     </div>
                 </div>
                 
@@ -498,7 +551,7 @@ class Tooltip {
                 <div class="yt-tooltip-column">
                     <div class="yt-tooltip-section">
                         <h3 class="yt-tooltip-label">Context Sentence</h3>
-                        <p class="yt-tooltip-context">${this.highlightWordInSentence(data.refinedSentence, word)}</p>
+                        <p class="yt-tooltip-context" data-field="refinedSentence"></p>
                     </div>
                     
                     <div class="yt-tooltip-section">
@@ -506,18 +559,42 @@ class Tooltip {
                             Translation
                             <span class="yt-tooltip-arrow">▶</span>
                         </h3>
-                        <p id="sentence-translation" class="yt-tooltip-translation"
-                        ${this.isRTLLanguage(this.storage.state.targetLanguage) ? 'style="direction: rtl; text-align: right;"' : ''}>
-                            ${data.sentenceTranslation}
-                        </p>
+                        <p id="sentence-translation" class="yt-tooltip-translation" data-field="sentenceTranslation"
+                        ${this.isRTLLanguage(this.storage.state.targetLanguage) ? 'style="direction: rtl; text-align: right;"' : ''}></p>
                     </div>
                 </div>
             </div>
         `;
-        
+
+        this.fillTooltipFields(content, word, data, streaming);
         this.addTooltipInteractivity(word, data);
     }
 
+    fillTooltipFields(content, word, data, streaming = false) {
+        const fields = {
+            pronunciation: data.pronunciation,
+            partOfSpeech: data.partOfSpeech,
+            frequency: data.frequency,
+            definition: data.definition,
+            synonyms: this.renderSynonyms(data.synonyms, streaming),
+            translations: this.renderTranslations(data.translations, streaming),
+            refinedSentence: this.highlightWordInSentence(data.refinedSentence, word),
+            sentenceTranslation: data.sentenceTranslation
+        };
+
+        Object.entries(fields).forEach(([field, html]) => {
+            const element = content.querySelector(`[data-field="${field}"]`);
+            if (element && element.innerHTML !== html) {
+                element.innerHTML = html;
+            }
+        });
+
+        const frequency = content.querySelector('[data-field="frequency"]');
+        if (frequency) {
+            frequency.style.background = this.getFrequencyColor(data.frequency);
+        }
+    }
+
     isRTLLanguage(lang) {
         const rtlLanguages = ['ar', 'he', 'fa', 'ur', 'yi', 'ji', 'iw', 'ku', 'ms', 'ml'];
         return rtlLanguages.includes(lang.toLowerCase());
@@ -573,10 +650,13 @@ class Tooltip {
                 
                 // Prevent double clicks
                 if (wordTitle.dataset.processing === 'true') return;
-                wordTitle.dataset.processing = 'true';
                 
-                const wordKey = word.toLowerCase().trim();
-                const isSaved = this.storage.state.savedWords && this.storage.state.savedWords[wordKey];
+                const isSaved = this.storage.isWordSaved(word);
+
+                // Don't save the placeholders of a reply that's still streaming in
+                if (!isSaved && this.streamingWord === word) return;
+
+                wordTitle.dataset.processing = 'true';
                 
                 try {
                     if (isSaved) {
@@ -596,11 +676,7 @@ class Tooltip {
                         }
                         
                         // Remove highlight from captions
-                        document.querySelectorAll('.caption-word').forEach(captionWord => {
-                            if (captionWord.textContent.toLowerCase().trim() === wordKey) {
-                                captionWord.classList.remove('highlighted-word');
-                            }
-                        });
+                        this.mainOverlay.player.refreshHighlights();
                         
                         // Show feedback
                         wordTitle.style.color = '#f44336';
@@ -611,8 +687,9 @@ class Tooltip {
                     } else {
                         // Save the word
                         console.log(`[YT Overlay] 💾 Saving word: ${word}`);
-                        const dataToSave = analysisData || this.currentTooltipData || {};
-                        await this.storage.saveWord(word, dataToSave);
+                        // Final data: streamed sections fill in after the listener is added
+                        const dataToSave = this.currentTooltipData || analysisData || {};
+                        await this.storage.saveWord(word, dataToSave, this.captionIndex);
                         
                         // Update UI to reflect saved state
                         wordTitle.classList.add('saved');
@@ -741,6 +818,8 @@ class Tooltip {
     }
 
     hideTooltip(resumeVideo = false) {
+        this.cancelAnalysis();
+
         this.tooltip.style.opacity = '0';
         this.tooltip.style.transform = 'translateX(-50%) scale(0.95)';
         this.tooltip.style.pointerEvents = 'none';
@@ -761,14 +840,19 @@ class Tooltip {
         }, 300);
     }
 
-    renderSynonyms(synonyms) {
+    renderSynonyms(synonyms, streaming = false) {
         if (Array.isArray(synonyms) && synonyms.length > 0) {
             return synonyms.map(syn => `<span class="yt-tooltip-tag">${syn}</span>`).join('');
         }
-        return '<span class="yt-tooltip-tag">No synonyms available</span>';
+        return `<span class="yt-tooltip-tag">${streaming ? '…' : 'No synonyms available'}</span>`;
     }
 
-    renderTranslations(translations) {
+    renderTranslations(translations, streaming = false) {
+        const empty = !translations || (typeof translations === 'object' && Object.keys(translations).length === 0);
+        if (streaming && empty) {
+            return '<span class="yt-tooltip-tag translation">…</span>';
+        }
+
         if (Array.isArray(translations)) {
             return translations.map(trans => `<span class="yt-tooltip-tag translation">${trans}</span>`).join('');
         } else if (typeof translations === 'object' && translations !== null) {
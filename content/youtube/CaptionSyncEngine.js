@@ -0,0 +1,209 @@
+/**
+ * CaptionSyncEngine - Keeps the active caption in step with the video
+ * Finds the caption by binary search over start times and is driven by
+ * requestVideoFrameCallback (timeupdate where unsupported). Nothing runs
+ * while the video is paused or the tab is hidden.
+ */
+
+class CaptionSyncEngine {
+    constructor(logger) {
+        this.logger = logger || console;
+
+        this.video = null;
+        this.getCaptions = null;
+        this.onCaptionChange = null;
+        this.onTick = null;
+
+        // Lookup index, rebuilt when the caption array changes
+        this.indexedCaptions = null;
+        this.starts = [];
+        this.maxEnds = [];       // maxEnds[i] = latest end among captions 0..i
+        this.lastIndex = -1;
+
+        // Subtitle delay in seconds (positive = captions later)
+        this.offset = 0;
+
+        this.frameHandle = null;
+        this.running = false;
+        this.useFrameCallback = false;
+
+        this.handlers = {};
+    }
+
+    /**
+     * Start syncing a video element
+     * getCaptions() returns the current caption array, onCaptionChange(index) fires on every change,
+     * optional onTick(index, time) fires on every frame (word-level highlighting)
+     */
+    start(video, getCaptions, onCaptionChange, onTick) {
+        this.stop();
+
+        this.video = video;
+        this.getCaptions = getCaptions;
+        this.onCaptionChange = onCaptionChange;
+        this.onTick = onTick || null;
+        this.lastIndex = -1;
+        this.useFrameCallback = typeof video.requestVideoFrameCallback === 'function';
+
+        this.handlers = {
+            play: () => this.resume(),
+            pause: () => { this.tick(); this.suspend(); },
+            ended: () => { this.tick(); this.suspend(); },
+            seeked: () => this.tick(),
+            seeking: () => this.tick(),
+            ratechange: () => this.tick(),
+            timeupdate: () => this.tick(),
+            visibilitychange: () => document.hidden ? this.suspend() : this.resume()
+        };
+
+        ['play', 'pause', 'ended', 'seeked', 'seeking', 'ratechange'].forEach(event => {
+            video.addEventListener(event, this.handlers[event]);
+        });
+        document.addEventListener('visibilitychange', this.handlers.visibilitychange);
+
+        this.logger.debug(`Caption sync started (${this.useFrameCallback ? 'requestVideoFrameCallback' : 'timeupdate'})`);
+
+        // Show the right caption straight away, even when starting paused
+        this.tick();
+        this.resume();
+    }
+
+    stop() {
+        this.suspend();
+
+        if (this.video) {
+            ['play', 'pause', 'ended', 'seeked', 'seeking', 'ratechange'].forEach(event => {
+                this.video.removeEventListener(event, this.handlers[event]);
+            });
+        }
+        if (this.handlers.visibilitychange) {
+            document.removeEventListener('visibilitychange', this.handlers.visibilitychange);
+        }
+
+        this.video = null;
+        this.handlers = {};
+        this.indexedCaptions = null;
+        this.lastIndex = -1;
+    }
+
+    isRunning() {
+        return this.running;
+    }
+
+    setOffset(seconds) {
+        this.offset = seconds;
+        if (this.video) this.refresh();
+    }
+
+    // Begin per-frame updates if the video is actually playing and visible
+    resume() {
+        if (this.running || !this.video || this.video.paused || this.video.ended || document.hidden) return;
+
+        this.running = true;
+
+        if (this.useFrameCallback) {
+            const onFrame = (now, metadata) => {
+                if (!this.running) return;
+                this.tick(metadata.mediaTime);
+                this.frameHandle = this.video.requestVideoFrameCallback(onFrame);
+            };
+            this.frameHandle = this.video.requestVideoFrameCallback(onFrame);
+        } else {
+            this.video.addEventListener('timeupdate', this.handlers.timeupdate);
+        }
+    }
+
+    suspend() {
+        if (!this.running) return;
+
+        this.running = false;
+
+        if (this.useFrameCallback) {
+            if (this.frameHandle !== null) {
+                this.video.cancelVideoFrameCallback(this.frameHandle);
+                this.frameHandle = null;
+            }
+        } else {
+            this.video.removeEventListener('timeupdate', this.handlers.timeupdate);
+        }
+    }
+
+    tick(mediaTime) {
+        if (!this.video) return;
+
+        // Caption timeline = video time minus the subtitle delay
+        const time = (mediaTime ?? this.video.currentTime) - this.offset;
+        const index = this.findCaptionIndex(time);
+
+        if (index !== this.lastIndex) {
+            this.lastIndex = index;
+            this.onCaptionChange(index, time);
+        }
+
+        if (this.onTick) {
+            this.onTick(index, time);
+        }
+    }
+
+    /**
+     * Re-run the lookup now, e.g. after captions were replaced
+     */
+    refresh() {
+        this.lastIndex = -2;
+        this.tick();
+    }
+
+    buildIndex(captions) {
+        this.indexedCaptions = captions;
+        this.starts = new Array(captions.length);
+        this.maxEnds = new Array(captions.length);
+
+        let maxEnd = -Infinity;
+        captions.forEach((caption, i) => {
+            this.starts[i] = caption.start;
+            maxEnd = Math.max(maxEnd, caption.end);
+            this.maxEnds[i] = maxEnd;
+        });
+    }
+
+    /**
+     * Earliest caption covering `time`, or -1
+     * Same result as a linear scan for start <= time <= end, in O(log n)
+     */
+    findCaptionIndex(time) {
+        const captions = this.getCaptions() || [];
+        if (captions !== this.indexedCaptions) {
+            this.buildIndex(captions);
+        }
+        if (!captions.length) return -1;
+
+        // Fast path: still inside the current caption and nothing earlier overlaps
+        const current = this.lastIndex;
+        if (current >= 0 && current < captions.length &&
+            time >= captions[current].start && time <= captions[current].end &&
+            (current === 0 || this.maxEnds[current - 1] < time)) {
+            return current;
+        }
+
+        // Last caption starting at or before `time`
+        let low = 0;
+        let high = captions.length - 1;
+        let last = -1;
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if (this.starts[mid] <= time) {
+                last = mid;
+                low = mid + 1;
+            } else {
+                high = mid - 1;
+            }
+        }
+
+        // Walk back through overlapping captions (rolling auto-captions) to the earliest match
+        let match = -1;
+        for (let i = last; i >= 0 && this.maxEnds[i] >= time; i--) {
+            if (captions[i].end >= time) match = i;
+        }
+        return match;
+    }
+}
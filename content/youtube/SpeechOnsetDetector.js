@@ -0,0 +1,187 @@
+/**
+ * SpeechOnsetDetector - Estimates subtitle drift from the video's audio
+ * Taps the <video> element through Web Audio, marks where speech starts
+ * after a pause and compares those onsets to nearby caption starts.
+ */
+
+class SpeechOnsetDetector {
+    constructor(logger) {
+        this.logger = logger || console;
+
+        this.context = null;
+        this.analyser = null;
+        this.buffer = null;
+        this.video = null;
+
+        // createMediaElementSource() works once per element, so keep one source per video
+        this.sources = new WeakMap();
+
+        // Adaptive level tracking (dBFS)
+        this.noiseFloor = -60;
+        this.speaking = false;
+        this.silenceStart = null;
+        this.minSilence = 0.15;
+        this.speechMargin = 12;
+        this.minSpeechLevel = -50;
+
+        this.onsets = [];        // video times where speech began
+        this.errors = [];        // onset - caption start, most recent last
+        this.maxErrors = 12;
+        this.matchWindow = 0.75;
+        this.maxCorrection = 1;
+
+        this.correction = 0;
+    }
+
+    /**
+     * Connect to a video element. Audio keeps playing through the context.
+     */
+    attach(video) {
+        try {
+            if (!this.context) {
+                this.context = new AudioContext();
+            }
+
+            let source = this.sources.get(video);
+            if (!source) {
+                source = this.context.createMediaElementSource(video);
+                source.connect(this.context.destination);
+                this.sources.set(video, source);
+            }
+
+            if (!this.analyser) {
+                this.analyser = this.context.createAnalyser();
+                this.analyser.fftSize = 1024;
+                this.buffer = new Float32Array(this.analyser.fftSize);
+            }
+
+            if (this.video !== video) {
+                this.disconnectAnalyser();
+                source.connect(this.analyser);
+                this.video = video;
+                this.reset();
+            }
+
+            this.context.resume();
+            return true;
+        } catch (error) {
+            // Sources created by another context or cross-origin media can't be tapped
+            this.logger.warn('Auto-align unavailable:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Stop listening to the video. Its audio stays routed through the context:
+     * createMediaElementSource() can't be undone, and suspending the context would mute it.
+     */
+    detach() {
+        this.disconnectAnalyser();
+        this.video = null;
+        this.reset();
+    }
+
+    disconnectAnalyser() {
+        const source = this.video && this.sources.get(this.video);
+        if (source && this.analyser) {
+            source.disconnect(this.analyser);
+        }
+    }
+
+    reset() {
+        this.onsets = [];
+        this.errors = [];
+        this.speaking = false;
+        this.silenceStart = null;
+        this.correction = 0;
+    }
+
+    /**
+     * Read the current audio level and record a speech onset if one just happened
+     */
+    sample(time) {
+        if (!this.analyser) return;
+
+        this.analyser.getFloatTimeDomainData(this.buffer);
+
+        let sum = 0;
+        for (let i = 0; i < this.buffer.length; i++) {
+            sum += this.buffer[i] * this.buffer[i];
+        }
+        const rms = Math.sqrt(sum / this.buffer.length);
+        const db = rms > 0 ? 20 * Math.log10(rms) : -100;
+
+        // Floor drops instantly and rises slowly, so it follows the background noise
+        this.noiseFloor = db < this.noiseFloor ? db : this.noiseFloor + (db - this.noiseFloor) * 0.01;
+
+        const isSpeech = db > this.noiseFloor + this.speechMargin && db > this.minSpeechLevel;
+
+        if (isSpeech && !this.speaking) {
+            if (this.silenceStart !== null && time - this.silenceStart >= this.minSilence) {
+                this.onsets.push(time);
+                this.onsets = this.onsets.filter(t => time - t <= 60);
+            }
+            this.speaking = true;
+        } else if (!isSpeech && this.speaking) {
+            this.speaking = false;
+            this.silenceStart = time;
+        } else if (!isSpeech && this.silenceStart === null) {
+            this.silenceStart = time;
+        }
+    }
+
+    /**
+     * Match fresh onsets to the nearest caption starts and update the correction
+     * Onsets are video time; captionOffset is the delay currently applied to captions
+     * Returns the correction (seconds to add to the delay)
+     */
+    estimateCorrection(captions, captionOffset) {
+        if (!captions?.length || !this.onsets.length) return this.correction;
+
+        this.onsets.forEach(onset => {
+            const target = onset - captionOffset;
+
+            // First caption starting at or after the onset
+            let low = 0;
+            let high = captions.length;
+            while (low < high) {
+                const mid = (low + high) >> 1;
+                if (captions[mid].start < target) {
+                    low = mid + 1;
+                } else {
+                    high = mid;
+                }
+            }
+
+            let best = null;
+            [low - 1, low].forEach(i => {
+                if (i < 0 || i >= captions.length) return;
+                const error = target - captions[i].start;
+                if (Math.abs(error) <= this.matchWindow && (best === null || Math.abs(error) < Math.abs(best))) {
+                    best = error;
+                }
+            });
+            if (best !== null) {
+                this.errors.push(best);
+            }
+        });
+        this.onsets = [];
+
+        if (this.errors.length > this.maxErrors) {
+            this.errors = this.errors.slice(-this.maxErrors);
+        }
+        if (this.errors.length < 3) return this.correction;
+
+        const sorted = [...this.errors].sort((a, b) => a - b);
+        const median = sorted[Math.floor(sorted.length / 2)];
+
+        // Move halfway toward the measured drift to ride out noisy matches
+        const next = this.correction + median * 0.5;
+        this.correction = Math.max(-this.maxCorrection, Math.min(this.maxCorrection, next));
+
+        // Errors were measured against the old correction
+        this.errors = [];
+
+        return this.correction;
+    }
+}
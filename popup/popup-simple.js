@@ -47,6 +47,8 @@ class SimplePopupManager {
         
         // Buttons
         this.dashboardBtn = document.getElementById('dashboardBtn');
+        this.reviewBtn = document.getElementById('reviewBtn');
+        this.reviewDueCount = document.getElementById('reviewDueCount');
         this.settingsBtn = document.getElementById('settingsBtn');
         this.helpLink = document.getElementById('helpLink');
         this.refreshBtn = document.getElementById('refreshBtn');
@@ -67,6 +69,14 @@ class SimplePopupManager {
             window.close();
         });
 
+        // Review button
+        this.reviewBtn.addEventListener('click', () => {
+            chrome.tabs.create({ 
+                url: chrome.runtime.getURL('review/review.html') 
+            });
+            window.close();
+        });
+
         // Settings button
         this.settingsBtn.addEventListener('click', () => {
             chrome.tabs.create({ 
@@ -395,7 +405,7 @@ class SimplePopupManager {
 
     async loadWordStats() {
         try {
-            const storage = await chrome.storage.local.get(['savedWordsData']);
+            const storage = await chrome.storage.local.get(['savedWordsData', 'wordStatuses']);
             const savedWords = storage.savedWordsData || {};
             const totalCount = Object.keys(savedWords).length;
             
@@ -414,6 +424,10 @@ class SimplePopupManager {
             this.animateNumber(this.totalWords, totalCount);
             this.animateNumber(this.todayWords, todayCount);
 
+            // Words due for spaced-repetition review
+            const dueCount = new ReviewScheduler(console).getDueWords(savedWords, storage.wordStatuses?.words).length;
+            this.reviewDueCount.textContent = dueCount > 0 ? `(${dueCount})` : '';
+
         } catch (error) {
             console.error('Error loading word stats:', error);
         }
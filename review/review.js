@@ -0,0 +1,197 @@
+/**
+ * Review Page JavaScript
+ * Runs a spaced-repetition session over due saved words
+ */
+
+class ReviewSessionManager {
+    constructor() {
+        this.scheduler = new ReviewScheduler(console);
+        this.queue = [];
+        this.current = null;
+        this.reviewedCount = 0;
+        this.answerShown = false;
+        this.grading = false;  // A grade is being written; ignore repeat keys and clicks
+
+        this.initializeElements();
+        this.attachEventListeners();
+        this.loadSession();
+    }
+
+    initializeElements() {
+        this.progress = document.getElementById('reviewProgress');
+        this.card = document.getElementById('reviewCard');
+        this.cardWord = document.getElementById('cardWord');
+        this.cardPronunciation = document.getElementById('cardPronunciation');
+        this.cardContext = document.getElementById('cardContext');
+        this.cardVideo = document.getElementById('cardVideo');
+        this.cardVideoThumb = document.getElementById('cardVideoThumb');
+        this.cardVideoTitle = document.getElementById('cardVideoTitle');
+
+        this.cardAnswer = document.getElementById('cardAnswer');
+        this.answerDefinition = document.getElementById('answerDefinition');
+        this.answerTranslation = document.getElementById('answerTranslation');
+        this.answerSentence = document.getElementById('answerSentence');
+
+        this.showAnswerActions = document.getElementById('showAnswerActions');
+        this.showAnswerBtn = document.getElementById('showAnswerBtn');
+        this.gradeActions = document.getElementById('gradeActions');
+        this.gradeButtons = document.querySelectorAll('[data-grade]');
+
+        this.emptyState = document.getElementById('emptyState');
+        this.emptyText = document.getElementById('emptyText');
+    }
+
+    attachEventListeners() {
+        this.showAnswerBtn.addEventListener('click', () => this.showAnswer());
+
+        this.gradeButtons.forEach(btn => {
+            btn.addEventListener('click', () => this.grade(btn.dataset.grade));
+        });
+
+        // Keyboard shortcuts
+        document.addEventListener('keydown', (e) => {
+            if (!this.current) return;
+
+            if (e.code === 'Space' && !this.answerShown) {
+                e.preventDefault();
+                this.showAnswer();
+            } else if (this.answerShown && ['1', '2', '3', '4'].includes(e.key)) {
+                const grades = ['again', 'hard', 'good', 'easy'];
+                this.grade(grades[parseInt(e.key) - 1]);
+            }
+        });
+    }
+
+    async loadSession() {
+        try {
+            this.queue = await this.scheduler.loadDueWords();
+            this.showNext();
+        } catch (error) {
+            console.error('[Review] Error loading due words:', error);
+            this.showEmpty('Failed to load saved words.');
+        }
+    }
+
+    showNext() {
+        this.current = this.queue.shift() || null;
+        this.answerShown = false;
+
+        if (!this.current) {
+            this.showEmpty(this.reviewedCount > 0
+                ? `Session complete - ${this.reviewedCount} reviews done.`
+                : 'No words due for review.');
+            return;
+        }
+
+        this.progress.textContent = `${this.queue.length + 1} left`;
+        this.renderCard(this.current);
+    }
+
+    renderCard({ entry }) {
+        const analysis = entry.analysis || {};
+
+        this.cardWord.textContent = entry.word;
+        this.cardPronunciation.textContent = analysis.pronunciation || '';
+
+        // Original caption, falling back to the AI-refined sentence
+        const context = entry.context || analysis.refinedSentence || '';
+        this.cardContext.innerHTML = this.highlightWord(context, entry.word);
+        this.cardContext.style.display = context ? 'block' : 'none';
+
+        if (entry.videoId) {
+            const time = entry.videoTime ? `&t=${entry.videoTime}s` : '';
+            this.cardVideo.href = `https://www.youtube.com/watch?v=${entry.videoId}${time}`;
+            this.cardVideoThumb.src = `https://img.youtube.com/vi/${entry.videoId}/default.jpg`;
+            this.cardVideoTitle.textContent = entry.videoTitle || 'Unknown Video';
+            this.cardVideo.style.display = 'flex';
+        } else {
+            this.cardVideo.style.display = 'none';
+        }
+
+        this.answerDefinition.textContent = analysis.definition || '—';
+        this.answerTranslation.textContent = this.formatTranslations(analysis.translations) || '—';
+        this.answerSentence.textContent = analysis.sentenceTranslation || '—';
+
+        // Preview the next interval on each grade button
+        const review = this.current.review;
+        this.gradeButtons.forEach(btn => {
+            const next = this.scheduler.schedule(review, this.scheduler.GRADES[btn.dataset.grade]);
+            btn.querySelector('.btn-interval').textContent = this.formatInterval(next.interval);
+        });
+
+        this.cardAnswer.classList.remove('visible');
+        this.showAnswerActions.classList.remove('hidden');
+        this.gradeActions.classList.add('hidden');
+        this.emptyState.classList.add('hidden');
+        this.card.classList.remove('hidden');
+    }
+
+    showAnswer() {
+        this.answerShown = true;
+        this.cardAnswer.classList.add('visible');
+        this.showAnswerActions.classList.add('hidden');
+        this.gradeActions.classList.remove('hidden');
+    }
+
+    async grade(gradeName) {
+        const item = this.current;
+        if (!item || this.grading) return;
+
+        const quality = this.scheduler.GRADES[gradeName];
+        this.grading = true;
+        this.gradeButtons.forEach(btn => { btn.disabled = true; });
+
+        try {
+            item.review = await this.scheduler.recordReview(item.key, quality) || item.review;
+            this.reviewedCount++;
+        } catch (error) {
+            console.error('[Review] Error saving review:', error);
+        } finally {
+            this.grading = false;
+            this.gradeButtons.forEach(btn => { btn.disabled = false; });
+        }
+
+        // Failed words come back at the end of this session
+        if (quality < 3) {
+            this.queue.push(item);
+        }
+
+        this.showNext();
+    }
+
+    showEmpty(message) {
+        this.card.classList.add('hidden');
+        this.emptyText.textContent = message;
+        this.emptyState.classList.remove('hidden');
+        this.progress.textContent = '0 left';
+    }
+
+    formatTranslations(translations) {
+        if (!translations) return '';
+        if (Array.isArray(translations)) return translations.join(', ');
+        return Object.values(translations).join(', ');
+    }
+
+    formatInterval(days) {
+        if (days < 30) return `${days}d`;
+        if (days < 365) return `${Math.round(days / 30)}mo`;
+        return `${(days / 365).toFixed(1)}y`;
+    }
+
+    highlightWord(text, word) {
+        const escaped = this.escapeHtml(text);
+        const pattern = new RegExp(`\\b(${word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})\\b`, 'gi');
+        return escaped.replace(pattern, '<mark>$1</mark>');
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    new ReviewSessionManager();
+});
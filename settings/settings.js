@@ -10,6 +10,7 @@ class SettingsManager {
         this.attachEventListeners();
         this.loadCurrentSettings();
         this.updateCacheStats();
+        this.updateDictionaryCount();
         // Don't load videos on init - only when tab is clicked
     }
 
@@ -18,8 +19,30 @@ class SettingsManager {
         this.apiModeRadios = document.querySelectorAll('input[name="apiMode"]');
         this.apiKeyInput = document.getElementById('apiKey');
         this.apiKeyGroup = document.getElementById('apiKeyGroup');
+        this.llmProviderSelect = document.getElementById('llmProvider');
+        this.llmBaseUrlInput = document.getElementById('llmBaseUrl');
+        this.llmBaseUrlHelp = document.getElementById('llmBaseUrlHelp');
+        this.llmModelInput = document.getElementById('llmModel');
+        this.llmModelLabel = document.getElementById('llmModelLabel');
+        this.testConnectionBtn = document.getElementById('testConnectionBtn');
         this.targetLanguageSelect = document.getElementById('targetLanguage');
+        this.sourceLanguageSelect = document.getElementById('sourceLanguage');
+        this.dualSubtitlesCheckbox = document.getElementById('dualSubtitles');
+        this.dualSubtitlesHelp = document.getElementById('dualSubtitlesHelp');
+        this.karaokeHighlightCheckbox = document.getElementById('karaokeHighlight');
+        this.markUnknownWordsCheckbox = document.getElementById('markUnknownWords');
         this.definitionLevelSelect = document.getElementById('definitionLevel');
+        this.segmentationProfileSelect = document.getElementById('segmentationProfile');
+        this.hoverGlossCheckbox = document.getElementById('hoverGloss');
+        this.hoverDelaySelect = document.getElementById('hoverDelay');
+        this.autoPauseSelect = document.getElementById('autoPause');
+        this.autoPrepareVideoCheckbox = document.getElementById('autoPrepareVideo');
+        this.analyzeOnOpenCheckbox = document.getElementById('analyzeOnOpen');
+
+        // Keyboard Shortcuts
+        this.keyBindingsList = document.getElementById('keyBindingsList');
+        this.resetKeyBindingsBtn = document.getElementById('resetKeyBindingsBtn');
+        this.keyBindings = new KeyBindings();
 
         // Subtitle Server
         this.subtitleServerRadios = document.querySelectorAll('input[name="subtitleServer"]');
@@ -28,6 +51,21 @@ class SettingsManager {
         this.clearCacheBtn = document.getElementById('clearCacheBtn');
         this.clearWordsBtn = document.getElementById('clearWordsBtn');
         this.exportDataBtn = document.getElementById('exportDataBtn');
+        this.exportAnkiBtn = document.getElementById('exportAnkiBtn');
+
+        // Offline Dictionary
+        this.offlineDictionary = new OfflineDictionary();
+        this.dictionaryCount = document.getElementById('dictionaryCount');
+        this.dictionaryFileInput = document.getElementById('dictionaryFileInput');
+        this.importDictionaryBtn = document.getElementById('importDictionaryBtn');
+        this.clearDictionaryBtn = document.getElementById('clearDictionaryBtn');
+        this.dictionaryProgress = document.getElementById('dictionaryProgress');
+
+        // Import
+        this.importDataBtn = document.getElementById('importDataBtn');
+        this.importFileInput = document.getElementById('importFileInput');
+        this.importConflictPolicy = document.getElementById('importConflictPolicy');
+        this.importCloudSync = document.getElementById('importCloudSync');
         this.cacheVideoCount = document.getElementById('cacheVideoCount');
         this.cacheSize = document.getElementById('cacheSize');
         this.savedWordsCount = document.getElementById('savedWords');
@@ -101,6 +139,29 @@ class SettingsManager {
         this.clearCacheBtn.addEventListener('click', () => this.clearSubtitleCache());
         this.clearWordsBtn.addEventListener('click', () => this.clearSavedWords());
         this.exportDataBtn.addEventListener('click', () => this.exportData());
+        this.exportAnkiBtn.addEventListener('click', () => this.exportAnki());
+
+        // Offline Dictionary
+        this.importDictionaryBtn.addEventListener('click', () => this.dictionaryFileInput.click());
+        this.dictionaryFileInput.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                await this.importDictionary(file);
+            }
+            e.target.value = '';
+        });
+        this.clearDictionaryBtn.addEventListener('click', () => this.clearDictionary());
+
+        // Import
+        this.importDataBtn.addEventListener('click', () => this.importFileInput.click());
+        this.importFileInput.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                await this.importData(file);
+            }
+            // Allow picking the same file again
+            e.target.value = '';
+        });
 
         // Auto-save for all inputs
         this.apiKeyInput.addEventListener('blur', async () => {
@@ -109,14 +170,77 @@ class SettingsManager {
             }
         });
 
+        this.llmProviderSelect.addEventListener('change', async (e) => {
+            this.updateProviderFields(e.target.value);
+            await this.autoSaveSetting('llmProvider', e.target.value);
+            await this.requestProviderAccess();
+        });
+
+        this.llmBaseUrlInput.addEventListener('blur', async () => {
+            await this.autoSaveSetting('llmBaseUrl', this.llmBaseUrlInput.value.trim());
+            await this.requestProviderAccess();
+        });
+
+        this.llmModelInput.addEventListener('blur', async () => {
+            await this.autoSaveSetting('llmModel', this.llmModelInput.value.trim());
+        });
+
+        this.testConnectionBtn.addEventListener('click', () => this.testConnection());
+
         this.targetLanguageSelect.addEventListener('change', async (e) => {
             await this.autoSaveSetting('targetLanguage', e.target.value);
         });
 
+        this.sourceLanguageSelect.addEventListener('change', async (e) => {
+            await this.autoSaveSetting('sourceLanguage', e.target.value);
+        });
+
+        this.dualSubtitlesCheckbox.addEventListener('change', async (e) => {
+            await this.autoSaveSetting('dualSubtitles', e.target.checked);
+        });
+
+        this.karaokeHighlightCheckbox.addEventListener('change', async (e) => {
+            await this.autoSaveSetting('karaokeHighlight', e.target.checked);
+        });
+
+        this.markUnknownWordsCheckbox.addEventListener('change', async (e) => {
+            await this.autoSaveSetting('markUnknownWords', e.target.checked);
+        });
+
         this.definitionLevelSelect.addEventListener('change', async (e) => {
             await this.autoSaveSetting('definitionLevel', e.target.value);
         });
 
+        this.segmentationProfileSelect.addEventListener('change', async (e) => {
+            await this.autoSaveSetting('segmentationProfile', e.target.value);
+        });
+
+        this.hoverGlossCheckbox.addEventListener('change', async (e) => {
+            await this.autoSaveSetting('hoverGloss', e.target.checked);
+        });
+
+        this.hoverDelaySelect.addEventListener('change', async (e) => {
+            await this.autoSaveSetting('hoverDelay', parseInt(e.target.value));
+        });
+
+        this.autoPauseSelect.addEventListener('change', async (e) => {
+            await this.autoSaveSetting('autoPause', e.target.value);
+        });
+
+        this.autoPrepareVideoCheckbox.addEventListener('change', async (e) => {
+            await this.autoSaveSetting('autoPrepareVideo', e.target.checked);
+        });
+
+        this.analyzeOnOpenCheckbox.addEventListener('change', async (e) => {
+            await this.autoSaveSetting('analyzeOnOpen', e.target.checked);
+        });
+
+        this.resetKeyBindingsBtn.addEventListener('click', async () => {
+            this.keyBindings = new KeyBindings();
+            await this.autoSaveSetting('keyBindings', {});
+            this.renderKeyBindings();
+        });
+
         this.debugModeCheckbox.addEventListener('change', async (e) => {
             await this.autoSaveSetting('debugMode', e.target.checked);
         });
@@ -143,8 +267,22 @@ class SettingsManager {
             const settings = await chrome.storage.sync.get([
                 'apiMode',
                 'openaiApiKey',
+                'llmProvider',
+                'llmBaseUrl',
+                'llmModel',
                 'targetLanguage',
                 'definitionLevel',
+                'sourceLanguage',
+                'dualSubtitles',
+                'karaokeHighlight',
+                'markUnknownWords',
+                'segmentationProfile',
+                'hoverGloss',
+                'hoverDelay',
+                'autoPause',
+                'autoPrepareVideo',
+                'analyzeOnOpen',
+                'keyBindings',
                 'subtitleServer',
                 'debugMode',
                 'autoCache',
@@ -162,10 +300,32 @@ class SettingsManager {
                 this.apiKeyInput.value = settings.openaiApiKey;
             }
 
+            // AI Provider
+            this.llmProviderSelect.value = settings.llmProvider || 'openai';
+            this.llmBaseUrlInput.value = settings.llmBaseUrl || '';
+            this.llmModelInput.value = settings.llmModel || '';
+            this.updateProviderFields(this.llmProviderSelect.value);
+
             // Language and Level
             this.targetLanguageSelect.value = settings.targetLanguage || 'ja';
             this.definitionLevelSelect.value = settings.definitionLevel || 'beginner';
 
+            // Subtitle language (falls back to English when the video has no such track)
+            this.sourceLanguageSelect.value = settings.sourceLanguage || 'en';
+            this.dualSubtitlesCheckbox.checked = settings.dualSubtitles || false;
+            this.karaokeHighlightCheckbox.checked = settings.karaokeHighlight !== false;
+            this.markUnknownWordsCheckbox.checked = settings.markUnknownWords === true;
+            this.segmentationProfileSelect.value = settings.segmentationProfile || 'standard';
+            this.hoverGlossCheckbox.checked = settings.hoverGloss || false;
+            this.hoverDelaySelect.value = String(settings.hoverDelay || 300);
+            this.autoPauseSelect.value = settings.autoPause || 'click';
+            this.autoPrepareVideoCheckbox.checked = settings.autoPrepareVideo || false;
+            this.analyzeOnOpenCheckbox.checked = settings.analyzeOnOpen || false;
+
+            // Keyboard shortcuts (only changed ones are stored)
+            this.keyBindings = new KeyBindings(settings.keyBindings || {});
+            this.renderKeyBindings();
+
             // Subtitle Server (default to cloud)
             const subtitleServer = settings.subtitleServer || 'cloud';
             const serverRadio = document.querySelector(`input[name="subtitleServer"][value="${subtitleServer}"]`);
@@ -192,6 +352,78 @@ class SettingsManager {
         } else {
             this.apiKeyGroup.style.display = 'none';
         }
+
+        // Caption translation runs on your own provider; the public API only looks up words
+        this.dualSubtitlesCheckbox.disabled = mode === 'public';
+        this.dualSubtitlesHelp.textContent = mode === 'public'
+            ? 'Not available with the public API, which only looks up words. Use your own API key to turn this on.'
+            : 'Show a translation in your target language under each caption (needs your own API key)';
+    }
+
+    updateProviderFields(providerType) {
+        // Show the provider defaults as placeholders
+        const provider = LLMProvider.create(providerType, {});
+        const isAzure = providerType === 'azure';
+
+        this.llmBaseUrlInput.placeholder = isAzure
+            ? 'https://your-resource.openai.azure.com'
+            : provider.defaultBaseUrl;
+        this.llmModelInput.placeholder = isAzure ? 'my-gpt-deployment' : provider.defaultModel;
+        this.llmModelLabel.textContent = isAzure ? 'Deployment Name' : 'Model';
+        this.apiKeyInput.placeholder = provider.requiresApiKey ? 'sk-...' : 'Optional';
+
+        this.llmBaseUrlHelp.textContent = providerType === 'openai-compatible'
+            ? 'Requests come from the extension, so Ollama must allow its origin (OLLAMA_ORIGINS=chrome-extension://*)'
+            : isAzure
+                ? 'Your Azure OpenAI resource endpoint'
+                : 'Leave empty to use the provider default';
+    }
+
+    async testConnection() {
+        this.testConnectionBtn.disabled = true;
+        this.testConnectionBtn.innerHTML = '<span class="spinner"></span> Testing...';
+
+        await this.requestProviderAccess();
+
+        try {
+            // Test what's in the form, saved or not, through the same relay lookups use
+            const provider = LLMProvider.create(this.llmProviderSelect.value, {
+                apiKey: this.apiKeyInput.value.trim(),
+                baseUrl: this.llmBaseUrlInput.value.trim(),
+                model: this.llmModelInput.value.trim(),
+                relay: true
+            });
+
+            const result = await provider.testConnection();
+            this.showAlert(result.ok ? `✓ ${result.message}` : `Connection failed: ${result.message}`,
+                result.ok ? 'success' : 'error');
+        } catch (error) {
+            console.error('Error testing connection:', error);
+            this.showAlert(`Connection failed: ${error.message}`, 'error');
+        } finally {
+            this.testConnectionBtn.disabled = false;
+            this.testConnectionBtn.innerHTML = '<span>🔌</span> Test Connection';
+        }
+    }
+
+    // Ask for host access to the configured endpoint (no prompt once granted).
+    // Must run from a click or edit, since Chrome only shows the prompt after a user gesture.
+    async requestProviderAccess() {
+        const origin = LLMProvider.create(this.llmProviderSelect.value, {
+            baseUrl: this.llmBaseUrlInput.value.trim()
+        }).originPattern;
+        if (!origin) return false;
+
+        try {
+            const granted = await chrome.permissions.request({ origins: [origin] });
+            if (!granted) {
+                this.showAlert(`Access to ${origin} was not granted, so requests to it may be blocked`, 'error');
+            }
+            return granted;
+        } catch (error) {
+            console.error('Error requesting host access:', error);
+            return false;
+        }
     }
 
     async autoSaveSetting(key, value) {
@@ -213,6 +445,58 @@ class SettingsManager {
         }
     }
 
+    renderKeyBindings() {
+        this.keyBindingsList.innerHTML = Object.entries(KeyBindings.LABELS).map(([action, label]) => `
+            <div class="key-binding-row">
+                <span>${label}</span>
+                <button class="key-binding-btn" data-action="${action}">${this.escapeHtml(KeyBindings.format(this.keyBindings.get(action)))}</button>
+            </div>
+        `).join('');
+
+        this.keyBindingsList.querySelectorAll('.key-binding-btn').forEach(button => {
+            button.addEventListener('click', () => this.recordKeyBinding(button));
+        });
+    }
+
+    // Next key pressed on the button becomes the binding
+    recordKeyBinding(button) {
+        const action = button.dataset.action;
+        button.classList.add('recording');
+        button.textContent = 'Press keys…';
+
+        const onKeydown = async (e) => {
+            const binding = KeyBindings.fromEvent(e);
+            if (!binding) return;   // Wait for the key after the modifiers
+
+            e.preventDefault();
+            button.removeEventListener('keydown', onKeydown);
+            button.classList.remove('recording');
+
+            const error = this.keyBindings.validate(action, binding);
+            if (error) {
+                this.showAlert(error, 'error');
+            } else {
+                this.keyBindings.set(action, binding);
+                await this.autoSaveSetting('keyBindings', this.getChangedKeyBindings());
+            }
+            this.renderKeyBindings();
+        };
+
+        button.addEventListener('keydown', onKeydown);
+        button.addEventListener('blur', () => this.renderKeyBindings(), { once: true });
+        button.focus();
+    }
+
+    getChangedKeyBindings() {
+        const changed = {};
+        Object.entries(KeyBindings.DEFAULTS).forEach(([action, binding]) => {
+            if (this.keyBindings.get(action) !== binding) {
+                changed[action] = this.keyBindings.get(action);
+            }
+        });
+        return changed;
+    }
+
     async updateCacheStats() {
         try {
             // Get all storage data
@@ -320,16 +604,11 @@ class SettingsManager {
             };
 
             // Create and download JSON file
-            const blob = new Blob([JSON.stringify(exportData, null, 2)], 
-                { type: 'application/json' });
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `vocaminary_export_${new Date().toISOString().split('T')[0]}.json`;
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            URL.revokeObjectURL(url);
+            this.downloadFile(
+                JSON.stringify(exportData, null, 2),
+                `vocaminary_export_${new Date().toISOString().split('T')[0]}.json`,
+                'application/json'
+            );
 
             this.showAlert(`Exported ${Object.keys(savedWords).length} words`, 'success');
 
@@ -342,6 +621,417 @@ class SettingsManager {
         }
     }
 
+    async exportAnki() {
+        this.exportAnkiBtn.disabled = true;
+        this.exportAnkiBtn.innerHTML = '<span class="spinner"></span> Exporting...';
+
+        try {
+            const localStorage = await chrome.storage.local.get(['savedWordsData']);
+            const words = Object.values(localStorage.savedWordsData || {});
+
+            if (words.length === 0) {
+                this.showAlert('No saved words to export', 'error');
+                return;
+            }
+
+            // Anki text import: the header lines configure the import dialog
+            // (File > Import, cards land in the "Vocaminary" deck as Basic notes)
+            const lines = [
+                '#separator:tab',
+                '#html:true',
+                '#notetype:Basic',
+                '#deck:Vocaminary',
+                '#tags column:3'
+            ];
+
+            words.forEach(entry => {
+                const note = this.buildAnkiNote(entry);
+                lines.push([note.front, note.back, note.tags]
+                    .map(field => this.formatAnkiField(field))
+                    .join('\t'));
+            });
+
+            this.downloadFile(
+                lines.join('\n'),
+                `vocaminary_anki_${new Date().toISOString().split('T')[0]}.txt`,
+                'text/plain'
+            );
+
+            this.showAlert(`Exported ${words.length} Anki cards`, 'success');
+
+        } catch (error) {
+            console.error('Error exporting Anki deck:', error);
+            this.showAlert('Failed to export Anki deck', 'error');
+        } finally {
+            this.exportAnkiBtn.disabled = false;
+            this.exportAnkiBtn.innerHTML = '<span>🃏</span> Export to Anki';
+        }
+    }
+
+    buildAnkiNote(entry) {
+        const analysis = entry.analysis || {};
+        const context = entry.context || analysis.refinedSentence || '';
+
+        // Front: word + the sentence it was saved from
+        let front = `<b>${this.escapeHtml(entry.word)}</b>`;
+        if (context) {
+            front += `<br><i>${this.escapeHtml(context)}</i>`;
+        }
+
+        // Back: stored analysis + link back to the moment in the video
+        const back = [];
+        if (analysis.pronunciation) {
+            back.push(this.escapeHtml(analysis.pronunciation));
+        }
+        if (analysis.definition) {
+            back.push(`<b>${this.escapeHtml(analysis.partOfSpeech || 'definition')}</b>: ${this.escapeHtml(analysis.definition)}`);
+        }
+
+        const translations = Array.isArray(analysis.translations)
+            ? analysis.translations
+            : Object.values(analysis.translations || {});
+        if (translations.length > 0) {
+            back.push(`🌐 ${this.escapeHtml(translations.join(', '))}`);
+        }
+        if (Array.isArray(analysis.synonyms) && analysis.synonyms.length > 0) {
+            back.push(`≈ ${this.escapeHtml(analysis.synonyms.join(', '))}`);
+        }
+        if (analysis.sentenceTranslation) {
+            back.push(`<i>${this.escapeHtml(analysis.sentenceTranslation)}</i>`);
+        }
+        if (entry.videoId) {
+            const time = entry.videoTime ? `&t=${entry.videoTime}` : '';
+            const url = `https://www.youtube.com/watch?v=${encodeURIComponent(entry.videoId)}${time}`;
+            back.push(`<a href="${url}">▶ ${this.escapeHtml(entry.videoTitle || 'Watch on YouTube')}</a>`);
+        }
+
+        const tags = ['vocaminary'];
+        if (entry.videoTitle) {
+            tags.push(this.toAnkiTag(entry.videoTitle));
+        }
+
+        return {
+            front: front,
+            back: back.join('<br>'),
+            tags: tags.join(' ')
+        };
+    }
+
+    formatAnkiField(value) {
+        const text = String(value || '').replace(/\t/g, ' ').replace(/\r?\n/g, '<br>');
+        // Quote every field so commas and quotes survive the import
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+
+    toAnkiTag(title) {
+        // Anki tags are space separated and can't contain spaces
+        return 'video::' + title
+            .trim()
+            .replace(/\s+/g, '_')
+            .replace(/[^\p{L}\p{N}_-]/gu, '')
+            .slice(0, 60);
+    }
+
+    async updateDictionaryCount() {
+        try {
+            const count = await this.offlineDictionary.count();
+            this.dictionaryCount.textContent = count.toLocaleString();
+        } catch (error) {
+            console.error('Error counting dictionary entries:', error);
+        }
+    }
+
+    async importDictionary(file) {
+        this.importDictionaryBtn.disabled = true;
+        this.importDictionaryBtn.innerHTML = '<span class="spinner"></span> Reading...';
+        this.dictionaryProgress.value = 0;
+        this.dictionaryProgress.style.display = 'block';
+
+        try {
+            const imported = await this.offlineDictionary.importFile(file, (bytesRead, totalBytes) => {
+                const percent = Math.floor(bytesRead / totalBytes * 100);
+                this.dictionaryProgress.value = percent;
+                this.importDictionaryBtn.innerHTML = `<span class="spinner"></span> ${percent}%`;
+            });
+            if (imported === 0) {
+                this.showAlert('No dictionary entries found in file', 'error');
+                return;
+            }
+
+            this.showAlert(`Imported ${imported.toLocaleString()} dictionary entries`, 'success');
+            await this.updateDictionaryCount();
+
+        } catch (error) {
+            console.error('Error importing dictionary:', error);
+            this.showAlert(`Dictionary import failed: ${error.message}`, 'error');
+        } finally {
+            this.importDictionaryBtn.disabled = false;
+            this.importDictionaryBtn.innerHTML = '<span>📥</span> Import Dictionary';
+            this.dictionaryProgress.style.display = 'none';
+        }
+    }
+
+    async clearDictionary() {
+        if (!confirm('Remove all offline dictionary entries?')) {
+            return;
+        }
+
+        try {
+            await this.offlineDictionary.clear();
+            this.showAlert('Offline dictionary cleared', 'success');
+            await this.updateDictionaryCount();
+        } catch (error) {
+            console.error('Error clearing dictionary:', error);
+            this.showAlert('Failed to clear dictionary', 'error');
+        }
+    }
+
+    async importData(file) {
+        this.importDataBtn.disabled = true;
+        this.importDataBtn.innerHTML = '<span class="spinner"></span> Importing...';
+
+        try {
+            const text = await file.text();
+            const isJson = file.name.toLowerCase().endsWith('.json') || text.trim().startsWith('{');
+
+            const { targetLanguage } = await chrome.storage.sync.get(['targetLanguage']);
+            const imported = isJson
+                ? this.parseImportJson(text)
+                : this.parseImportCsv(text, targetLanguage || 'ja');
+
+            const wordKeys = Object.keys(imported);
+            if (wordKeys.length === 0) {
+                this.showAlert('No valid words found in file', 'error');
+                return;
+            }
+
+            // Merge into existing words
+            const localStorage = await chrome.storage.local.get(['savedWordsData']);
+            const savedWordsData = localStorage.savedWordsData || {};
+            const policy = this.importConflictPolicy.value;
+
+            const merged = [];
+            let skipped = 0;
+
+            wordKeys.forEach(wordKey => {
+                const incoming = imported[wordKey];
+                const existing = savedWordsData[wordKey];
+
+                if (existing && !this.shouldReplaceWord(existing, incoming, policy)) {
+                    skipped++;
+                    return;
+                }
+
+                savedWordsData[wordKey] = {
+                    ...incoming,
+                    // CSV rows carry no review history, keep the local one
+                    review: incoming.review || existing?.review
+                };
+                merged.push(savedWordsData[wordKey]);
+            });
+
+            await chrome.storage.local.set({ savedWordsData: savedWordsData });
+
+            // Update badge
+            chrome.runtime.sendMessage({ action: 'updateBadge', count: Object.keys(savedWordsData).length });
+
+            let message = `Imported ${merged.length} words`;
+            if (skipped > 0) message += `, kept ${skipped} existing`;
+
+            if (this.importCloudSync.checked && merged.length > 0) {
+                const synced = await this.pushWordsToCloud(merged);
+                message += synced === null ? ' (not connected, cloud upload skipped)' : `, ${synced} uploaded`;
+            }
+
+            this.showAlert(message, 'success');
+            await this.updateCacheStats();
+
+        } catch (error) {
+            console.error('Error importing data:', error);
+            this.showAlert(`Import failed: ${error.message}`, 'error');
+        } finally {
+            this.importDataBtn.disabled = false;
+            this.importDataBtn.innerHTML = '<span>📤</span> Import File';
+        }
+    }
+
+    shouldReplaceWord(existing, incoming, policy) {
+        if (policy === 'overwrite') return true;
+        if (policy === 'existing') return false;
+
+        // 'newest' - compare save dates, missing dates count as oldest
+        const existingTime = new Date(existing.savedAt || existing.timestamp || 0).getTime() || 0;
+        const incomingTime = new Date(incoming.savedAt || 0).getTime() || 0;
+        return incomingTime > existingTime;
+    }
+
+    parseImportJson(text) {
+        const data = JSON.parse(text);
+
+        // vocaminary_export_*.json wraps words in { version, words }
+        const words = data && typeof data.words === 'object' ? data.words : data;
+        if (!words || typeof words !== 'object' || Array.isArray(words)) {
+            throw new Error('Unrecognized JSON format');
+        }
+
+        const result = {};
+        Object.values(words).forEach(entry => {
+            if (!entry || typeof entry.word !== 'string' || !entry.word.trim()) return;
+
+            const wordKey = entry.word.toLowerCase().trim();
+            result[wordKey] = {
+                ...entry,
+                word: entry.word.trim(),
+                savedAt: entry.savedAt || entry.timestamp || new Date().toISOString(),
+                analysis: entry.analysis && typeof entry.analysis === 'object' ? entry.analysis : null
+            };
+        });
+
+        return result;
+    }
+
+    parseImportCsv(text, targetLanguage) {
+        const rows = this.parseCsvRows(text).filter(row => row.some(cell => cell.trim()));
+        if (rows.length === 0) return {};
+
+        // Use header names when present, otherwise assume word, definition, translation
+        let columns = { word: 0, definition: 1, translation: 2 };
+        const header = rows[0].map(cell => cell.trim().toLowerCase());
+        if (header.includes('word')) {
+            columns = {
+                word: header.indexOf('word'),
+                definition: header.indexOf('definition'),
+                translation: header.indexOf('translation')
+            };
+            rows.shift();
+        }
+
+        const now = new Date().toISOString();
+        const result = {};
+
+        rows.forEach(row => {
+            const word = (row[columns.word] || '').trim();
+            if (!word) return;
+
+            const definition = columns.definition >= 0 ? (row[columns.definition] || '').trim() : '';
+            const translation = columns.translation >= 0 ? (row[columns.translation] || '').trim() : '';
+
+            result[word.toLowerCase()] = {
+                word: word,
+                savedAt: now,
+                videoId: null,
+                videoTitle: '',
+                analysis: {
+                    definition: definition,
+                    translations: translation ? { [targetLanguage]: translation } : {}
+                }
+            };
+        });
+
+        return result;
+    }
+
+    parseCsvRows(text) {
+        // Minimal RFC 4180 parser (quoted fields, escaped quotes, CRLF)
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        return rows;
+    }
+
+    async pushWordsToCloud(words) {
+        const { vocabToken } = await chrome.storage.sync.get(['vocabToken']);
+        if (!vocabToken) return null;
+
+        const batchSize = 10;
+        let synced = 0;
+
+        for (let i = 0; i < words.length; i += batchSize) {
+            const batch = words.slice(i, i + batchSize);
+            this.importDataBtn.innerHTML = `<span class="spinner"></span> Uploading ${i}/${words.length}...`;
+
+            const results = await Promise.all(batch.map(async entry => {
+                try {
+                    const analysis = entry.analysis || {};
+                    const response = await fetch('https://app.vocaminary.com/api/words', {
+                        method: 'POST',
+                        headers: {
+                            'Content-Type': 'application/json',
+                            'Authorization': `Bearer ${vocabToken}`
+                        },
+                        body: JSON.stringify({
+                            word: entry.word,
+                            definition: analysis.definition || '',
+                            translations: analysis.translations || {},
+                            pronunciation: analysis.pronunciation || '',
+                            partOfSpeech: analysis.partOfSpeech || '',
+                            synonyms: analysis.synonyms || [],
+                            context: entry.context || analysis.refinedSentence || '',
+                            frequency: analysis.frequency || '',
+                            videoId: entry.videoId,
+                            videoTitle: entry.videoTitle || ''
+                        })
+                    });
+                    return response.ok;
+                } catch (error) {
+                    console.error(`Cloud upload failed for "${entry.word}":`, error);
+                    return false;
+                }
+            }));
+
+            synced += results.filter(Boolean).length;
+        }
+
+        return synced;
+    }
+
+    downloadFile(content, filename, type) {
+        const blob = new Blob([content], { type: type });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
 
 
     async loadMyVideos() {
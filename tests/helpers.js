@@ -0,0 +1,25 @@
+/**
+ * Test helpers - load the extension's plain scripts (no modules, classes as globals)
+ * into one shared context, the way the manifest loads them into the page
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const root = path.join(__dirname, '..');
+
+function loadScripts(files, names, globals = {}) {
+    const context = vm.createContext({ console, TextEncoder, TextDecoder, ...globals });
+    const source = files.map(file => fs.readFileSync(path.join(root, file), 'utf8')).join('\n');
+
+    // Class declarations don't become context properties, so hand them back explicitly
+    vm.runInContext(`${source}\n;globalThis.__exports = { ${names.join(', ')} };`, context);
+    return context.__exports;
+}
+
+// Objects made inside the context have its Object prototype, which deepStrictEqual rejects
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { loadScripts, plain };
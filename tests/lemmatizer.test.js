@@ -0,0 +1,67 @@
+/**
+ * Lemmatizer - inflected form -> lemma pairs
+ * Run with: node --test tests/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+const { Lemmatizer } = loadScripts(['content/core/Lemmatizer.js'], ['Lemmatizer']);
+const lemmatizer = new Lemmatizer();
+
+const cases = [
+    // Lost "e"
+    ['making', 'make'], ['loved', 'love'], ['danced', 'dance'], ['used', 'use'], ['changed', 'change'],
+    ['hoped', 'hope'], ['related', 'relate'], ['educated', 'educate'],
+    ['created', 'create'], ['creating', 'create'], ['creates', 'create'],
+    ['argue', 'argue'], ['argued', 'argue'], ['arguing', 'argue'], ['argues', 'argue'],
+    ['issued', 'issue'], ['continued', 'continue'], ['continuing', 'continue'],
+    ['notice', 'notice'], ['noticed', 'notice'], ['noticing', 'notice'], ['notices', 'notice'],
+    ['placed', 'place'], ['produced', 'produce'],
+    ['cache', 'cache'], ['cached', 'cache'], ['caches', 'cache'], ['ached', 'ache'],
+    ['caused', 'cause'], ['refused', 'refuse'], ['raised', 'raise'],
+
+    // No "e" to restore
+    ['focused', 'focus'], ['focusing', 'focus'], ['biased', 'bias'],
+    ['watched', 'watch'], ['watches', 'watch'], ['reached', 'reach'], ['attached', 'attach'],
+    ['wanted', 'want'], ['played', 'play'], ['opened', 'open'], ['visited', 'visit'],
+    ['treated', 'treat'], ['needed', 'need'], ['agreed', 'agree'],
+
+    // Doubled consonants
+    ['running', 'run'], ['stopped', 'stop'], ['hopping', 'hop'],
+    ['falling', 'fall'], ['missing', 'miss'], ['buzzing', 'buzz'], ['telling', 'tell'],
+    ['travelling', 'travel'], ['travelled', 'travel'], ['cancelled', 'cancel'],
+    ['labelled', 'label'], ['controlling', 'control'], ['compelled', 'compel'],
+
+    // -y / -ie
+    ['tried', 'try'], ['cried', 'cry'], ['carried', 'carry'], ['studies', 'study'],
+    ['tie', 'tie'], ['tied', 'tie'], ['ties', 'tie'], ['tying', 'tie'],
+    ['died', 'die'], ['lying', 'lie'], ['flying', 'fly'],
+
+    // -oes
+    ['shoe', 'shoe'], ['shoes', 'shoe'], ['toes', 'toe'],
+    ['potatoes', 'potato'], ['heroes', 'hero'], ['echoes', 'echo'],
+
+    // Plurals
+    ['classes', 'class'], ['boxes', 'box'], ['words', 'word'],
+
+    // Irregular and invariant
+    ['went', 'go'], ['children', 'child'], ['news', 'news'], ['bus', 'bus'], ['red', 'red'],
+
+    // Homographs and suppletive forms left alone
+    ['saw', 'saw'], ['left', 'left'], ['found', 'found'], ['rose', 'rose'], ['felt', 'felt'],
+    ['better', 'better'], ['best', 'best'], ['worse', 'worse'], ['worst', 'worst']
+];
+
+test('inflected forms share a lemma', () => {
+    const wrong = cases
+        .map(([form, lemma]) => [form, lemma, lemmatizer.lemmatize(form)])
+        .filter(([, lemma, actual]) => actual !== lemma)
+        .map(([form, lemma, actual]) => `${form}: expected ${lemma}, got ${actual}`);
+
+    assert.deepStrictEqual(wrong, []);
+});
+
+test('unregistered languages only lowercase', () => {
+    assert.strictEqual(lemmatizer.lemmatize('Gatos', 'es'), 'gatos');
+});
@@ -0,0 +1,123 @@
+/**
+ * SubtitleParser - WebVTT, SRT and YouTube JSON3 into the shared caption model
+ * Run with: node --test tests/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, plain } = require('./helpers');
+
+const { SubtitleParser } = loadScripts(['content/services/SubtitleParser.js'], ['SubtitleParser']);
+const parser = new SubtitleParser();
+
+const words = caption => plain(caption.words.map(word => word.text + word.punctuation));
+
+test('detects the format', () => {
+    assert.strictEqual(parser.detectFormat('﻿WEBVTT\n\n'), 'vtt');
+    assert.strictEqual(parser.detectFormat('1\n00:00:01,000 --> 00:00:02,000\nHi'), 'srt');
+    assert.strictEqual(parser.detectFormat('{"events": []}'), 'json3');
+    assert.strictEqual(parser.detectFormat('<tt></tt>'), 'ttml');
+});
+
+test('VTT cues with settings, voices, styling and entities', () => {
+    const captions = parser.parse([
+        'WEBVTT',
+        '',
+        'NOTE skipped',
+        '',
+        'intro',
+        '00:01.000 --> 00:03.500 align:start line:0',
+        '<v Ann>Hello <i>there</i>, world!</v>',
+        '',
+        '00:00:04.000 --> 00:00:06.000',
+        'Tom &amp; Jerry',
+        'second line'
+    ].join('\n'));
+
+    assert.strictEqual(captions.length, 2);
+
+    const [first, second] = captions;
+    assert.strictEqual(first.start, 1);
+    assert.strictEqual(first.end, 3.5);
+    assert.strictEqual(first.id, 'intro');
+    assert.strictEqual(first.text, 'Hello there, world!');
+    assert.strictEqual(first.speaker, 'Ann');
+    assert.deepStrictEqual(plain(first.style), { align: 'start', line: '0', italic: true });
+    assert.deepStrictEqual(words(first), ['Hello', 'there,', 'world!']);
+
+    assert.strictEqual(second.text, 'Tom & Jerry second line');
+    assert.strictEqual(second.originalIndex, 1);
+});
+
+test('VTT keeps a literal "<" that is not a tag', () => {
+    const [caption] = parser.parse('WEBVTT\n\n00:01.000 --> 00:02.000\n5 < 6 and i <3 u <b>bold</b>');
+    assert.strictEqual(caption.text, '5 < 6 and i <3 u bold');
+    assert.deepStrictEqual(plain(caption.style), { bold: true });
+});
+
+test('VTT inline timestamps time each word', () => {
+    const [caption] = parser.parse('WEBVTT\n\n00:01.000 --> 00:03.000\none <00:00:02.000>two');
+    assert.deepStrictEqual(plain(caption.words), [
+        { text: 'one', punctuation: '', start: 1, end: 2 },
+        { text: 'two', punctuation: '', start: 2, end: 3 }
+    ]);
+});
+
+test('SRT blocks with comma times, speaker labels and alignment codes', () => {
+    const captions = parser.parse([
+        '1',
+        '00:00:01,500 --> 00:00:02,000',
+        '- JOHN: Hello.',
+        '',
+        '2',
+        '00:00:03,000 --> 00:00:04,250',
+        '{\\an8}Up here',
+        '   ',
+        '3',
+        '00:00:05,000 --> 00:00:06,000',
+        '<font color="#ff0000">Red</font>'
+    ].join('\r\n'));
+
+    assert.strictEqual(captions.length, 3);
+    assert.strictEqual(captions[0].start, 1.5);
+    assert.strictEqual(captions[0].speaker, 'JOHN');
+    assert.strictEqual(captions[0].text, 'Hello.');
+    assert.strictEqual(captions[0].id, '1');
+
+    assert.strictEqual(captions[1].end, 4.25);
+    assert.strictEqual(captions[1].text, 'Up here');
+    assert.deepStrictEqual(plain(captions[1].style), { align: 'center', line: 'top' });
+
+    assert.deepStrictEqual(plain(captions[2].style), { color: '#ff0000' });
+});
+
+test('JSON3 segments keep their own spacing and word offsets', () => {
+    const captions = parser.parse(JSON.stringify({
+        events: [
+            { tStartMs: 1000, dDurationMs: 2000, segs: [{ utf8: 'Hello' }, { utf8: ' world', tOffsetMs: 1000 }] },
+            { tStartMs: 2900, aAppend: 1, segs: [{ utf8: '\n' }] },
+            { tStartMs: 3000, dDurationMs: 1000, segs: [{ utf8: 'Just one line.' }] },
+            { tStartMs: 4000, dDurationMs: 1000, segs: [{ utf8: '\n' }] }
+        ]
+    }));
+
+    assert.strictEqual(captions.length, 2);
+    assert.strictEqual(captions[0].text, 'Hello world');
+    assert.deepStrictEqual(plain(captions[0].words), [
+        { text: 'Hello', punctuation: '', start: 1, end: 2 },
+        { text: 'world', punctuation: '', start: 2, end: 3 }
+    ]);
+    assert.deepStrictEqual(words(captions[1]), ['Just', 'one', 'line.']);
+});
+
+test('JSON3 segments in languages without spaces are joined as-is', () => {
+    const [japanese, thai] = parser.parse({
+        events: [
+            { tStartMs: 0, dDurationMs: 1000, segs: [{ utf8: '日本語' }, { utf8: 'を', tOffsetMs: 400 }, { utf8: '話す', tOffsetMs: 600 }] },
+            { tStartMs: 1000, dDurationMs: 1000, segs: [{ utf8: 'สวัสดี' }, { utf8: 'ครับ', tOffsetMs: 500 }] }
+        ]
+    });
+
+    assert.strictEqual(japanese.text, '日本語を話す');
+    assert.deepStrictEqual(words(japanese), ['日本語', 'を', '話す']);
+    assert.strictEqual(thai.text, 'สวัสดีครับ');
+});